@@ -1,3 +1,36 @@
+// skeleton colour per hand slot ("r, g, b")
+const HAND_COLORS = ['0, 255, 136', '255, 170, 0'];
+
+// GestureRecognizer event -> handler, called as handler(point, hand, event)
+const GESTURE_HANDLERS = {
+    fist: 'handleFistStart',
+    'fist-end': 'handleFistRelease',
+    palm: 'handleOpenPalm',
+    swipe: 'handleSwipe',
+    'three-finger-swipe': 'handleHistorySwipe',
+    dwell: 'handleDwell'
+};
+
+// degrees a horizontal two-finger swipe turns a molecule
+const SWIPE_ROTATION = 60;
+
+// pulling apart: how near a bond a pinch must be to break it, and how far an atom
+// must be pulled from its place before its bonds break (px)
+const BOND_HIT_DISTANCE = 10;
+const PULL_APART_DISTANCE = 70;
+
+// 3D view: radians the model turns per px a grabbing hand moves, and its idle spin
+// (radians per second) until someone first turns it
+const VIEWER_TURN_PER_PX = 0.01;
+const VIEWER_SPIN = 0.5;
+
+// a held molecule scales with the hand's distance from the camera, within these limits
+const MOLECULE_SCALE_MIN = 0.5;
+const MOLECULE_SCALE_MAX = 2;
+// loose atoms and cards are stacked on layers 1, 2, ... (z-index inside #center-area);
+// past this the layers are renumbered from 1
+const LAYER_LIMIT = 900;
+
 class ARChemistryApp {
     constructor() {
         this.video = null;
@@ -6,29 +39,118 @@ class ARChemistryApp {
         this.hands = null;
         this.isTracking = false;
 
-        this.fingerCursor = null;
         this.status = null;
         this.moleculeContainer = null;
         this.discoveredList = null;
 
-        this.draggedElement = null;
-        this.isDragging = false;
-        this.dragOffset = { x: 0, y: 0 };
+        // landmark smoothing for the tracked hands (LANDMARK_FILTER_PRESETS name)
+        this.filterPreset = LandmarkFilter.configuredPreset();
+        // one pinch / drag state per tracked hand (see _createHandState), plus one
+        // for the mouse / touch pointer
+        this.handStates = [this._createHandState(0), this._createHandState(1), this._createHandState(2)];
+        this.trackedHands = this.handStates.slice(0, 2);
+        this.pointerInput = new PointerInput(this, this.handStates[2]);
         this.placedElements = [];
         this.discoveredMolecules = [];
         this.spawnedAtoms = [];
 
-        // C3 intermediates (cyclic three-carbon) bookkeeping
-        this.ccIntermediates = [];
-
-        // pinch debounce
-        this.isPinching = false;
-        this.lastRelease = 0;
+        // known molecules (names, structures, layouts, facts), loaded from data/molecules.json
+        this.catalog = new MoleculeCatalog();
+
+        // molecule cards on the workspace (C2/C3 intermediates and final molecules),
+        // each backed by a MoleculeGraph: { id, kind, element, graph, ... }
+        this.molecules = [];
+        // last molecule card created or moved; what "Export" writes out
+        this.activeMolecule = null;
+
+        // autosave slot in localStorage (see startAutosave)
+        this.workspaceStore = new WorkspaceStore();
+        // every molecule built on this device, across sessions; drives the Discovered panel
+        this.journal = new DiscoveryJournal();
+        // functional group the Discovered panel is narrowed to (a FUNCTIONAL_GROUPS key), or null
+        this.groupFilter = null;
+        // undo / redo snapshots (see _checkpoint)
+        this.history = new WorkspaceHistory();
+        // landmark recording in progress (LandmarkRecorder), and a replay standing in
+        // for the webcam (LandmarkPlayer)
+        this.recorder = null;
+        this.replay = null;
+        // calibration profiles of the people using this device; the active one sets the
+        // pinch start / release gaps (detectPinchGesture) and the reach box (handPointToPage)
+        this.calibrations = new CalibrationStore();
+        this.calibrationSession = null;
+        this.applyCalibration(this.calibrations.active());
+        // 3D view of the active molecule (MoleculeViewer), while it is open
+        this.viewer = null;
+        this.viewerFrame = null;
+        this.viewerShown = null; // molecule entry the view was last described for
+        this.viewerSpin = false;
+        // layer of the frontmost atom or card (see _raise)
+        this.topLayer = 0;
+        // lessons from data/lessons.json, and the one being worked through (LessonRun)
+        this.lessons = new LessonBook();
+        this.lessonRun = null;
+        // reactions between finished molecules, from data/reactions.json (see dropOnMolecule)
+        this.reactions = new ReactionBook();
 
         this.init();
     }
 
+    // Everything one hand is doing. Hands are matched to these slots frame by frame,
+    // so each keeps its own cursor, pinch and dragged item.
+    _createHandState(index) {
+        return {
+            index,
+            color: HAND_COLORS[index % HAND_COLORS.length],
+            cursor: null,
+            lastTip: null, // last index fingertip seen, normalized video coords
+            filter: new LandmarkFilter(this.filterPreset), // smooths landmarks before anything uses them
+            gestures: new GestureRecognizer(),
+            depth: new HandDepth(), // pushes towards the camera, and how far back the hand reaches
+            grip: null, // what is holding the dragged item: 'pinch' | 'fist' | 'dwell' | 'push'
+            isPinching: false,
+            pinchStartTime: 0,
+            lastRelease: 0, // pinch debounce
+            draggedElement: null,
+            isDragging: false,
+            dragOffset: { x: 0, y: 0 },
+            dragStart: null, // where the dragged item was picked up, for cancelling
+            dragRecord: null, // history step recorded when the drag began
+            rotating: null, // last page point of a hand turning the 3D view
+            zoomFrom: null // { size, scale }: hand size and card scale when a molecule was grabbed
+        };
+    }
+
+    get primaryHand() {
+        return this.handStates[0];
+    }
+
+    // The workspace works with the mouse or touch from the start; hand tracking is
+    // added on top when a camera and MediaPipe are available.
     async init() {
+        this.buildPalette();
+        this.setupWorkspace();
+
+        this.updateStatus('Loading molecule catalog...');
+        await this.loadCatalog();
+        this.updateDiscoveredList();
+        this.startAutosave();
+
+        const skipped = this.catalog.errors.length;
+        const problems = skipped ? ` (${skipped} molecule catalog problem${skipped > 1 ? 's' : ''} — see console)` : '';
+
+        // ?lessons=<lesson file URL> loads a teacher's own lessons; ?lesson=<id> starts one
+        const params = new URLSearchParams(location.search);
+        await this.loadLessons(params.get('lessons') || LESSON_URL);
+        await this.loadReactions();
+        if (params.get('lesson')) this.startLesson(params.get('lesson'));
+
+        // ?replay=<recording URL>[&speed=2][&loop] plays a recording instead of using the webcam
+        if (params.get('replay')) {
+            await this.replayFromUrl(params.get('replay'), { speed: parseFloat(params.get('speed')) || 1, loop: params.has('loop') });
+            return;
+        }
+
         try {
             this.updateStatus('Initializing webcam...');
             await this.initializeWebcam();
@@ -36,15 +158,55 @@ class ARChemistryApp {
             this.updateStatus('Setting up MediaPipe...');
             await this.initializeMediaPipe();
 
-            this.updateStatus('Starting hand tracking...');
-            this.startHandTracking();
+            // first visit on this device: measure the user's hand before anything else
+            if (!this.calibrations.active()) this.openCalibration();
+            const profile = this.calibrations.active();
+            this.updateStatus('Ready! Pinch over palette to spawn atoms, then drag them' + (profile ? ` (calibrated for ${profile.name})` : '') + problems);
+        } catch (error) {
+            console.warn('Hand tracking unavailable:', error);
+            this.updateStatus(`${error.message} — click or touch the palette to spawn atoms, then drag them` + problems);
+        }
+    }
+
+    // one palette entry per row of the element table
+    buildPalette() {
+        PeriodicTable.installStyles();
+        const palette = document.getElementById('element-palette');
+        if (!palette) return;
+        palette.innerHTML = PeriodicTable.all().map(e => `
+            <div class="element" data-element="${e.symbol}">
+                <span class="element-symbol">${e.symbol}</span>
+                <span class="element-name">${e.name}</span>
+            </div>`).join('');
+    }
+
+    async loadCatalog() {
+        try {
+            this.catalog = await MoleculeCatalog.load();
+        } catch (error) {
+            this.catalog = new MoleculeCatalog([], [error.message]);
+        }
+        this.catalog.errors.forEach(problem => console.warn('Molecule catalog:', problem));
+    }
 
-            this.updateStatus('Ready! Pinch over palette to spawn atoms, then drag them');
+    // after the catalog, which lesson goals refer to
+    async loadLessons(url = LESSON_URL) {
+        try {
+            this.lessons = await LessonBook.load(url, this.catalog);
+        } catch (error) {
+            this.lessons = new LessonBook([], [error.message]);
+        }
+        this.lessons.errors.forEach(problem => console.warn('Lessons:', problem));
+    }
 
+    // after the catalog, which reactions are written in terms of
+    async loadReactions(url = REACTION_URL) {
+        try {
+            this.reactions = await ReactionBook.load(url, this.catalog);
         } catch (error) {
-            console.error('Initialization failed:', error);
-            this.updateStatus('Failed to initialize: ' + error.message);
+            this.reactions = new ReactionBook([], [error.message]);
         }
+        this.reactions.errors.forEach(problem => console.warn('Reactions:', problem));
     }
 
     async initializeWebcam() {
@@ -74,23 +236,10 @@ class ARChemistryApp {
     }
 
     async initializeMediaPipe() {
-        this.canvas = document.getElementById('hand-canvas');
-        this.ctx = this.canvas.getContext('2d');
+        this._setupCanvas();
 
-        this.updateCanvasSize();
-
-        if (typeof Hands === 'undefined') {
-            throw new Error('MediaPipe Hands not loaded. Please check your internet connection.');
-        }
-
-        this.hands = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${file}`;
-            }
-        });
-
-        this.hands.setOptions({
-            maxNumHands: 1,
+        this.hands = await new MediaPipeLoader().createHands({
+            maxNumHands: this.trackedHands.length,
             modelComplexity: 0,
             minDetectionConfidence: 0.5,
             minTrackingConfidence: 0.5
@@ -103,7 +252,7 @@ class ARChemistryApp {
 
     startVideoProcessing() {
         const processFrame = async () => {
-            if (this.isTracking && this.video.readyState === 4) {
+            if (this.isTracking && !this.replay && this.video.readyState === 4) {
                 try {
                     await this.hands.send({ image: this.video });
                 } catch (error) {
@@ -117,19 +266,35 @@ class ARChemistryApp {
         processFrame();
     }
 
+    // the overlay the hand skeletons are drawn on
+    _setupCanvas() {
+        this.canvas = document.getElementById('hand-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.updateCanvasSize();
+    }
+
     updateCanvasSize() {
         if (!this.canvas) return;
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
     }
 
-    startHandTracking() {
-        this.fingerCursor = document.getElementById('finger-cursor');
+    // DOM references, toolbar / file controls and pointer input
+    setupWorkspace() {
+        this.handStates[0].cursor = document.getElementById('finger-cursor');
+        this.handStates[1].cursor = document.getElementById('finger-cursor-2');
         this.status = document.getElementById('status');
         this.moleculeContainer = document.getElementById('molecule-container');
         this.discoveredList = document.getElementById('discovered-list');
 
+        const groupFilter = document.getElementById('group-filter');
+        if (groupFilter) groupFilter.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (btn) this.filterDiscovered(btn.dataset.group || null);
+        });
+
         this.updateDiscoveredList();
+        this.pointerInput.attach();
 
         window.addEventListener('resize', () => {
             this.updateCanvasSize();
@@ -137,30 +302,164 @@ class ARChemistryApp {
 
         const clearBtn = document.getElementById('clear-button');
         if (clearBtn) clearBtn.addEventListener('click', () => this.clearAll());
+
+        const undoBtn = document.getElementById('undo-button');
+        const redoBtn = document.getElementById('redo-button');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+        this._updateHistoryButtons();
+
+        // Ctrl+Z / Ctrl+Y (and Ctrl+Shift+Z); text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target && /^(INPUT|TEXTAREA)$/.test(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo(); }
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this.redo(); }
+        });
+
+        const smilesInput = document.getElementById('smiles-input');
+        const smilesAdd = document.getElementById('smiles-add');
+        const smilesExport = document.getElementById('smiles-export');
+        if (smilesAdd) smilesAdd.addEventListener('click', () => this.importSmiles(smilesInput.value));
+        if (smilesInput) smilesInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.importSmiles(smilesInput.value); });
+        if (smilesExport) smilesExport.addEventListener('click', () => this.exportSmiles());
+
+        const molFile = document.getElementById('mol-file');
+        const molOpen = document.getElementById('mol-open');
+        const molSave = document.getElementById('mol-save');
+        if (molOpen && molFile) molOpen.addEventListener('click', () => molFile.click());
+        if (molFile) molFile.addEventListener('change', () => {
+            if (molFile.files[0]) this.openMolfile(molFile.files[0]);
+            molFile.value = '';
+        });
+        if (molSave) molSave.addEventListener('click', () => this.exportMolfile());
+
+        const sessionFile = document.getElementById('session-file');
+        const sessionSave = document.getElementById('session-save');
+        const sessionLoad = document.getElementById('session-load');
+        if (sessionSave) sessionSave.addEventListener('click', () => this.downloadWorkspace());
+        if (sessionLoad && sessionFile) sessionLoad.addEventListener('click', () => sessionFile.click());
+        if (sessionFile) sessionFile.addEventListener('change', () => {
+            if (sessionFile.files[0]) this.uploadWorkspace(sessionFile.files[0]);
+            sessionFile.value = '';
+        });
+
+        const recordBtn = document.getElementById('record-button');
+        const replayFile = document.getElementById('replay-file');
+        const replayOpen = document.getElementById('replay-open');
+        const replayStop = document.getElementById('replay-stop');
+        const replaySpeed = document.getElementById('replay-speed');
+        const replayLoop = document.getElementById('replay-loop');
+        if (recordBtn) recordBtn.addEventListener('click', () => this.toggleRecording());
+        if (replayOpen && replayFile) replayOpen.addEventListener('click', () => replayFile.click());
+        if (replayFile) replayFile.addEventListener('change', () => {
+            if (replayFile.files[0]) this.openReplayFile(replayFile.files[0]);
+            replayFile.value = '';
+        });
+        if (replayStop) replayStop.addEventListener('click', () => this.stopReplay('Replay stopped'));
+        if (replaySpeed) {
+            replaySpeed.innerHTML = LANDMARK_SPEEDS.map(v => `<option value="${v}"${v === 1 ? ' selected' : ''}>${v}×</option>`).join('');
+            replaySpeed.addEventListener('change', () => this.setReplaySpeed(parseFloat(replaySpeed.value)));
+        }
+        if (replayLoop) replayLoop.addEventListener('change', () => { if (this.replay) this.replay.loop = replayLoop.checked; });
+        this._updateReplayControls();
+
+        const calibrateBtn = document.getElementById('calibrate-button');
+        const calibrationStart = document.getElementById('calibration-start');
+        const calibrationClose = document.getElementById('calibration-close');
+        if (calibrateBtn) calibrateBtn.addEventListener('click', () => this.openCalibration());
+        if (calibrationStart) calibrationStart.addEventListener('click', () => this.startCalibration());
+        if (calibrationClose) calibrationClose.addEventListener('click', () => this.closeCalibration());
+
+        const viewerCanvas = document.getElementById('viewer3d-canvas');
+        const view3dBtn = document.getElementById('view3d-button');
+        const viewerClose = document.getElementById('viewer3d-close');
+        if (viewerCanvas) this.viewer = new MoleculeViewer(viewerCanvas);
+        if (view3dBtn) view3dBtn.addEventListener('click', () => this.toggleViewer());
+        if (viewerClose) viewerClose.addEventListener('click', () => this.closeViewer());
+
+        const lessonBtn = document.getElementById('lesson-button');
+        const lessonHint = document.getElementById('lesson-hint');
+        const lessonSkip = document.getElementById('lesson-skip');
+        const lessonNext = document.getElementById('lesson-next');
+        const lessonClose = document.getElementById('lesson-close');
+        if (lessonBtn) lessonBtn.addEventListener('click', () => this.openLessons());
+        if (lessonHint) lessonHint.addEventListener('click', () => this.showHint());
+        if (lessonSkip) lessonSkip.addEventListener('click', () => this.skipChallenge());
+        if (lessonNext) lessonNext.addEventListener('click', () => this.startNextLesson());
+        if (lessonClose) lessonClose.addEventListener('click', () => this.closeLessons());
+
+        // textbook structures can be dropped straight onto the page
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            if (/\.json$/i.test(file.name)) this.uploadWorkspace(file);
+            else this.openMolfile(file);
+        });
     }
 
     onResults(results) {
         if (!this.ctx) return;
         // clear canvas each frame so skeleton doesn't stick
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.recorder) this.recorder.add(results.multiHandLandmarks);
 
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const handLandmarks = results.multiHandLandmarks[0];
-            this.processHandLandmarks(handLandmarks);
-            this.detectPinchGesture(handLandmarks);
-            this.updateFingerCursor(handLandmarks);
-            this.handleElementInteraction(handLandmarks);
-        } else {
-            this.hideFingerCursor();
+        const seen = this._assignHands(results.multiHandLandmarks || []);
+        if (this.calibrationSession) {
+            this._calibrationFrame(seen);
+            return;
+        }
+        this.trackedHands.forEach(hand => {
+            const raw = seen.get(hand);
+            if (raw) {
+                const handLandmarks = hand.filter.apply(raw, this.now());
+                this.processHandLandmarks(handLandmarks, hand);
+                this.detectGestures(handLandmarks, hand);
+                this.updateFingerCursor(handLandmarks, hand);
+                this.handleElementInteraction(handLandmarks, hand);
+            } else {
+                // a hand that drops out keeps its drag until it is seen again, but
+                // comes back unsmoothed rather than gliding in from where it left; a
+                // push keeps its rest depth, so pulling back still lets go
+                hand.filter.reset();
+                if (!hand.depth.pressed) hand.depth.reset();
+                this.hideFingerCursor(hand);
+            }
+        });
+    }
+
+    // Match this frame's hands to hand slots by fingertip distance to where each slot
+    // was last seen, so a hand keeps its drag even when MediaPipe reorders the list.
+    // Returns Map(handState -> landmarks).
+    _assignHands(multiHandLandmarks) {
+        const detected = multiHandLandmarks.filter(l => l && l[8]).slice(0, this.trackedHands.length);
+        const cost = (hand, landmarks) => hand.lastTip
+            ? Math.hypot(hand.lastTip.x - landmarks[8].x, hand.lastTip.y - landmarks[8].y)
+            : 0.5;
+
+        const seen = new Map();
+        const [a, b] = this.trackedHands;
+        if (detected.length === 1) {
+            seen.set(cost(a, detected[0]) <= cost(b, detected[0]) ? a : b, detected[0]);
+        } else if (detected.length === 2) {
+            const straight = cost(a, detected[0]) + cost(b, detected[1]);
+            const swapped = cost(a, detected[1]) + cost(b, detected[0]);
+            seen.set(a, detected[straight <= swapped ? 0 : 1]);
+            seen.set(b, detected[straight <= swapped ? 1 : 0]);
         }
+        seen.forEach((landmarks, hand) => { hand.lastTip = { x: landmarks[8].x, y: landmarks[8].y }; });
+        return seen;
     }
 
-    processHandLandmarks(landmarks) {
-        this.drawHandConnections(landmarks);
-        this.drawHandLandmarks(landmarks);
+    processHandLandmarks(landmarks, hand = this.primaryHand) {
+        this.drawHandConnections(landmarks, hand);
+        this.drawHandLandmarks(landmarks, hand);
     }
 
-    drawHandConnections(landmarks) {
+    drawHandConnections(landmarks, hand = this.primaryHand) {
         const connections = [
             [0, 1], [1, 2], [2, 3], [3, 4],
             [0, 5], [5, 6], [6, 7], [7, 8],
@@ -177,61 +476,88 @@ class ARChemistryApp {
             if (startPoint && endPoint) {
                 this.ctx.beginPath();
                 this.ctx.moveTo(
-                    this.getCorrectedX(startPoint.x * this.canvas.width),
+                    (1 - startPoint.x) * this.canvas.width,
                     startPoint.y * this.canvas.height
                 );
                 this.ctx.lineTo(
-                    this.getCorrectedX(endPoint.x * this.canvas.width),
+                    (1 - endPoint.x) * this.canvas.width,
                     endPoint.y * this.canvas.height
                 );
-                this.ctx.strokeStyle = 'rgba(0, 255, 136, 0.8)';
+                this.ctx.strokeStyle = `rgba(${hand.color}, 0.8)`;
                 this.ctx.lineWidth = 3;
                 this.ctx.stroke();
             }
         });
     }
 
-    drawHandLandmarks(landmarks) {
+    drawHandLandmarks(landmarks, hand = this.primaryHand) {
         landmarks.forEach((landmark) => {
             this.ctx.beginPath();
             this.ctx.arc(
-                this.getCorrectedX(landmark.x * this.canvas.width),
+                (1 - landmark.x) * this.canvas.width,
                 landmark.y * this.canvas.height,
                 4,
                 0,
                 2 * Math.PI
             );
-            this.ctx.fillStyle = 'rgba(0, 255, 136, 0.9)';
+            this.ctx.fillStyle = `rgba(${hand.color}, 0.9)`;
             this.ctx.fill();
         });
     }
 
-    detectPinchGesture(landmarks) {
+    // Pinch, depth pushes, then the other gestures (GestureRecognizer), each sent to its handler
+    detectGestures(landmarks, hand = this.primaryHand) {
+        const { pose, events, dwellProgress } = hand.gestures.update(landmarks, this.now());
+        this.detectPinchGesture(landmarks, hand, pose);
+        this.detectPushGesture(landmarks, hand, pose);
+        events.forEach(event => {
+            const handler = GESTURE_HANDLERS[event.type];
+            if (handler) this[handler](event.point, hand, event);
+        });
+        this._showDwellProgress(hand, dwellProgress);
+    }
+
+    detectPinchGesture(landmarks, hand = this.primaryHand, pose = null) {
         const indexTip = landmarks[8];
         const thumbTip = landmarks[4];
 
         if (indexTip && thumbTip) {
-            const distance = Math.sqrt(
-                Math.pow(indexTip.x - thumbTip.x, 2) +
-                Math.pow(indexTip.y - thumbTip.y, 2)
-            );
-
-            const isPinching = distance < 0.08;
-
-            if (isPinching && !this.isPinching) {
-                if (!this.lastRelease || Date.now() - this.lastRelease > 120) {
-                    this.isPinching = true;
-                    this.pinchStartTime = Date.now();
-                    this.handlePinchStart(indexTip);
+            // Hysteresis: fingertips must close past the start gap to pinch and open past
+            // the wider release gap to let go. Gaps are in hand lengths (pinchRatio).
+            const ratio = GestureRecognizer.pinchRatio(landmarks);
+            const { start, release } = this.pinchThresholds;
+            // fingertips also meet in a fist, which is a grab of its own
+            const isPinching = ratio < (hand.isPinching ? release : start) && pose !== 'fist';
+
+            if (isPinching && !hand.isPinching) {
+                if (!hand.lastRelease || this.now() - hand.lastRelease > 120) {
+                    hand.isPinching = true;
+                    hand.pinchStartTime = this.now();
+                    if (!hand.isDragging) hand.grip = 'pinch';
+                    this.handlePinchStart(indexTip, hand);
                 }
-            } else if (!isPinching && this.isPinching) {
-                this.isPinching = false;
-                this.lastRelease = Date.now();
-                this.handlePinchRelease(indexTip);
+            } else if (!isPinching && hand.isPinching) {
+                hand.isPinching = false;
+                hand.lastRelease = this.now();
+                this.handlePinchRelease(indexTip, hand);
             }
         }
     }
 
+    // A push towards the camera presses like a pinch; pulling back releases, so an atom
+    // pushed over another one bonds when the hand draws back.
+    detectPushGesture(landmarks, hand = this.primaryHand, pose = null) {
+        const { event } = hand.depth.update(landmarks, this.now());
+        if (event === 'press' && !hand.isPinching && !hand.isDragging && !hand.rotating && pose !== 'fist') {
+            hand.grip = 'push';
+            this.handlePinchStart(landmarks[8], hand);
+            if (!hand.isDragging && !hand.rotating) hand.grip = null;
+        } else if (event === 'release' && hand.grip === 'push') {
+            hand.grip = null;
+            this.handlePinchRelease(landmarks[8], hand);
+        }
+    }
+
     // Helper: simulate a pinch click on a button by dispatching pointer events + click
     _simulatePinchClick(el) {
         try {
@@ -250,10 +576,9 @@ class ARChemistryApp {
         }
     }
 
-    handlePinchStart(indexTip) {
+    handlePinchStart(indexTip, hand = this.primaryHand) {
         // compute page coords for the pinch
-        const x = this.getCorrectedX(indexTip.x * window.innerWidth);
-        const y = indexTip.y * window.innerHeight;
+        const { x, y } = this.handPointToPage(indexTip);
 
         // 1) If a bond-popup is visible, check if pinch is over any button and trigger it
         const popup = document.querySelector('.bond-popup');
@@ -266,7 +591,7 @@ class ARChemistryApp {
                 if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
                     this._simulatePinchClick(btn);
                     // small debounce so it doesn't immediately re-trigger other actions
-                    this.lastRelease = Date.now();
+                    hand.lastRelease = this.now();
                     return; // pinch consumed
                 }
             }
@@ -274,8 +599,67 @@ class ARChemistryApp {
             return;
         }
 
+        // the calibration panel is modal too: only its buttons take a pinch
+        const calibration = document.getElementById('calibration');
+        if (calibration && !calibration.hidden) {
+            const btn = [...calibration.querySelectorAll('button')].find(b => {
+                const rect = b.getBoundingClientRect();
+                return !b.hidden && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+            });
+            if (btn) {
+                this._simulatePinchClick(btn);
+                hand.lastRelease = this.now();
+            }
+            return;
+        }
+
         // If already dragging, ignore spawning or other interactions
-        if (this.isDragging) return;
+        if (hand.isDragging) return;
+
+        // 3D view: its close button takes a pinch; anywhere else on it grabs the model to turn it
+        const viewerPanel = document.getElementById('viewer3d');
+        if (viewerPanel && !viewerPanel.hidden) {
+            const rect = viewerPanel.getBoundingClientRect();
+            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                const close = document.getElementById('viewer3d-close');
+                const closeRect = close ? close.getBoundingClientRect() : null;
+                if (closeRect && x >= closeRect.left && x <= closeRect.right && y >= closeRect.top && y <= closeRect.bottom) {
+                    this.closeViewer();
+                } else {
+                    hand.rotating = { x, y };
+                    this.viewerSpin = false;
+                }
+                return;
+            }
+        }
+
+        // the lesson panel: its buttons take a pinch, the rest of it nothing
+        const lessonPanel = document.getElementById('lesson');
+        if (lessonPanel && !lessonPanel.hidden) {
+            const rect = lessonPanel.getBoundingClientRect();
+            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                const btn = [...lessonPanel.querySelectorAll('button')].find(b => {
+                    const r = b.getBoundingClientRect();
+                    return !b.hidden && x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+                });
+                if (btn) {
+                    this._simulatePinchClick(btn);
+                    hand.lastRelease = this.now();
+                }
+                return;
+            }
+        }
+
+        // the Discovered panel's group filter
+        const filterBtn = [...document.querySelectorAll('#group-filter button')].find(b => {
+            const r = b.getBoundingClientRect();
+            return x >= r.left && x <= r.right && y >= r.top && y <= r.bottom;
+        });
+        if (filterBtn) {
+            this._simulatePinchClick(filterBtn);
+            hand.lastRelease = this.now();
+            return;
+        }
 
         // check clear button area
         const clearBtn = document.getElementById('clear-button');
@@ -287,21 +671,40 @@ class ARChemistryApp {
             }
         }
 
-        // 2) Check if pinching a molecule (intermediate or final) -> make it draggable
-        const moleculeHit = this.getMoleculeAtPosition(x, y);
-        if (moleculeHit) {
-            // create a lightweight data object that works with startDragging
-            const md = { element: moleculeHit, type: 'molecule', id: moleculeHit.dataset && moleculeHit.dataset.id ? moleculeHit.dataset.id : ('mol-' + Date.now()) };
-            // ensure molecule has position style (absolute)
-            moleculeHit.style.position = 'absolute';
-            this.startDragging(md, x, y);
+        // toolbar buttons
+        for (const [id, action] of [['undo-button', () => this.undo()], ['redo-button', () => this.redo()], ['view3d-button', () => this.toggleViewer()], ['lesson-button', () => this.openLessons()]]) {
+            const btn = document.getElementById(id);
+            if (!btn) continue;
+            const rect = btn.getBoundingClientRect();
+            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                action();
+                return;
+            }
+        }
+
+        // 2) The molecule or loose atom under the finger, the front one unless the hand
+        //    reaches further back (see _reachOf); items another hand holds are skipped
+        const hit = this._itemAt(x, y, this._reachOf(hand), item => !this._handHolding(item.element));
+
+        //    a molecule is made draggable; pinching a bond breaks it and pinching an
+        //    atom starts pulling it out
+        if (hit && hit.molecule) {
+            const entry = hit.molecule;
+            const part = this._structurePartAt(entry, x, y);
+            if (part && part.bond) {
+                this._checkpoint('bond break');
+                this.breakBond(entry, part.bond);
+            } else if (part && part.atom) {
+                this._startAtomPull(entry, part.atom, x, y, hand);
+            } else {
+                this._startMoleculeDrag(entry.element, x, y, hand);
+            }
             return;
         }
 
-        // 3) First check if pinching a spawned atom
-        const spawnedAtom = this.getSpawnedAtomAtPosition(x, y);
-        if (spawnedAtom && !this.draggedElement) {
-            this.startDragging(spawnedAtom, x, y);
+        // 3) a loose atom is picked up
+        if (hit && hit.atom && !hand.draggedElement) {
+            this.startDragging(hit.atom, x, y, hand);
             return;
         }
 
@@ -309,22 +712,176 @@ class ARChemistryApp {
         const paletteElement = this.getPaletteElementAtPosition(x, y);
         if (paletteElement) {
             const elementType = paletteElement.dataset.element;
+            this._checkpoint(`new ${this.getElementName(elementType)} atom`);
             this.spawnAtom(elementType, x, y);
         }
     }
 
-    handlePinchRelease(indexTip) {
-        this.isPinching = false;
+    handlePinchRelease(indexTip, hand = this.primaryHand) {
+        hand.isPinching = false;
+        hand.rotating = null;
+        if (hand.grip === 'push') hand.grip = null;
+
+        if (hand.isDragging && hand.draggedElement) {
+            const { x, y } = this.handPointToPage(indexTip);
+            this.dropElement(x, y, hand);
+        }
+    }
+
+    _startMoleculeDrag(moleculeEl, x, y, hand) {
+        // create a lightweight data object that works with startDragging
+        const md = { element: moleculeEl, type: 'molecule', id: moleculeEl.dataset && moleculeEl.dataset.id ? moleculeEl.dataset.id : ('mol-' + Date.now()) };
+        // ensure molecule has position style (absolute)
+        moleculeEl.style.position = 'absolute';
+        this.startDragging(md, x, y, hand);
+    }
+
+    // ---------- Gesture handlers (fist, open palm, swipe, dwell) ----------
+    // point: landmark-style { x, y } in normalized video coordinates. The calibrated
+    // reach (if any) is stretched over the whole page; x is mirrored like the video.
+    handPointToPage(point) {
+        const screen = HandCalibration.toScreen(point, this.reach);
+        return { x: window.innerWidth * (1 - screen.x), y: screen.y * window.innerHeight };
+    }
+
+    // inverse of handPointToPage, for input that starts out in page coordinates (PointerInput)
+    pageToHandPoint(x, y) {
+        return HandCalibration.fromScreen({ x: 1 - x / window.innerWidth, y: y / window.innerHeight }, this.reach);
+    }
+
+    // fist closed over a molecule: grab the whole thing
+    handleFistStart(point, hand = this.primaryHand) {
+        if (hand.isDragging) return;
+        const { x, y } = this.handPointToPage(point);
+        const moleculeHit = this.getMoleculeAtPosition(x, y, this._reachOf(hand));
+        if (!moleculeHit || this._handHolding(moleculeHit)) {
+            this.updateStatus('Close your fist over a molecule to move it');
+            return;
+        }
+        hand.grip = 'fist';
+        this._startMoleculeDrag(moleculeHit, x, y, hand);
+    }
+
+    handleFistRelease(point, hand = this.primaryHand) {
+        if (hand.grip !== 'fist') return;
+        hand.grip = null;
+        if (hand.isDragging) {
+            const { x, y } = this.handPointToPage(point);
+            this.dropElement(x, y, hand);
+        }
+    }
+
+    // open palm: dismiss the bond popup, or put back what a dwell picked up
+    handleOpenPalm(point, hand = this.primaryHand) {
+        const cancel = document.querySelector('.bond-popup #bond-cancel');
+        if (cancel) {
+            this._simulatePinchClick(cancel);
+            this.updateStatus('Bond choice cancelled');
+            return;
+        }
+        if (hand.isDragging && hand.grip === 'dwell') {
+            this._cancelDrag(hand);
+            this.updateStatus('Move cancelled');
+        }
+    }
+
+    // two-finger swipe over a molecule (or the active one): sideways turns it,
+    // up or down flips it over
+    handleSwipe(point, hand = this.primaryHand, event = {}) {
+        const { x, y } = this.handPointToPage(point);
+        const hit = this.getMoleculeAtPosition(x, y);
+        const entry = (hit && this._moleculeEntryFor(hit)) || this.activeMolecule;
+        if (!entry) {
+            this.updateStatus('Swipe two fingers over a molecule to turn or flip it');
+            return;
+        }
+
+        this._checkpoint(event.axis === 'y' ? 'flip' : 'rotation');
+        const before = new Map(entry.graph.atoms.map(a => [a.id, { x: a.x, y: a.y }]));
+        if (event.axis === 'y') {
+            StructureLayout.flip(entry.graph, 'y');
+        } else {
+            // the video is mirrored, so a swipe to the right on screen has dx < 0
+            StructureLayout.rotate(entry.graph, event.dx < 0 ? SWIPE_ROTATION : -SWIPE_ROTATION);
+        }
+        const enterFrom = {};
+        before.forEach((p, id) => { enterFrom[id] = p; });
+        this._renderMolecule(entry, { enterFrom });
+        this.activeMolecule = entry;
+        this.updateStatus(event.axis === 'y' ? 'Flipped molecule' : 'Rotated molecule');
+    }
+
+    // fingertip held still: pick up / press like a pinch, and a second dwell drops
+    handleDwell(point, hand = this.primaryHand) {
+        if (hand.isDragging) {
+            if (hand.grip === 'dwell') {
+                const { x, y } = this.handPointToPage(point);
+                hand.grip = null;
+                this.dropElement(x, y, hand);
+            }
+            return;
+        }
+        hand.grip = 'dwell';
+        this.handlePinchStart(point, hand);
+        if (!hand.isDragging) hand.grip = null;
+    }
 
-        if (this.isDragging && this.draggedElement) {
-            const x = this.getCorrectedX(indexTip.x * window.innerWidth);
-            const y = indexTip.y * window.innerHeight;
-            this.dropElement(x, y);
+    _showDwellProgress(hand, progress) {
+        if (!hand.cursor) return;
+        hand.cursor.classList.toggle('dwelling', progress > 0.2);
+        hand.cursor.style.setProperty('--dwell', `${Math.round(progress * 360)}deg`);
+    }
+
+    // put the dragged item back where it was picked up
+    _cancelDrag(hand) {
+        const dragged = hand.draggedElement;
+        if (!dragged) return;
+        dragged.element.classList.remove('dragging');
+        dragged.element.style.pointerEvents = '';
+        dragged.element.style.cursor = '';
+        if (dragged.type === 'atom-pull') {
+            this._renderMolecule(dragged.entry);
+        } else if (hand.dragStart) {
+            dragged.element.style.left = hand.dragStart.left;
+            dragged.element.style.top = hand.dragStart.top;
+            const entry = dragged.type === 'molecule' ? this._moleculeEntryFor(dragged.element) : null;
+            if (entry && hand.zoomFrom) this._setMoleculeScale(entry, hand.zoomFrom.scale);
+            if (dragged.type !== 'molecule') {
+                dragged.x = parseFloat(hand.dragStart.left) || 0;
+                dragged.y = parseFloat(hand.dragStart.top) || 0;
+            }
         }
+        hand.draggedElement = null;
+        hand.isDragging = false;
+        hand.grip = null;
+        this.history.discard(hand.dragRecord);
+        this._updateHistoryButtons();
+    }
+
+    // the hand state dragging this element (or pulling an atom out of this card), or null
+    _handHolding(element) {
+        return this.handStates.find(h => h.draggedElement && this._dragInvolves(h.draggedElement, [element])) || null;
+    }
+
+    _dragInvolves(dragged, elements) {
+        return elements.includes(dragged.element) || (dragged.entry && elements.includes(dragged.entry.element));
+    }
+
+    // Let go of anything a hand is holding among these elements (they are being
+    // consumed or removed), so the hand can pick up something else.
+    _releaseHeld(elements) {
+        this.handStates.forEach(hand => {
+            if (hand.draggedElement && this._dragInvolves(hand.draggedElement, elements)) {
+                hand.draggedElement = null;
+                hand.isDragging = false;
+                hand.isPinching = false;
+            }
+        });
     }
 
+    // landmark x in px (landmark.x * innerWidth) -> page x, calibrated as in handPointToPage
     getCorrectedX(x) {
-        return window.innerWidth - x;
+        return this.handPointToPage({ x: x / window.innerWidth, y: 0 }).x;
     }
 
     getPaletteElementAtPosition(x, y) {
@@ -342,19 +899,68 @@ class ARChemistryApp {
         return null;
     }
 
-    // returns topmost molecule under x,y or null
-    getMoleculeAtPosition(x, y) {
-        const molecules = Array.from(document.querySelectorAll('.molecule')).reverse(); // topmost first
-        for (const m of molecules) {
-            const rect = m.getBoundingClientRect();
-            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
-                return m;
-            }
-        }
-        return null;
+    // molecule card element under x,y or null: the front one, or the one `depth` layers
+    // further back
+    getMoleculeAtPosition(x, y, depth = 0) {
+        const hit = this._itemAt(x, y, depth, item => item.molecule);
+        return hit ? hit.element : null;
+    }
+
+    // ---------- Layers: which atom or card is in front ----------
+    // Every loose atom and molecule card has its own layer; new and picked-up items come
+    // to the front. A hand picks the front item under it, or one further back the harder
+    // it pushes towards the camera (HandDepth.layer).
+    _raise(el) {
+        if (this.topLayer >= LAYER_LIMIT) this._compactLayers();
+        el.style.zIndex = ++this.topLayer;
+    }
+
+    _layerOf(el) {
+        return parseInt(el.style.zIndex, 10) || 0;
+    }
+
+    // renumber the layers 1, 2, ... keeping their order
+    _compactLayers() {
+        const items = this._layeredItems().sort((a, b) => this._layerOf(a.element) - this._layerOf(b.element));
+        items.forEach((item, i) => { item.element.style.zIndex = i + 1; });
+        this.topLayer = items.length;
+    }
+
+    // [{ element, atom } | { element, molecule }] for every loose atom and card
+    // (not the cards a reaction is using up)
+    _layeredItems() {
+        return [
+            ...this.spawnedAtoms.map(atom => ({ element: atom.element, atom })),
+            ...this.molecules.filter(m => !m.reacting).map(molecule => ({ element: molecule.element, molecule }))
+        ];
+    }
+
+    // items under page point x,y that pass `filter`, front to back
+    _itemsAt(x, y, filter = () => true) {
+        return this._layeredItems()
+            .filter(item => {
+                const rect = item.element.getBoundingClientRect();
+                return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom && filter(item);
+            })
+            .sort((a, b) => this._layerOf(b.element) - this._layerOf(a.element));
+    }
+
+    // the item `depth` layers back from the front one (the back one when there are fewer)
+    _itemAt(x, y, depth = 0, filter = undefined) {
+        const items = this._itemsAt(x, y, filter);
+        return items.length ? items[Math.min(depth, items.length - 1)] : null;
+    }
+
+    // how far back a hand reaches: a press has used up DEPTH_PRESS of its push already
+    _reachOf(hand) {
+        return HandDepth.layer(hand.depth.push, hand.grip === 'push' ? DEPTH_PRESS : 0);
     }
 
     clearAll() {
+        this._checkpoint('clear');
+        const popup = document.querySelector('.bond-popup');
+        if (popup) popup.remove();
+
         this.spawnedAtoms.forEach(item => {
             if (item.element && item.element.parentNode) {
                 item.element.remove();
@@ -363,13 +969,15 @@ class ARChemistryApp {
         this.spawnedAtoms = [];
 
         document.querySelectorAll('.molecule').forEach(mol => mol.remove());
-
-        this.ccIntermediates.forEach(i=>{ if (i.element && i.element.parentNode) i.element.remove(); });
-        this.ccIntermediates = [];
-
-        this.draggedElement = null;
-        this.isDragging = false;
-        this.isPinching = false;
+        this.molecules = [];
+        this.activeMolecule = null;
+        this.topLayer = 0;
+
+        this.handStates.forEach(hand => {
+            hand.draggedElement = null;
+            hand.isDragging = false;
+            hand.isPinching = false;
+        });
 
         this.updateStatus('Cleared all atoms and molecules.');
     }
@@ -378,15 +986,6 @@ class ARChemistryApp {
         const elementName = this.getElementName(elementType);
         this.updateStatus(`Spawned ${elementName} atom - pinch to drag`);
 
-        const atom = document.createElement('div');
-        atom.className = 'spawned-atom';
-        atom.dataset.element = elementType;
-        atom.dataset.id = Date.now() + Math.random();
-
-        atom.innerHTML = `
-            <div class="atom ${elementType.toLowerCase()}">${elementType}</div>
-        `;
-
         const containerRect = this.moleculeContainer.getBoundingClientRect();
         const spawnX = Math.max(
             30,
@@ -397,36 +996,63 @@ class ARChemistryApp {
             Math.min(containerRect.height - 60, y - containerRect.top - 30)
         );
 
-        atom.style.left = `${spawnX}px`;
-        atom.style.top = `${spawnY}px`;
+        return this._createSpawnedAtom(elementType, spawnX, spawnY);
+    }
+
+    // loose atom at container-local left/top (px)
+    _createSpawnedAtom(elementType, left, top) {
+        // a spawned atom is a one-atom graph; merges combine graphs
+        const graph = new MoleculeGraph();
+        graph.addAtom(elementType);
+
+        const atom = document.createElement('div');
+        atom.className = 'spawned-atom';
+        atom.dataset.element = elementType;
+        atom.dataset.id = Date.now() + Math.random();
+
+        atom.innerHTML = `
+            <div class="atom ${MoleculeRenderer.atomClass(elementType)}">${elementType}<span class="open-bonds">${BondingEngine.openValence(graph, graph.atoms[0])}</span></div>
+        `;
+
+        atom.style.left = `${left}px`;
+        atom.style.top = `${top}px`;
         atom.style.position = 'absolute';
+        this._raise(atom);
 
         this.moleculeContainer.appendChild(atom);
 
         const atomData = {
             element: atom,
             type: elementType,
-            x: spawnX,
-            y: spawnY,
-            id: atom.dataset.id
+            x: left,
+            y: top,
+            id: atom.dataset.id,
+            graph
         };
 
         this.spawnedAtoms.push(atomData);
+        return atomData;
     }
 
     getElementName(elementType) {
-        const names = { 'C': 'Carbon', 'H': 'Hydrogen', 'O': 'Oxygen' };
-        return names[elementType] || elementType;
+        return PeriodicTable.elementName(elementType);
     }
 
     // startDragging supports both spawned atoms and molecules
-    startDragging(atomData, x, y) {
-        this.draggedElement = atomData;
-        this.isDragging = true;
+    startDragging(atomData, x, y, hand = this.primaryHand) {
+        hand.draggedElement = atomData;
+        hand.isDragging = true;
 
         const rect = atomData.element.getBoundingClientRect();
-        this.dragOffset.x = x - rect.left;
-        this.dragOffset.y = y - rect.top;
+        hand.dragOffset.x = x - rect.left;
+        hand.dragOffset.y = y - rect.top;
+        hand.dragStart = { left: atomData.element.style.left, top: atomData.element.style.top };
+        // named for what the drop turns out to do (see dropElement)
+        hand.dragRecord = this._checkpoint(atomData.type === 'atom-pull' ? 'pull apart' : 'move');
+        // what is picked up comes to the front
+        this._raise(atomData.type === 'atom-pull' ? atomData.entry.element : atomData.element);
+        const entry = atomData.type === 'molecule' ? this._moleculeEntryFor(atomData.element) : null;
+        hand.zoomFrom = entry && hand.grip !== 'push' && hand.depth.size ? { size: hand.depth.size, scale: entry.scale } : null;
 
         // mark draggable visual
         atomData.element.classList.add('dragging');
@@ -438,16 +1064,18 @@ class ARChemistryApp {
             // ensure molecule has dataset.id (use if not present)
             if (!atomData.element.dataset.id) atomData.element.dataset.id = 'mol-' + Date.now();
             this.updateStatus('Grabbed molecule (drag to move)');
+        } else if (atomData.type === 'atom-pull') {
+            this.updateStatus(`Pull the ${this.getElementName(atomData.atom.element)} atom out of the molecule to break its bonds`);
         } else {
             this.updateStatus(`Grabbed ${this.getElementName(atomData.type)} atom`);
         }
     }
 
     // dropElement: handles molecules specially and also attachments / merges for atoms
-    dropElement(x, y) {
-        if (!this.draggedElement) return;
+    dropElement(x, y, hand = this.primaryHand) {
+        if (!hand.draggedElement) return;
 
-        const draggedRef = this.draggedElement;
+        const draggedRef = hand.draggedElement;
 
         // restore visuals for element
         try {
@@ -456,212 +1084,103 @@ class ARChemistryApp {
             draggedRef.element.style.cursor = '';
         } catch (e) { /* ignore */ }
 
+        const record = hand.dragRecord;
+        if (draggedRef.type === 'atom-pull') {
+            hand.draggedElement = null;
+            hand.isDragging = false;
+            hand.isPinching = false;
+            if (!this._finishAtomPull(draggedRef, x, y)) this.history.discard(record);
+            this._updateHistoryButtons();
+            return;
+        }
+
         // If we're dragging a molecule, just drop and update its position
         if (draggedRef.type === 'molecule') {
             // set final position within container bounds
             const containerRect = this.moleculeContainer.getBoundingClientRect();
             const rect = draggedRef.element.getBoundingClientRect();
-            let finalLeft = x - this.dragOffset.x - containerRect.left;
-            let finalTop = y - this.dragOffset.y - containerRect.top;
+            let finalLeft = x - hand.dragOffset.x - containerRect.left;
+            let finalTop = y - hand.dragOffset.y - containerRect.top;
             const w = rect.width, h = rect.height;
             finalLeft = Math.max(0, Math.min(containerRect.width - w, finalLeft));
             finalTop = Math.max(0, Math.min(containerRect.height - h, finalTop));
             draggedRef.element.style.left = `${finalLeft}px`;
             draggedRef.element.style.top = `${finalTop}px`;
+            this.activeMolecule = this._moleculeEntryFor(draggedRef.element) || this.activeMolecule;
 
             // clear drag state
-            this.draggedElement = null;
-            this.isDragging = false;
-            this.isPinching = false;
-
+            hand.draggedElement = null;
+            hand.isDragging = false;
+            hand.isPinching = false;
+
+            // dropped onto another molecule: they may react
+            const target = this._itemAt(x, y, 0, item => item.molecule && item.element !== draggedRef.element);
+            const entry = this._moleculeEntryFor(draggedRef.element);
+            if (target && entry && this.dropOnMolecule(entry, target.molecule, x, y, record)) return;
+
+            // put back where it was picked up: nothing to undo
+            if (this._dropUnmoved(draggedRef, hand)) this.history.discard(record);
+            this._updateHistoryButtons();
             this.updateStatus('Moved molecule');
             return;
         }
 
-        // For atom drops: first check if dropped onto an existing C3 intermediate -> handle H-attachment
+        // For atom drops: first check if dropped onto an intermediate -> bond to its nearest open atom
         const topElems = document.elementsFromPoint(x, y);
         const molEl = topElems.find(e => e.classList && e.classList.contains('molecule'));
-        // handle C3 before C2
-        if (molEl && molEl.dataset && molEl.dataset.base === 'C3') {
-            if (draggedRef.type === 'H') {
-                const prev = parseInt(molEl.dataset.hcount || '0', 10);
-                const required = parseInt(molEl.dataset.required || '6', 10);
-                const now = prev + 1;
-                molEl.dataset.hcount = String(now);
-
-                // remove H atom from scene & spawnedAtoms
-                this.removeAtoms([draggedRef]);
-
-                this.updateStatus(`Attached H to C₃ intermediate — ${now}/${required} H attached`);
-
-                if (now >= required) {
-                    // finalize to Cyclopropane (C3H6)
-                    const r = molEl.getBoundingClientRect();
-                    const centerX = r.left + r.width / 2;
-                    const centerY = r.top + r.height / 2;
-                    molEl.remove();
-                    this.createMoleculeVisual('Cyclopropane', 'C₃H₆', [], centerX, centerY, { style: 'c3h6-detailed' });
-                    this.updateStatus('Cyclopropane formed (C₃H₆)');
-                }
-
-                // clear internal drag state
-                this.draggedElement = null;
-                this.isDragging = false;
-                this.isPinching = false;
-                return;
-            }
+        const molEntry = molEl ? this._moleculeEntryFor(molEl) : null;
+        if (molEntry && molEntry.kind === 'intermediate') {
+            if (record) record.label = `${this.getElementName(draggedRef.type)} bond`;
+            this._attachAtomToMolecule(molEntry, draggedRef, x, y);
+
+            // clear internal drag state AFTER handling
+            hand.draggedElement = null;
+            hand.isDragging = false;
+            hand.isPinching = false;
+            return;
         }
 
-        // For atom drops: first check if dropped onto an existing C2 intermediate -> handle H-attachment
-        if (molEl && molEl.dataset && molEl.dataset.base === 'C2') {
-            if (draggedRef.type === 'H') {
-                const prev = parseInt(molEl.dataset.hcount || '0', 10);
-                const required = parseInt(molEl.dataset.required || '0', 10);
-                const now = prev + 1;
-                molEl.dataset.hcount = String(now);
-
-                // attach hydrogen visually to correct carbon center
-                this._attachHydrogenToC2Visual(molEl, now);
+        // a carbon dropped between two close carbons closes a C₃ ring
+        const placed = this._placedAtoms();
+        const dropped = placed.find(p => p.atom === draggedRef);
+        const ring = dropped && MoleculeBuilder.findRing(dropped, placed);
+        if (ring) {
+            const atoms = [ring.pair[0].atom, ring.pair[1].atom, draggedRef];
+            this.removeAtoms(atoms);
 
-                // remove H atom from scene & spawnedAtoms
-                this.removeAtoms([draggedRef]);
+            const graph = MoleculeBuilder.closeRing(atoms.map(a => a.graph));
+            const entry = this._createMoleculeCard(graph, ring.centroid.x, ring.centroid.y, { size: 260, kind: 'intermediate' });
+            this._markRingIntermediate(entry);
+            if (record) record.label = 'C₃ ring';
 
-                this.updateStatus(`Attached H to ${molEl.dataset.bond} bond — ${now}/${required} H attached`);
-
-                // if we've reached required Hs, convert intermediate to final molecule
-                if (now >= required) {
-                    const bondType = molEl.dataset.bond || 'single';
-                    let name = 'C2Hx', formula = 'C2Hx', style = null;
-                    if (bondType === 'single') { name = 'Ethane'; formula = 'C2H6'; style = 'c2single-detailed'; }
-                    else if (bondType === 'double') { name = 'Ethene'; formula = 'C2H4'; style = 'c2h4-detailed'; }
-                    else if (bondType === 'triple') { name = 'Ethyne'; formula = 'C2H2'; style = 'c2h2-detailed'; }
-
-                    const r = molEl.getBoundingClientRect();
-                    const centerX = r.left + r.width / 2;
-                    const centerY = r.top + r.height / 2;
-
-                    molEl.remove();
-                    this.createMoleculeVisual(name, formula, [], centerX, centerY, { style });
-                    this.updateStatus(`${name} formed (${formula})`);
-                }
+            this.updateStatus(`C₃ intermediate created — ${BondingEngine.totalOpenValence(graph)} open bonds left to fill`);
 
-                // clear internal drag state AFTER handling
-                this.draggedElement = null;
-                this.isDragging = false;
-                this.isPinching = false;
-                return;
-            }
+            hand.draggedElement = null; hand.isDragging = false; hand.isPinching = false; return;
         }
 
-        // If not attaching to intermediate — detect merge with another spawned carbon (C + C)
-        const mergeThreshold = 70; // px
-
-        // SPECIAL: if dragging a Carbon, check for an existing nearby *pair* of carbons to form a cyclic C3 intermediate
-        if (draggedRef.type === 'C') {
-            const others = this.spawnedAtoms.filter(a => a !== draggedRef && a.type === 'C');
-            const pairThreshold = 90;
-            let pair = null;
-            for (let i=0;i<others.length;i++){
-                for (let j=i+1;j<others.length;j++){
-                    try {
-                        const r1 = others[i].element.getBoundingClientRect();
-                        const r2 = others[j].element.getBoundingClientRect();
-                        const c1 = { x: r1.left + r1.width/2, y: r1.top + r1.height/2 };
-                        const c2 = { x: r2.left + r2.width/2, y: r2.top + r2.height/2 };
-                        const d = Math.hypot(c1.x - c2.x, c1.y - c2.y);
-                        if (d < pairThreshold) { pair = [others[i], others[j]]; break; }
-                    } catch(e) { /* ignore */ }
-                }
-                if (pair) break;
-            }
-
-            if (pair) {
-                try {
-                    const pr1 = pair[0].element.getBoundingClientRect();
-                    const pr2 = pair[1].element.getBoundingClientRect();
-                    const centroid = { x: (pr1.left + pr1.width/2 + pr2.left + pr2.width/2)/2, y: (pr1.top + pr1.height/2 + pr2.top + pr2.height/2)/2 };
-                    const draggedRect = draggedRef.element.getBoundingClientRect();
-                    const draggedCenter = { x: draggedRect.left + draggedRect.width/2, y: draggedRect.top + draggedRect.height/2 };
-                    const dToCentroid = Math.hypot(draggedCenter.x - centroid.x, draggedCenter.y - centroid.y);
-
-                    if (dToCentroid < 120) {
-                        // remove the three carbon atoms from scene & spawnedAtoms
-                        this.removeAtoms([pair[0], pair[1], draggedRef]);
-
-                        const midX = centroid.x;
-                        const midY = centroid.y;
-
-                        // create C3 intermediate DOM
-                        const mol = document.createElement('div');
-                        mol.className = 'molecule';
-                        mol.dataset.base = 'C3';
-                        mol.dataset.hcount = '0';
-                        mol.dataset.required = '6';
-                        mol.dataset.type = 'cyclic';
-                        mol.style.position = 'absolute';
-                        const size = 260;
-                        mol.style.width = `${size}px`;
-                        mol.style.height = `${size}px`;
-
-                        const containerRect = this.moleculeContainer.getBoundingClientRect();
-                        const relLeft = Math.max(0, Math.min(containerRect.width - size, midX - containerRect.left - size/2));
-                        const relTop = Math.max(0, Math.min(containerRect.height - size, midY - containerRect.top - size/2));
-                        mol.style.left = `${relLeft}px`;
-                        mol.style.top = `${relTop}px`;
-
-                        mol.innerHTML = `<div class="molecule-structure"></div>`;
-                        const struct = mol.querySelector('.molecule-structure');
-                        struct.style.position = 'absolute';
-                        struct.style.left = '50%'; struct.style.top='50%'; struct.style.transform='translate(-50%,-50%)';
-                        struct.style.width = `${size}px`; struct.style.height = `${size}px`; struct.style.pointerEvents='none';
-
-                        // draw ring
-                        const centerX = size/2, centerY = size/2, r = 72;
-                        const angles = [ -90, 30, 150 ];
-                        const makeNode = (label, ax, ay) => {
-                            const n = document.createElement('div');
-                            n.className = 'atom carbon'; n.textContent = label; n.style.position='absolute'; const asize=55; n.style.left=`${ax - asize/2}px`; n.style.top=`${ay - asize/2}px`; return n;
-                        };
-                        const positions = angles.map(a=>{ const rad=a*Math.PI/180; return { x: centerX + Math.cos(rad)*r, y: centerY + Math.sin(rad)*r }; });
-                        const makeBond = (x1,y1,x2,y2) => { const dx=x2-x1, dy=y2-y1, len=Math.hypot(dx,dy), ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2), top=Math.min(y1,y2); const b=document.createElement('div'); b.className='bond'; b.style.position='absolute'; b.style.left=`${left}px`; b.style.top=`${top}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform = `translate(${x1-left}px,${y1-top}px) rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; return b; };
-
-                        struct.appendChild(makeBond(positions[0].x,positions[0].y, positions[1].x,positions[1].y));
-                        struct.appendChild(makeBond(positions[1].x,positions[1].y, positions[2].x,positions[2].y));
-                        struct.appendChild(makeBond(positions[2].x,positions[2].y, positions[0].x,positions[0].y));
-                        struct.appendChild(makeNode('C', positions[0].x, positions[0].y));
-                        struct.appendChild(makeNode('C', positions[1].x, positions[1].y));
-                        struct.appendChild(makeNode('C', positions[2].x, positions[2].y));
-
-                        mol.style.borderRadius = '50%';
-                        mol.style.boxShadow = '0 0 0 2px rgba(255,255,255,0.02) inset';
-
-                        this.moleculeContainer.appendChild(mol);
-
-                        // register as intermediate
-                        const intermObj = { element: mol, type: 'C3', x: relLeft, y: relTop, hcount: 0, required:6 };
-                        this.ccIntermediates.push(intermObj);
-
-                        this.updateStatus('C₃ intermediate created — attach 6 H atoms to form Cyclopropane (C₃H₆)');
-
-                        // done: clear drag state
-                        this.draggedElement = null; this.isDragging = false; this.isPinching = false; return;
-                    }
-                } catch(e) { /* ignore */ }
-            }
+        // a hydrogen dropped right onto another pairs into H₂
+        const h2 = dropped && MoleculeBuilder.h2Partner(dropped, placed);
+        if (h2) {
+            hand.draggedElement = null; hand.isDragging = false; hand.isPinching = false;
+            const atoms = [h2.atom, draggedRef];
+            const graph = MoleculeBuilder.pairH2(h2.atom.graph, draggedRef.graph);
+            const { name, formula, known } = MoleculeBuilder.describe(graph, this.catalog);
+            if (record) record.label = formula;
+            this.animateSnap(atoms, graph, h2.x, h2.y, name, formula, known && known.snapMessage);
+            return;
         }
 
-        const candidate = this.spawnedAtoms.find(a => a !== draggedRef && this._distanceBetweenAtoms(a, draggedRef) < mergeThreshold);
+        // ...or onto one carbon offers a C–C bond
+        const partner = dropped && MoleculeBuilder.c2Partner(dropped, placed);
 
         // clear internal drag state
-        this.draggedElement = null;
-        this.isDragging = false;
-        this.isPinching = false;
+        hand.draggedElement = null;
+        hand.isDragging = false;
+        hand.isPinching = false;
 
-        if (candidate) {
-            if (candidate.type === 'C' && draggedRef.type === 'C') {
-                this._showBondChoicePopupForPair(candidate, draggedRef);
-                return;
-            }
+        if (partner) {
+            this._showBondChoicePopupForPair(partner.atom, draggedRef);
+            return;
         }
 
         // Default drop
@@ -669,99 +1188,99 @@ class ARChemistryApp {
         const elementName = this.getElementName(elementType);
         this.updateStatus(`Dropped ${elementName} atom`);
 
-        if (typeof this.checkForMoleculeFormation === 'function') {
-            this.checkForMoleculeFormation();
-        }
+        const forming = this.checkForMoleculeFormation();
+        if (!forming && this._dropUnmoved(draggedRef, hand)) this.history.discard(record);
+        this._updateHistoryButtons();
     }
 
-    getSpawnedAtomAtPosition(x, y) {
-        for (const atomData of this.spawnedAtoms) {
-            const rect = atomData.element.getBoundingClientRect();
-
-            if (x >= rect.left && x <= rect.right &&
-                y >= rect.top && y <= rect.bottom) {
-                return atomData;
-            }
-        }
+    // whether a dropped atom or card is back where it was picked up (and a card at its
+    // old size), so the pick-up changed nothing worth an undo step
+    _dropUnmoved(dragged, hand) {
+        const same = (a, b) => Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) < 0.5;
+        const entry = dragged.type === 'molecule' ? this._moleculeEntryFor(dragged.element) : null;
+        if (entry && hand.zoomFrom && entry.scale !== hand.zoomFrom.scale) return false;
+        return same(dragged.element.style.left, hand.dragStart.left) && same(dragged.element.style.top, hand.dragStart.top);
+    }
 
-        return null;
+    // loose atom under x,y or null, picked by depth like getMoleculeAtPosition
+    getSpawnedAtomAtPosition(x, y, depth = 0) {
+        const hit = this._itemAt(x, y, depth, item => item.atom);
+        return hit ? hit.atom : null;
     }
 
-    updateFingerCursor(landmarks) {
-        const indexTip = landmarks[8];
+    updateFingerCursor(landmarks, hand = this.primaryHand) {
+        // a fist hides the fingertip, so it is tracked by the palm
+        const indexTip = landmarks[hand.grip === 'fist' ? 9 : 8];
 
-        if (indexTip && this.fingerCursor) {
-            const x = this.getCorrectedX(indexTip.x * window.innerWidth);
-            const y = indexTip.y * window.innerHeight;
+        if (indexTip && hand.cursor) {
+            const { x, y } = this.handPointToPage(indexTip);
 
-            this.fingerCursor.style.left = `${x - 12}px`;
-            this.fingerCursor.style.top = `${y - 12}px`;
-            this.fingerCursor.classList.add('active');
+            hand.cursor.style.left = `${x - 12}px`;
+            hand.cursor.style.top = `${y - 12}px`;
+            hand.cursor.classList.add('active');
+            // a ring that closes in as the hand pushes towards a press
+            hand.cursor.style.setProperty('--push', Math.max(0, Math.min(1, hand.depth.push / DEPTH_PRESS)).toFixed(2));
+            hand.cursor.classList.toggle('pressing', hand.depth.pressed);
         }
     }
 
-    hideFingerCursor() {
-        if (this.fingerCursor) {
-            this.fingerCursor.classList.remove('active');
+    hideFingerCursor(hand = this.primaryHand) {
+        if (hand.cursor) {
+            hand.cursor.classList.remove('active');
         }
     }
 
-    handleElementInteraction(landmarks) {
-        if (this.isDragging) {
-            const indexTip = landmarks[8];
+    handleElementInteraction(landmarks, hand = this.primaryHand) {
+        if (hand.isDragging || hand.rotating) {
+            const indexTip = landmarks[hand.grip === 'fist' ? 9 : 8];
             if (indexTip) {
-                const x = this.getCorrectedX(indexTip.x * window.innerWidth);
-                const y = indexTip.y * window.innerHeight;
-                this.updateDragPosition(x, y);
+                if (hand.zoomFrom && hand.isDragging) this._zoomHeldMolecule(hand);
+                const { x, y } = this.handPointToPage(indexTip);
+                this.updateDragPosition(x, y, hand);
             }
         }
     }
 
-    updateDragPosition(x, y) {
-        if (!this.isDragging || !this.draggedElement) return;
+    updateDragPosition(x, y, hand = this.primaryHand) {
+        if (hand.rotating) {
+            this._turnViewer(x, y, hand);
+            return;
+        }
+        if (!hand.isDragging || !hand.draggedElement) return;
 
         const containerRect = this.moleculeContainer.getBoundingClientRect();
+        const dragged = hand.draggedElement;
+
+        if (dragged.type === 'atom-pull') {
+            this._movePulledAtom(dragged, x, y);
+            return;
+        }
 
         // If dragging a molecule, clamp using its own dimensions
-        if (this.draggedElement.type === 'molecule') {
-            const rect = this.draggedElement.element.getBoundingClientRect();
-            let finalLeft = x - this.dragOffset.x - containerRect.left;
-            let finalTop = y - this.dragOffset.y - containerRect.top;
+        if (dragged.type === 'molecule') {
+            const rect = dragged.element.getBoundingClientRect();
+            let finalLeft = x - hand.dragOffset.x - containerRect.left;
+            let finalTop = y - hand.dragOffset.y - containerRect.top;
             finalLeft = Math.max(0, Math.min(containerRect.width - rect.width, finalLeft));
             finalTop = Math.max(0, Math.min(containerRect.height - rect.height, finalTop));
-            this.draggedElement.element.style.left = `${finalLeft}px`;
-            this.draggedElement.element.style.top = `${finalTop}px`;
+            dragged.element.style.left = `${finalLeft}px`;
+            dragged.element.style.top = `${finalTop}px`;
             return;
         }
 
         // default: atom dragging behavior
-        let relX = x - this.dragOffset.x - containerRect.left;
-        let relY = y - this.dragOffset.y - containerRect.top;
+        let relX = x - hand.dragOffset.x - containerRect.left;
+        let relY = y - hand.dragOffset.y - containerRect.top;
 
         const atomSize = 60;
         relX = Math.max(0, Math.min(containerRect.width - atomSize, relX));
         relY = Math.max(0, Math.min(containerRect.height - atomSize, relY));
 
-        this.draggedElement.element.style.left = `${relX}px`;
-        this.draggedElement.element.style.top = `${relY}px`;
-
-        this.draggedElement.x = relX;
-        this.draggedElement.y = relY;
-    }
+        dragged.element.style.left = `${relX}px`;
+        dragged.element.style.top = `${relY}px`;
 
-    // ---------- Helper: distance between spawned atom centers ----------
-    _distanceBetweenAtoms(a, b) {
-        try {
-            const ra = a.element.getBoundingClientRect();
-            const rb = b.element.getBoundingClientRect();
-            const ax = ra.left + ra.width / 2;
-            const ay = ra.top + ra.height / 2;
-            const bx = rb.left + rb.width / 2;
-            const by = rb.top + rb.height / 2;
-            return Math.hypot(ax - bx, ay - by);
-        } catch (e) {
-            return Infinity;
-        }
+        dragged.x = relX;
+        dragged.y = relY;
     }
 
     // ---------- Show bond choice popup (pinch-selectable) ----------
@@ -800,6 +1319,15 @@ class ARChemistryApp {
         `;
         document.body.appendChild(popup);
 
+        // only offer the bond orders both atoms still have valence for
+        const maxOrder = BondingEngine.maxBondOrder(
+            BondingEngine.openValence(atomA.graph, atomA.graph.atoms[0]),
+            BondingEngine.openValence(atomB.graph, atomB.graph.atoms[0])
+        );
+        ['bond-single', 'bond-double', 'bond-triple'].forEach((id, i) => {
+            if (i + 1 > maxOrder) { const btn = popup.querySelector(`#${id}`); btn.disabled = true; btn.style.opacity = '0.35'; }
+        });
+
         const cleanup = () => { if (popup && popup.parentNode) popup.remove(); };
 
         // selection handlers — identical to previous but also safe for programmatic click
@@ -829,8 +1357,16 @@ class ARChemistryApp {
         }, 9000);
     }
 
+    _markRingIntermediate(entry) {
+        entry.element.style.borderRadius = '50%';
+        entry.element.style.boxShadow = '0 0 0 2px rgba(255,255,255,0.02) inset';
+        entry.base = 'C3';
+    }
+
     // ---------- Create C2 intermediate visual & bookkeeping ----------
     _createC2Intermediate(atomA, atomB, bondType = 'single') {
+        this._checkpoint(`C₂ ${bondType} bond`);
+
         // remove the two carbon atoms from spawnedAtoms and DOM
         this.removeAtoms([atomA, atomB]);
 
@@ -840,364 +1376,205 @@ class ARChemistryApp {
         const midX = (ra.left + rb.left + ra.width + rb.width) / 4;
         const midY = (ra.top + rb.top + ra.height + rb.height) / 4;
 
-        // Create a molecule card that represents the C2 intermediate
-        const name = (bondType === 'single') ? 'C–C (single)' : (bondType === 'double') ? 'C=C (double)' : 'C≡C (triple)';
-        const formula = 'C2'; // intermediate label
-        const molecule = document.createElement('div');
-        molecule.className = 'molecule';
-        molecule.dataset.base = 'C2';
-        molecule.dataset.bond = bondType;       // 'single' | 'double' | 'triple'
-        molecule.dataset.hcount = '0';          // attached Hs so far
-        molecule.dataset.required = (bondType === 'single') ? '6' : (bondType === 'double') ? '4' : '2';
-        molecule.style.position = 'absolute';
+        const name = MoleculeBuilder.c2Name(bondType);
+        // merge both carbons into one graph joined by the chosen bond (no hydrogens yet)
+        const graph = MoleculeBuilder.bondC2(atomA.graph, atomB.graph, bondType);
 
-        molecule.innerHTML = `<div class="molecule-title">${name}</div><div class="molecule-structure"></div>`;
-        const width = 240, height = 240;
-        molecule.style.width = `${width}px`;
-        molecule.style.height = `${height}px`;
+        const entry = this._createMoleculeCard(graph, midX, midY, { title: name, kind: 'intermediate' });
+        Object.assign(entry, { base: 'C2', bond: bondType });
 
-        const containerRect = this.moleculeContainer.getBoundingClientRect();
-        const relLeft = Math.max(0, Math.min(containerRect.width - width, midX - containerRect.left - width / 2));
-        const relTop  = Math.max(0, Math.min(containerRect.height - height, midY - containerRect.top - height / 2));
-        molecule.style.left = `${relLeft}px`;
-        molecule.style.top = `${relTop}px`;
+        // make molecule draggable: add a small invisible hit area so that pinch-detection over molecule finds it
+        entry.element.style.touchAction = 'none'; // helpful for pointer events if used elsewhere
 
-        const structure = molecule.querySelector('.molecule-structure');
-        structure.style.position = 'absolute';
-        structure.style.left = '50%';
-        structure.style.top = '50%';
-        structure.style.transform = 'translate(-50%,-50%)';
-        structure.style.width = `${width}px`;
-        structure.style.height = `${height}px`;
-        structure.style.pointerEvents = 'none';
+        this.updateStatus(`${name} created — attach atoms to fill its ${BondingEngine.totalOpenValence(graph)} open bonds`);
+    }
 
-        // draw only the two carbons and the chosen bond (no hydrogens yet)
-        const cx = width/2, cy = height/2;
-        const spacing = 40;
-        const c1x = cx - spacing, c2x = cx + spacing;
-
-        const makeNode = (cls, label, x, y) => {
-            const n = document.createElement('div');
-            n.className = `atom ${cls}`;
-            n.textContent = label;
-            n.style.position = 'absolute';
-            const size = (cls === 'hydrogen') ? 40 : 55;
-            n.style.left = `${x - size/2}px`;
-            n.style.top = `${y - size/2}px`;
-            return n;
-        };
+    // ---------- Attach a dropped atom to an intermediate: single bond to the nearest atom with an open bond ----------
+    _attachAtomToMolecule(entry, atomData, x, y) {
+        const graph = entry.graph;
+        const atomGraph = atomData.graph;
+        const incoming = atomGraph.atoms[0];
 
-        const c1 = makeNode('carbon', 'C', c1x, cy);
-        const c2 = makeNode('carbon', 'C', c2x, cy);
-
-        // draw bond between c1 and c2 with correct multiplicity
-        const drawBond = (x1, y1, x2, y2, bond) => {
-            // Ensure bond line coordinates are relative to the structure element (we are operating in that space)
-            const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx, dy), ang = Math.atan2(dy, dx) * 180 / Math.PI;
-            // compute where to place the bond DOM element inside `structure`
-            // left/top = min coords, transform translates from x1-left and rotate
-            const left = Math.min(x1, x2);
-            const top = Math.min(y1, y2);
-
-            const createLine = (ox = 0, oy = 0) => {
-                const b = document.createElement('div');
-                b.className = 'bond';
-                b.style.position = 'absolute';
-                b.style.left = `${left}px`;
-                b.style.top = `${top}px`;
-                b.style.width = `${len}px`;
-                b.style.height = '4px';
-                b.style.transformOrigin = '0 50%';
-                // translate by (x1-left + offsetX, y1-top + offsetY) then rotate
-                b.style.transform = `translate(${x1 - left + ox}px, ${y1 - top + oy}px) rotate(${ang}deg)`;
-                b.style.background = '#00ff88';
-                b.style.borderRadius = '2px';
-                return b;
-            };
+        const anchor = MoleculeBuilder.attachAnchor(graph, atomGraph, (atom) => {
+            const node = entry.element.querySelector(`[data-atom-id="${atom.id}"]`);
+            return node ? MoleculeBuilder.distance(this._centerOf(node), { x, y }) : Infinity;
+        });
 
-            if (bond === 'single') {
-                structure.appendChild(createLine());
-            } else if (bond === 'double') {
-                const offset = 6;
-                const nx = -dy / (len || 1), ny = dx / (len || 1);
-                structure.appendChild(createLine(nx * offset, ny * offset));
-                structure.appendChild(createLine(-nx * offset, -ny * offset));
-            } else if (bond === 'triple') {
-                const offset = 8;
-                const nx = -dy / (len || 1), ny = dx / (len || 1);
-                structure.appendChild(createLine(0, 0));
-                structure.appendChild(createLine(nx * offset, ny * offset));
-                structure.appendChild(createLine(-nx * offset, -ny * offset));
-            }
-        };
+        if (!anchor) {
+            const why = BondingEngine.openValence(atomGraph, incoming) < 1
+                ? `${this.getElementName(incoming.element)} cannot form bonds`
+                : 'No open bonds left on this structure';
+            this.updateStatus(why);
+            return false;
+        }
 
-        drawBond(c1x, cy, c2x, cy, bondType);
-        structure.appendChild(c1);
-        structure.appendChild(c2);
+        const before = new Map(graph.atoms.map(a => [a.id, { x: a.x, y: a.y }]));
+        const added = MoleculeBuilder.attach(graph, atomGraph, anchor);
 
-        // subtle title styling
-        const titleEl = molecule.querySelector('.molecule-title');
-        if (titleEl) {
-            titleEl.style.position = 'absolute';
-            titleEl.style.top = '10px';
-            titleEl.style.left = '50%';
-            titleEl.style.transform = 'translateX(-50%)';
-            titleEl.style.zIndex = '10';
-            titleEl.style.pointerEvents = 'auto';
-        }
+        // remove the atom from scene & spawnedAtoms
+        this.removeAtoms([atomData]);
 
-        // append to container
-        this.moleculeContainer.appendChild(molecule);
+        // redraw, with the new atom sliding out of its partner and the rest easing into the new layout
+        const enterFrom = { [added.id]: before.get(anchor.id) };
+        before.forEach((p, id) => {
+            const atom = graph.getAtom(id);
+            if (Math.hypot(atom.x - p.x, atom.y - p.y) > 1) enterFrom[id] = p;
+        });
+        this._renderMolecule(entry, { enterFrom });
 
-        // store internal positions for later hydrogen attachments (positions are inside structure coords)
-        molecule._internal = {
-            c1pos: { x: c1x, y: cy },
-            c2pos: { x: c2x, y: cy },
-            hydrogens: []
-        };
+        const left = BondingEngine.totalOpenValence(graph);
+        const anchorOpen = BondingEngine.openValence(graph, anchor);
+        this.updateStatus(`Bonded ${incoming.element} to ${anchor.element} (${anchorOpen} open on that ${anchor.element}) — ${left} open bonds left`);
 
-        // make molecule draggable: add a small invisible hit area so that pinch-detection over molecule finds it
-        molecule.style.touchAction = 'none'; // helpful for pointer events if used elsewhere
-
-        this.updateStatus(`${name} created — attach H atoms to convert to full molecule`);
-    }
-
-    // ---------- Attach hydrogen to C2 intermediate; bond originates at the chosen carbon center ----------
-    _attachHydrogenToC2Visual(molEl, newCount) {
-        const structure = molEl.querySelector('.molecule-structure');
-        if (!structure) return;
-
-        const info = molEl._internal || { c1pos: { x: 60, y: 120 }, c2pos: { x: 180, y: 120 }, hydrogens: [] };
-        const bondType = molEl.dataset.bond || 'single';
-        const count = newCount; // 1-based total attached
-
-        // pick which carbon this hydrogen should attach to and the placement offset
-        let attachTo = 'c1';
-        let indexOnCarbon = 0;
-
-        if (bondType === 'single') {
-            // ethane: 6 H total -> 3 on c1 then 3 on c2
-            const which = (count - 1) % 6; // 0..5
-            if (which < 3) { attachTo = 'c1'; indexOnCarbon = which; } else { attachTo = 'c2'; indexOnCarbon = which - 3; }
-        } else if (bondType === 'double') {
-            // ethene: 4 H total -> 2 on c1 then 2 on c2
-            const which = (count - 1) % 4; // 0..3
-            if (which < 2) { attachTo = 'c1'; indexOnCarbon = which; } else { attachTo = 'c2'; indexOnCarbon = which - 2; }
-        } else if (bondType === 'triple') {
-            // ethyne: 2 H total -> 1 on c1 then 1 on c2
-            const which = (count - 1) % 2;
-            attachTo = (which === 0) ? 'c1' : 'c2';
-            indexOnCarbon = 0;
-        }
-
-        // define offset positions relative to a carbon center depending on bond type
-        const offsets = {
-            single: [
-                [{ x: -36, y: -40 }, { x: -70, y: 0 }, { x: -36, y: 40 }], // c1 positions
-                [{ x: 36, y: -40 }, { x: 70, y: 0 }, { x: 36, y: 40 }]    // c2 positions
-            ],
-            double: [
-                [{ x: -64, y: -20 }, { x: -64, y: 20 }], // c1 2 positions
-                [{ x: 64, y: -20 }, { x: 64, y: 20 }]    // c2 2 positions
-            ],
-            triple: [
-                [{ x: -100, y: 0 }], // c1 single position
-                [{ x: 100, y: 0 }]   // c2 single position
-            ]
-        };
+        if (BondingEngine.isComplete(graph)) this._finalizeMolecule(entry);
+        return true;
+    }
 
-        // compute carbon base coordinate (within structure coordinate space)
-        const base = (attachTo === 'c1') ? info.c1pos : info.c2pos;
-        let offsetList;
-        if (bondType === 'single') offsetList = offsets.single[(attachTo === 'c1') ? 0 : 1];
-        else if (bondType === 'double') offsetList = offsets.double[(attachTo === 'c1') ? 0 : 1];
-        else offsetList = offsets.triple[(attachTo === 'c1') ? 0 : 1];
-
-        // choose offset for this index
-        const off = offsetList[indexOnCarbon % offsetList.length];
-
-        // actual target position within structure coords
-        const target = { x: base.x + off.x, y: base.y + off.y };
-
-        // create hydrogen node at carbon center, animate to target
-        const hNode = document.createElement('div');
-        hNode.className = 'atom hydrogen';
-        hNode.textContent = 'H';
-        hNode.style.position = 'absolute';
-        // start at carbon center (so bond originates from carbon)
-        const startX = base.x - 20, startY = base.y - 20;
-        hNode.style.left = `${startX}px`;
-        hNode.style.top = `${startY}px`;
-        hNode.style.transform = 'scale(0.6)';
-        hNode.style.transition = 'left 420ms cubic-bezier(.2,.9,.2,1), top 420ms cubic-bezier(.2,.9,.2,1), transform 420ms ease';
-        structure.appendChild(hNode);
-
-        // create bond element anchored at carbon center
-        const bondEl = document.createElement('div');
-        bondEl.className = 'bond live-bond';
-        bondEl.style.position = 'absolute';
-        bondEl.style.background = '#00ff88';
-        bondEl.style.borderRadius = '2px';
-        bondEl.style.height = '4px';
-        bondEl.style.width = '2px'; // start small
-        bondEl.style.left = `${base.x}px`;
-        bondEl.style.top = `${base.y}px`;
-        bondEl.style.transformOrigin = '0 50%';
-        bondEl.style.opacity = '0.0';
-        structure.appendChild(bondEl);
-
-        // animate to target on next frame
-        requestAnimationFrame(() => {
-            hNode.style.left = `${target.x - 20}px`;
-            hNode.style.top = `${target.y - 20}px`;
-            hNode.style.transform = 'scale(1)';
-            // update bond to span from carbon base to target
-            const fromX = base.x, fromY = base.y;
-            const toX = target.x, toY = target.y;
-            const dx = toX - fromX, dy = toY - fromY;
-            const len = Math.hypot(dx, dy);
-            const ang = Math.atan2(dy, dx) * 180 / Math.PI;
-            bondEl.style.left = `${Math.min(fromX, toX)}px`;
-            bondEl.style.top = `${Math.min(fromY, toY)}px`;
-            bondEl.style.width = `${len}px`;
-            bondEl.style.transform = `translate(${fromX - Math.min(fromX, toX)}px, ${fromY - Math.min(fromY, toY)}px) rotate(${ang}deg)`;
-            bondEl.style.opacity = '1.0';
-        });
+    // ---------- Turn a completed intermediate into a final molecule ----------
+    _finalizeMolecule(entry) {
+        const r = entry.element.getBoundingClientRect();
+        const centerX = r.left + r.width / 2;
+        const centerY = r.top + r.height / 2;
 
-        if (!molEl._internal) molEl._internal = { hydrogens: [] };
-        molEl._internal.hydrogens.push({ node: hNode, bond: bondEl });
+        const { name, formula } = MoleculeBuilder.describe(entry.graph, this.catalog);
 
-        setTimeout(() => {
-            hNode.style.transition = '';
-            bondEl.style.transition = '';
-            hNode.style.pointerEvents = 'none';
-            bondEl.style.pointerEvents = 'none';
-        }, 520);
+        this._removeMoleculeEntry(entry);
+        this.createMoleculeVisual(name, formula, entry.graph, centerX, centerY, entry.base === 'C3' ? 'c3' : 'c2');
+        this.updateStatus(`${name} formed (${formula}) — all valences satisfied`);
     }
 
-    // ---------- Molecule detection & creation (cluster-based) ----------
-    checkForMoleculeFormation() {
-        if (this.spawnedAtoms.length < 2) return;
-
-        // compute centers
-        const atomsWithCenters = this.spawnedAtoms.map(a => {
-            const rect = a.element.getBoundingClientRect();
-            return { atom: a, cx: rect.left + rect.width / 2, cy: rect.top + rect.height / 2 };
+    // ---------- Pull apart: breaking bonds ----------
+    // The atom or bond of a card's structure under page point x,y: { atom } | { bond } | null.
+    // Atoms are drawn over bonds, so they win.
+    _structurePartAt(entry, x, y) {
+        const r = entry.element.getBoundingClientRect();
+        const px = (x - (r.left + r.width / 2)) / entry.scale, py = (y - (r.top + r.height / 2)) / entry.scale;
+        const graph = entry.graph;
+
+        const atom = graph.atoms
+            .map(a => ({ a, d: Math.hypot(a.x - px, a.y - py) }))
+            .filter(({ a, d }) => d <= MoleculeRenderer.atomSize(a.element) / 2)
+            .sort((p, q) => p.d - q.d)
+            .map(({ a }) => a)[0];
+        if (atom) return { atom };
+
+        const bond = graph.bonds.find(b => {
+            const a = graph.getAtom(b.a), c = graph.getAtom(b.b);
+            const dx = c.x - a.x, dy = c.y - a.y;
+            const t = Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / (dx * dx + dy * dy || 1)));
+            return Math.hypot(a.x + t * dx - px, a.y + t * dy - py) <= BOND_HIT_DISTANCE;
         });
+        return bond ? { bond } : null;
+    }
 
-        const threshold = 60; // overlap distance
-        const n = atomsWithCenters.length;
-        const adj = Array.from({ length: n }, () => []);
-
-        for (let i = 0; i < n; i++) {
-            for (let j = i + 1; j < n; j++) {
-                const dx = atomsWithCenters[i].cx - atomsWithCenters[j].cx;
-                const dy = atomsWithCenters[i].cy - atomsWithCenters[j].cy;
-                const d = Math.hypot(dx, dy);
-                if (d < threshold) {
-                    adj[i].push(j); adj[j].push(i);
-                }
-            }
-        }
+    _startAtomPull(entry, atom, x, y, hand) {
+        const node = entry.element.querySelector(`[data-atom-id="${atom.id}"]`);
+        if (!node) return;
+        // the atom's bonds fade while it is pulled on
+        entry.element.querySelectorAll('.bond').forEach(line => {
+            const [a, b] = line.dataset.bond.split('-').map(Number);
+            if (a === atom.id || b === atom.id) line.style.opacity = '0.3';
+        });
+        node.style.zIndex = '5';
+        this.startDragging({ element: node, type: 'atom-pull', entry, atom, id: `${entry.id}:${atom.id}` }, x, y, hand);
+    }
 
-        const visited = new Array(n).fill(false);
-        const clusters = [];
+    // keep the pulled atom's node centred under the finger
+    _movePulledAtom(dragged, x, y) {
+        const { entry } = dragged;
+        const r = entry.element.getBoundingClientRect();
+        const half = MoleculeRenderer.atomSize(dragged.atom.element) / 2;
+        dragged.element.style.left = `${entry.size / 2 + (x - (r.left + r.width / 2)) / entry.scale - half}px`;
+        dragged.element.style.top = `${entry.size / 2 + (y - (r.top + r.height / 2)) / entry.scale - half}px`;
+    }
 
-        for (let i = 0; i < n; i++) {
-            if (visited[i]) continue;
-            const stack = [i];
-            const compIdx = [];
-            visited[i] = true;
-            while (stack.length) {
-                const u = stack.pop();
-                compIdx.push(u);
-                for (const v of adj[u]) {
-                    if (!visited[v]) { visited[v] = true; stack.push(v); }
-                }
-            }
-            if (compIdx.length > 0) clusters.push(compIdx.map(idx => atomsWithCenters[idx]));
+    // true when the atom came out
+    _finishAtomPull(dragged, x, y) {
+        const { entry, atom } = dragged;
+        if (!this.molecules.includes(entry)) return false;
+        const r = entry.element.getBoundingClientRect();
+        const home = { x: r.left + r.width / 2 + atom.x * entry.scale, y: r.top + r.height / 2 + atom.y * entry.scale };
+        if (Math.hypot(x - home.x, y - home.y) < PULL_APART_DISTANCE) {
+            this._renderMolecule(entry);
+            this.updateStatus('Pull further to break the bonds');
+            return false;
         }
+        this.pullAtomOut(entry, atom, x, y);
+        return true;
+    }
 
-        if (clusters.length === 0) return;
-
-        const molecules = [
-            { name: 'Propanol', formula: 'C₃H₈O', counts: { C: 3, H: 8, O: 1 } },
-            { name: 'Propane', formula: 'C₃H₈', counts: { C: 3, H: 8, O: 0 } },
-            { name: 'Acetone', formula: 'C₃H₆O', counts: { C: 3, H: 6, O: 1 } },
-            { name: 'Ethanol', formula: 'C₂H₆O', counts: { C: 2, H: 6, O: 1 } },
-            { name: 'Acetaldehyde', formula: 'C₂H₄O', counts: { C: 2, H: 4, O: 1 } },
-            { name: 'Formaldehyde', formula: 'CH₂O', counts: { C: 1, H: 2, O: 1 } },
-            { name: 'Methane', formula: 'CH₄', counts: { C: 1, H: 4, O: 0 } },
-            { name: 'Carbon Dioxide', formula: 'CO₂', counts: { C: 1, H: 0, O: 2 } },
-            { name: 'Water', formula: 'H₂O', counts: { C: 0, H: 2, O: 1 } }
-        ];
-
-        for (const cluster of clusters) {
-            const counts = { C: 0, H: 0, O: 0 };
-            for (const it of cluster) counts[it.atom.type]++;
-
-            const centroid = {
-                x: cluster.reduce((s, it) => s + it.cx, 0) / cluster.length,
-                y: cluster.reduce((s, it) => s + it.cy, 0) / cluster.length
-            };
-
-            let formed = false;
-            for (const mol of molecules) {
-                const need = mol.counts;
-                if (counts.C >= (need.C || 0) && counts.H >= (need.H || 0) && counts.O >= (need.O || 0)) {
-                    const pickNearestFromCluster = (type, number) => {
-                        if (number === 0) return [];
-                        const candidates = cluster
-                            .filter(it => it.atom.type === type)
-                            .map(it => ({ item: it, d: Math.hypot(it.cx - centroid.x, it.cy - centroid.y) }))
-                            .sort((a, b) => a.d - b.d)
-                            .slice(0, number)
-                            .map(x => x.item.atom);
-                        return candidates.length === number ? candidates : null;
-                    };
-
-                    const selected = [];
-                    let ok = true;
-                    for (const t of ['C','H','O']) {
-                        const needCount = need[t] || 0;
-                        if (needCount > 0) {
-                            const picked = pickNearestFromCluster(t, needCount);
-                            if (!picked) { ok = false; break; }
-                            selected.push(...picked);
-                        }
-                    }
-                    if (!ok) continue;
-
-                    // specialized snapping per molecule
-                    if (mol.formula === 'CH₂O' || mol.formula === 'CH2O' || mol.name === 'Formaldehyde') {
-                        this.animateFormaldehydeSnap(selected, centroid.x, centroid.y, mol.name, mol.formula);
-                        formed = true; break;
-                    }
+    // Break every bond of `atom` and drop it at page point x,y as a spawned atom
+    pullAtomOut(entry, atom, x, y) {
+        const graph = entry.graph.clone();
+        const broken = graph.neighbors(atom.id).length;
+        graph.removeAtom(atom.id);
 
-                    if (mol.formula === 'CH₄' || mol.formula === 'CH4' || mol.name === 'Methane') {
-                        this.animateMethaneSnap(selected, centroid.x, centroid.y, mol.name, mol.formula);
-                        formed = true; break;
-                    }
+        this._replaceWithFragments(entry, graph.components());
+        this.spawnAtom(atom.element, x, y);
+        this.updateStatus(`Pulled ${atom.element} out — broke ${broken} bond${broken === 1 ? '' : 's'}`);
+    }
 
-                    if (mol.formula === 'H₂O' || mol.formula === 'H2O' || mol.name === 'Water') {
-                        this.animateWaterSnap(selected, centroid.x, centroid.y, mol.name, mol.formula);
-                        formed = true; break;
-                    }
+    breakBond(entry, bond) {
+        const graph = entry.graph.clone();
+        const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+        graph.removeBond(a, b);
 
-                    if (mol.formula === 'CO₂' || mol.formula === 'CO2' || mol.name === 'Carbon Dioxide') {
-                        this.animateCO2Snap(selected, centroid.x, centroid.y, mol.name, mol.formula);
-                        formed = true; break;
-                    }
+        const parts = graph.components();
+        this._replaceWithFragments(entry, parts);
+        const symbol = ['', '–', '=', '≡'][bond.order] || '–';
+        this.updateStatus(`Broke the ${a.element}${symbol}${b.element} bond` +
+            (parts.length > 1 ? ` — ${parts.map(p => p.displayFormula()).join(' + ')}` : ' — the ring is open'));
+    }
 
-                    // fallback
-                    this.createMoleculeVisual(mol.name, mol.formula, selected, centroid.x, centroid.y);
-                    formed = true; break;
-                }
+    // Swap a card for the pieces its structure fell into, each where it was drawn:
+    // single atoms become spawned atoms, larger pieces intermediates with open bonds.
+    _replaceWithFragments(entry, parts) {
+        const r = entry.element.getBoundingClientRect();
+        const cx = r.left + r.width / 2, cy = r.top + r.height / 2;
+        this._removeMoleculeEntry(entry);
+
+        let largest = null;
+        parts.forEach(part => {
+            if (part.atoms.length === 1) {
+                // nudge loose atoms outwards so they do not read as a cluster straight away
+                const a = part.atoms[0];
+                this.spawnAtom(a.element, cx + a.x * 1.4, cy + a.y * 1.4);
+                return;
             }
-            if (formed) {
-                // next cluster
+            const xs = part.atoms.map(a => a.x), ys = part.atoms.map(a => a.y);
+            const mx = (Math.min(...xs) + Math.max(...xs)) / 2, my = (Math.min(...ys) + Math.max(...ys)) / 2;
+            part.atoms.forEach(a => { a.x = Math.round((a.x - mx) * 10) / 10; a.y = Math.round((a.y - my) * 10) / 10; });
+            const card = this._createMoleculeCard(part, cx + mx, cy + my, { title: part.displayFormula(), kind: 'intermediate' });
+            if (!largest || part.atoms.length > largest.graph.atoms.length) largest = card;
+        });
+        this.activeMolecule = largest;
+    }
+
+    // ---------- Molecule detection & creation (cluster-based) ----------
+    // Snap every cluster that makes a molecule; returns how many are forming
+    checkForMoleculeFormation() {
+        let forming = 0;
+        for (const plan of MoleculeBuilder.planClusters(this._placedAtoms(), this.catalog)) {
+            if (!plan.graph) {
+                this.updateStatus('These atoms cannot satisfy every valence together yet — add or remove atoms');
+                continue;
             }
+            const { name, formula, known } = MoleculeBuilder.describe(plan.graph, this.catalog);
+            this.animateSnap(plan.atoms.map(p => p.atom), plan.graph, plan.centroid.x, plan.centroid.y, name, formula, known && known.snapMessage);
+            forming++;
         }
+        return forming;
+    }
+
+    // Loose atoms as MoleculeBuilder sees them: { x, y, graph, atom } with x/y the
+    // centre on the page and atom the spawned-atom data
+    _placedAtoms(atoms = this.spawnedAtoms) {
+        return atoms.map(atom => ({ ...this._centerOf(atom.element), graph: atom.graph, atom }));
+    }
+
+    _centerOf(el) {
+        const r = el.getBoundingClientRect();
+        return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
     }
 
     // ---------- Helpers for consistent coordinate math ----------
@@ -1212,272 +1589,198 @@ class ARChemistryApp {
         el.style.top = `${Math.max(0, Math.min(this.moleculeContainer.clientHeight - 60, localY - half))}px`;
     }
 
-    // ---------- Formaldehyde snapping routine ----------
-    animateFormaldehydeSnap(atomsUsed, centerX, centerY, name, formula) {
-        const cAtom = atomsUsed.find(a => a.type === 'C');
-        const oAtom = atomsUsed.find(a => a.type === 'O');
-        const hAtoms = atomsUsed.filter(a => a.type === 'H');
-        if (!cAtom || !oAtom || hAtoms.length < 2) { this.updateStatus('Formaldehyde requires 1 C, 2 H, 1 O'); return; }
-
-        const allToAnimate = [cAtom, oAtom, hAtoms[0], hAtoms[1]];
-
-        const containerRect = this.moleculeContainer.getBoundingClientRect();
-        const carbonCenter = this._globalToContainerLocal(centerX, centerY); // center in local coords
-
-        const radius = 80;
-        const angles = [0, 120, -120]; // O, H1, H2
-
-        // compute target centers (local)
-        const targets = angles.map(a => {
-            const r = a * Math.PI / 180;
-            return { x: carbonCenter.x + Math.cos(r) * radius, y: carbonCenter.y + Math.sin(r) * radius };
-        });
+    // ---------- Snap loose atoms into the molecule's layout, then swap in the final card ----------
+    animateSnap(atomsUsed, graph, centerX, centerY, name, formula, message) {
+        const center = this._globalToContainerLocal(centerX, centerY);
+        // an atom the other hand is holding joins the molecule: that hand lets go
+        this._releaseHeld(atomsUsed.map(a => a.element));
 
-        // animate DOM elements to targets (position atoms by center)
-        allToAnimate.forEach(item => {
+        atomsUsed.forEach(item => {
             if (item.element.parentNode !== this.moleculeContainer) this.moleculeContainer.appendChild(item.element);
-            item.element.style.transition = 'left 520ms cubic-bezier(.2,.9,.2,1), top 520ms cubic-bezier(.2,.9,.2,1), transform 520ms ease';
+            item.element.style.transition = 'left 520ms cubic-bezier(.2,.9,.2,1), top 520ms cubic-bezier(.2,.9,.2,1)';
             item.element.style.zIndex = 2000;
-            const atomInner = item.element.querySelector('.atom'); if (atomInner) { atomInner.style.transition = 'transform 520ms ease'; atomInner.style.transform = 'scale(1.12)'; }
         });
 
-        this._placeAtomElementAt(cAtom.element, carbonCenter.x, carbonCenter.y);
-        this._placeAtomElementAt(oAtom.element, targets[0].x, targets[0].y);
-        this._placeAtomElementAt(hAtoms[0].element, targets[1].x, targets[1].y);
-        this._placeAtomElementAt(hAtoms[1].element, targets[2].x, targets[2].y);
+        // atomsUsed[i] became graph.atoms[i] when their graphs were merged
+        graph.atoms.forEach((atom, i) => this._placeAtomElementAt(atomsUsed[i].element, center.x + atom.x, center.y + atom.y));
 
         const bonds = [];
-        const makeTempBond = (from, to, double = false) => {
-            const bond = document.createElement('div'); bond.className = 'bond temp-bond';
-            bond.style.position = 'absolute';
-            const fromX = from.x, fromY = from.y, toX = to.x, toY = to.y;
-            const dx = toX - fromX, dy = toY - fromY; const len = Math.hypot(dx, dy); const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-            bond.style.left = `${Math.min(fromX, toX)}px`;
-            bond.style.top = `${Math.min(fromY, toY)}px`;
-            bond.style.width = `${len}px`;
-            bond.style.height = '4px';
-            bond.style.transformOrigin = '0 50%';
-            bond.style.transform = `translate(${fromX - Math.min(fromX, toX)}px, ${fromY - Math.min(fromY, toY)}px) rotate(${angle}deg)`;
-            bond.style.background = '#00ff88'; bond.style.borderRadius = '2px'; bond.style.opacity = '0.95';
-            this.moleculeContainer.appendChild(bond);
-            bonds.push(bond);
-            if (double) {
-                const offset = 6;
-                const nx = -dy / (len || 1);
-                const ny = dx / (len || 1);
-                const bond2 = bond.cloneNode();
-                bond2.style.transform = `translate(${fromX - Math.min(fromX, toX) + nx * offset}px, ${fromY - Math.min(fromY, toY) + ny * offset}px) rotate(${angle}deg)`;
-                this.moleculeContainer.appendChild(bond2);
-                bonds.push(bond2);
-            }
-        };
-
-        const carbonPos = carbonCenter;
-        makeTempBond(carbonPos, targets[0], true);
-        makeTempBond(carbonPos, targets[1], false);
-        makeTempBond(carbonPos, targets[2], false);
+        graph.bonds.forEach(bond => {
+            const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+            MoleculeRenderer.createBondLines(center.x + a.x, center.y + a.y, center.x + b.x, center.y + b.y, bond.order).forEach(line => {
+                line.classList.add('temp-bond');
+                this.moleculeContainer.appendChild(line);
+                bonds.push(line);
+            });
+        });
 
         setTimeout(() => {
-            this.removeAtoms(allToAnimate);
             bonds.forEach(b => b.remove());
-            const moleculeEl = this.createMoleculeVisual(name, formula, [], centerX, centerY, { style: 'hcho-detailed' });
-            this.updateStatus('Formaldehyde formed — trigonal planar (∼120°)');
+            // undone (or cleared) while snapping: the atoms are gone, so is the molecule
+            if (!atomsUsed.every(a => this.spawnedAtoms.includes(a))) return;
+            this.removeAtoms(atomsUsed);
+            this.createMoleculeVisual(name, formula, graph, centerX, centerY, 'cluster');
+            this.updateStatus(message || `${name} formed (${formula})`);
         }, 580);
     }
 
-    // ---------- Methane (CH4) snapping + visual (tetrahedral projection) ----------
-    animateMethaneSnap(atomsUsed, centerX, centerY, name, formula) {
-        const cAtom = atomsUsed.find(a => a.type === 'C');
-        const hAtoms = atomsUsed.filter(a => a.type === 'H');
-        if (!cAtom || hAtoms.length < 4) { this.updateStatus('Methane requires 1 C and 4 H'); return; }
-
-        const allToAnimate = [cAtom, ...hAtoms.slice(0,4)];
-        const carbonCenter = this._globalToContainerLocal(centerX, centerY);
-        const radius = 75;
-
-        const proj = [
-            { x: 0, y: -1 },
-            { x: 0.94, y: 0.33 },
-            { x: -0.94, y: 0.33 },
-            { x: 0, y: 0.9 }
-        ];
-
-        const targets = proj.map(p => ({ x: carbonCenter.x + p.x * radius, y: carbonCenter.y + p.y * radius }));
-
-        allToAnimate.forEach(item => { if (item.element.parentNode !== this.moleculeContainer) this.moleculeContainer.appendChild(item.element); item.element.style.transition='left 520ms cubic-bezier(.2,.9,.2,1), top 520ms cubic-bezier(.2,.9,.2,1)'; item.element.style.zIndex=2000; });
-
-        this._placeAtomElementAt(cAtom.element, carbonCenter.x, carbonCenter.y);
-        for (let i=0;i<4;i++) this._placeAtomElementAt(hAtoms[i].element, targets[i].x, targets[i].y);
-
-        const bonds = [];
-        const makeBondLocal = (x1,y1,x2,y2, double=false) => {
-            const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI;
-            const left = Math.min(x1, x2), top = Math.min(y1, y2);
-            const bond = document.createElement('div');
-            bond.className = 'bond';
-            bond.style.position = 'absolute';
-            bond.style.left = `${left}px`;
-            bond.style.top = `${top}px`;
-            bond.style.width = `${len}px`;
-            bond.style.height = '4px';
-            bond.style.transformOrigin = '0 50%';
-            bond.style.transform = `translate(${x1 - left}px, ${y1 - top}px) rotate(${ang}deg)`;
-            bond.style.background = '#00ff88';
-            bond.style.borderRadius = '2px';
-            this.moleculeContainer.appendChild(bond);
-            bonds.push(bond);
-            if (double) {
-                const offset = 6;
-                const nx = -dy / (len || 1);
-                const ny = dx / (len || 1);
-                const b2 = bond.cloneNode();
-                b2.style.transform = `translate(${x1 - left + nx*offset}px, ${y1 - top + ny*offset}px) rotate(${ang}deg)`;
-                this.moleculeContainer.appendChild(b2);
-                bonds.push(b2);
-            }
-        };
-
-        targets.forEach(t => makeBondLocal(carbonCenter.x, carbonCenter.y, t.x, t.y));
+    // ---------- Reactions: one finished molecule dropped onto another ----------
+    // Runs the reaction between them when data/reactions.json has one. Other molecules
+    // on the workspace, nearest first, make up the rest of the equation (a second O₂
+    // for combustion). Returns whether the drop was about a reaction.
+    dropOnMolecule(entry, target, x, y, record) {
+        if (entry.kind !== 'molecule' || target.kind !== 'molecule' || entry.reacting || target.reacting) return false;
+        const keyOf = (m) => MoleculeIdentifier.canonicalKey(m.graph);
+        const reaction = this.reactions.find(keyOf(entry), keyOf(target));
+        if (!reaction) return false;
+
+        const others = this.molecules
+            .filter(m => m.kind === 'molecule' && m !== entry && m !== target && !m.reacting && !this._handHolding(m.element))
+            .map(m => ({ key: keyOf(m), molecule: m, d: MoleculeBuilder.distance(this._centerOf(m.element), { x, y }) }))
+            .sort((a, b) => a.d - b.d);
+        const { used, missing } = ReactionBook.gather(reaction, [entry, target].map(m => ({ key: keyOf(m), molecule: m })), others);
+        if (missing.length) {
+            const needs = missing.map(t => (t.count > 1 ? `${t.count} more ` : 'another ') + t.entry.formula).join(' and ');
+            this.updateStatus(`${reaction.name} needs ${ReactionBook.equation(reaction)} — build ${needs}`);
+            return true;
+        }
 
-        setTimeout(()=>{
-            this.removeAtoms(allToAnimate);
-            bonds.forEach(b=>b.remove());
-            const moleculeEl = this.createMoleculeVisual(name, formula, [], centerX, centerY, { style: 'ch4-detailed' });
-            this.updateStatus('Methane formed — tetrahedral (projected)');
-        }, 580);
+        if (record) record.label = reaction.name.toLowerCase();
+        this.runReaction(reaction, used.map(u => u.molecule), x, y);
+        return true;
     }
 
-    // ---------- Water (H2O) snapping + visual (bent ~104.5°) ----------
-    animateWaterSnap(atomsUsed, centerX, centerY, name, formula) {
-        const oAtom = atomsUsed.find(a=>a.type==='O');
-        const hAtoms = atomsUsed.filter(a=>a.type==='H');
-        if (!oAtom || hAtoms.length < 2) { this.updateStatus('Water requires 1 O and 2 H'); return; }
-
-        const allToAnimate = [oAtom, hAtoms[0], hAtoms[1]];
-        const oCenter = this._globalToContainerLocal(centerX, centerY);
-        const radius = 75;
-        const halfAngle = 104.5/2 * Math.PI/180;
-        const targets = [
-            { x: oCenter.x + Math.cos(halfAngle) * radius, y: oCenter.y - Math.sin(halfAngle) * radius },
-            { x: oCenter.x - Math.cos(halfAngle) * radius, y: oCenter.y - Math.sin(halfAngle) * radius }
-        ];
-
-        allToAnimate.forEach(item=>{ if (item.element.parentNode !== this.moleculeContainer) this.moleculeContainer.appendChild(item.element); item.element.style.transition='left 520ms cubic-bezier(.2,.9,.2,1), top 520ms cubic-bezier(.2,.9,.2,1)'; item.element.style.zIndex=2000; });
+    // Fly the reactants' atoms to their places in the products, then swap the cards and
+    // show the balanced equation. While the atoms fly the reactants cannot be picked up
+    // or react again, but they are still saved (and undone to) until the products
+    // replace them.
+    runReaction(reaction, reactants, x, y) {
+        const container = this.moleculeContainer.getBoundingClientRect();
+
+        // every reactant atom, where it is on the page now
+        const from = [];
+        reactants.forEach(entry => {
+            const c = this._centerOf(entry.element);
+            entry.graph.atoms.forEach(a => from.push({ element: a.element, x: c.x + a.x * entry.scale, y: c.y + a.y * entry.scale }));
+            entry.element.style.visibility = 'hidden';
+            entry.reacting = true;
+        });
 
-        this._placeAtomElementAt(oAtom.element, oCenter.x, oCenter.y);
-        this._placeAtomElementAt(hAtoms[0].element, targets[0].x, targets[0].y);
-        this._placeAtomElementAt(hAtoms[1].element, targets[1].x, targets[1].y);
+        // product cards side by side around the drop point
+        const products = [];
+        reaction.products.forEach(({ entry, count }) => {
+            for (let i = 0; i < count; i++) products.push({ known: entry, graph: this.catalog.build(entry) });
+        });
+        const gap = 20;
+        const sizes = products.map(p => this._cardSizeFor(p.graph));
+        let left = x - (sizes.reduce((w, s) => w + s, 0) + gap * (products.length - 1)) / 2;
+        products.forEach((p, i) => {
+            p.x = left + sizes[i] / 2;
+            p.y = y;
+            left += sizes[i] + gap;
+        });
+        const to = [];
+        products.forEach(p => p.graph.atoms.forEach(a => to.push({ element: a.element, x: p.x + a.x, y: p.y + a.y })));
+
+        // one stand-in atom per product atom, starting from the reactant atom it was
+        const ghosts = ReactionBook.mapAtoms(from, to).map((i, j) => {
+            const start = from[i];
+            const node = MoleculeRenderer.createAtomNode(start.element, start.x - container.left, start.y - container.top);
+            node.classList.add('reaction-atom');
+            node.style.transition = 'left 900ms cubic-bezier(.2,.9,.2,1), top 900ms cubic-bezier(.2,.9,.2,1)';
+            node.style.zIndex = 2000;
+            this.moleculeContainer.appendChild(node);
+            return { node, target: to[j] };
+        });
+        requestAnimationFrame(() => ghosts.forEach(({ node, target }) => {
+            const half = MoleculeRenderer.atomSize(target.element) / 2;
+            node.style.left = `${target.x - container.left - half}px`;
+            node.style.top = `${target.y - container.top - half}px`;
+        }));
+        this.updateStatus(`${reaction.name}: ${ReactionBook.equation(reaction)}`);
 
-        const bonds = [];
-        const makeBondLocal = (x1,y1,x2,y2, double=false) => {
-            const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI;
-            const left = Math.min(x1, x2), top = Math.min(y1, y2);
-            const bond = document.createElement('div');
-            bond.className = 'bond';
-            bond.style.position = 'absolute';
-            bond.style.left = `${left}px`;
-            bond.style.top = `${top}px`;
-            bond.style.width = `${len}px`;
-            bond.style.height = '4px';
-            bond.style.transformOrigin = '0 50%';
-            bond.style.transform = `translate(${x1 - left}px, ${y1 - top}px) rotate(${ang}deg)`;
-            bond.style.background = '#00ff88';
-            bond.style.borderRadius = '2px';
-            this.moleculeContainer.appendChild(bond);
-            bonds.push(bond);
-            if (double) {
-                const offset = 6;
-                const nx = -dy / (len || 1);
-                const ny = dx / (len || 1);
-                const b2 = bond.cloneNode();
-                b2.style.transform = `translate(${x1 - left + nx*offset}px, ${y1 - top + ny*offset}px) rotate(${ang}deg)`;
-                this.moleculeContainer.appendChild(b2);
-                bonds.push(b2);
+        setTimeout(() => {
+            ghosts.forEach(g => g.node.remove());
+            // undone (or cleared) while reacting: the reactants are back, or gone
+            if (!reactants.every(m => this.molecules.includes(m))) {
+                reactants.forEach(m => {
+                    m.element.style.visibility = '';
+                    m.reacting = false;
+                });
+                return;
             }
-        };
-
-        makeBondLocal(oCenter.x, oCenter.y, targets[0].x, targets[0].y);
-        makeBondLocal(oCenter.x, oCenter.y, targets[1].x, targets[1].y);
-
-        setTimeout(()=>{
-            this.removeAtoms(allToAnimate);
-            bonds.forEach(b=>b.remove());
-            const molEl = this.createMoleculeVisual(name, formula, [], centerX, centerY, { style: 'h2o-detailed' });
-            this.updateStatus('Water formed — bent (~104.5°)');
-        }, 580);
+            reactants.forEach(m => this._removeMoleculeEntry(m));
+            products.forEach(p => this.createMoleculeVisual(p.known.name, p.known.formula, p.graph, p.x, p.y, 'reaction'));
+            this._showEquation(reaction, x, y - Math.max(...sizes) / 2);
+            this.updateStatus(`${reaction.name}: ${ReactionBook.equation(reaction)}` + (reaction.note ? ` — ${reaction.note}` : ''));
+        }, 1000);
     }
 
-    // ---------- Carbon dioxide (CO2) snapping + visual (linear) ----------
-    animateCO2Snap(atomsUsed, centerX, centerY, name, formula) {
-        const cAtom = atomsUsed.find(a=>a.type==='C');
-        const oAtoms = atomsUsed.filter(a=>a.type==='O');
-        if (!cAtom || oAtoms.length < 2) { this.updateStatus('CO2 requires 1 C and 2 O'); return; }
-
-        const allToAnimate = [cAtom, oAtoms[0], oAtoms[1]];
-        const carbonCenter = this._globalToContainerLocal(centerX, centerY);
-        const radius = 100;
-        const targets = [ { x: carbonCenter.x - radius, y: carbonCenter.y }, { x: carbonCenter.x + radius, y: carbonCenter.y } ];
-
-        allToAnimate.forEach(item=>{ if (item.element.parentNode !== this.moleculeContainer) this.moleculeContainer.appendChild(item.element); item.element.style.transition='left 520ms cubic-bezier(.2,.9,.2,1), top 520ms cubic-bezier(.2,.9,.2,1)'; item.element.style.zIndex=2000; });
-
-        this._placeAtomElementAt(cAtom.element, carbonCenter.x, carbonCenter.y);
-        this._placeAtomElementAt(oAtoms[0].element, targets[0].x, targets[0].y);
-        this._placeAtomElementAt(oAtoms[1].element, targets[1].x, targets[1].y);
+    // the balanced equation over the products for a few seconds
+    _showEquation(reaction, x, y) {
+        const banner = document.createElement('div');
+        banner.className = 'reaction-equation';
+        banner.innerHTML = `<div class="reaction-name">${reaction.name}</div>` +
+            `<div class="reaction-formula">${ReactionBook.equation(reaction).replace('→', `<span class="reaction-arrow">→${reaction.conditions ? `<small>${reaction.conditions}</small>` : ''}</span>`)}</div>`;
+        const local = this._globalToContainerLocal(x, y);
+        banner.style.left = `${local.x}px`;
+        banner.style.top = `${Math.max(0, local.y - 16)}px`;
+        this.moleculeContainer.appendChild(banner);
+        setTimeout(() => banner.remove(), 6000);
+    }
 
-        const bonds = [];
-        const makeDoubleBond = (from, to) => {
-            const fromX = from.x, fromY = from.y, toX = to.x, toY = to.y;
-            const dx = toX - fromX, dy = toY - fromY;
-            const len = Math.hypot(dx, dy);
-            const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-            const offset = 6;
-            const nx = -dy / (len || 1);
-            const ny = dx / (len || 1);
-            const left = Math.min(fromX, toX);
-            const top = Math.min(fromY, toY);
-            const baseTransform = (ox = 0, oy = 0) => `translate(${fromX - left + ox}px, ${fromY - top + oy}px) rotate(${angle}deg)`;
-            const b1 = document.createElement('div'); b1.className='bond'; b1.style.position='absolute'; b1.style.left = `${left}px`; b1.style.top = `${top}px`; b1.style.width = `${len}px`; b1.style.height = '4px'; b1.style.transformOrigin = '0 50%'; b1.style.transform = baseTransform(0,0); b1.style.background = '#00ff88'; b1.style.borderRadius = '2px';
-            this.moleculeContainer.appendChild(b1); bonds.push(b1);
-            const b2 = document.createElement('div'); b2.className='bond'; b2.style.position='absolute'; b2.style.left = `${left}px`; b2.style.top = `${top}px`; b2.style.width = `${len}px`; b2.style.height = '4px'; b2.style.transformOrigin = '0 50%'; b2.style.transform = baseTransform(nx * offset, ny * offset); b2.style.background = '#00ff88'; b2.style.borderRadius = '2px';
-            this.moleculeContainer.appendChild(b2); bonds.push(b2);
-        };
+    // ---------- createMoleculeVisual (final) ----------
+    // path: how it was built, a DISCOVERY_PATHS key
+    createMoleculeVisual(name, formula, graph, centerX, centerY, path = 'cluster') {
+        this.addDiscoveredMolecule(name, formula, MoleculeIdentifier.canonicalKey(graph), path, FunctionalGroups.types(graph));
+        this._checkLessonGoal(graph, path);
+        return this._createFinalMoleculeCard(name, formula, graph, centerX, centerY).element;
+    }
 
-        makeDoubleBond(carbonCenter, targets[0]);
-        makeDoubleBond(carbonCenter, targets[1]);
+    _createFinalMoleculeCard(name, formula, graph, centerX, centerY, size) {
+        const entry = this._createMoleculeCard(graph, centerX, centerY, { title: `${name} - ${formula}`, formula, kind: 'molecule', size });
+        entry.name = name;
+
+        // functional groups are tinted in the structure (see _renderMolecule) and named underneath
+        const types = FunctionalGroups.types(graph);
+        if (types.length) {
+            const labels = document.createElement('div');
+            labels.className = 'molecule-groups';
+            labels.innerHTML = types.map(type => `<span class="group-label group-${type}">${FUNCTIONAL_GROUPS[type].name}</span>`).join('');
+            entry.element.appendChild(labels);
+        }
 
-        setTimeout(()=> {
-            this.removeAtoms(allToAnimate);
-            bonds.forEach(b=>b.remove());
-            const molEl = this.createMoleculeVisual(name, formula, [], centerX, centerY, { style: 'co2-detailed' });
-            this.updateStatus('Carbon dioxide formed — linear (180°)');
-        }, 580);
+        const known = this.catalog.identify(graph);
+        const notes = [...(known ? known.facts : []), ...types.map(type => `${FUNCTIONAL_GROUPS[type].name}: ${FUNCTIONAL_GROUPS[type].about}`)];
+        if (notes.length) entry.element.title = notes.join('\n');
+        return entry;
     }
 
-    // ---------- createMoleculeVisual (final) ----------
-    createMoleculeVisual(name, formula, atomsUsed, centerX, centerY, opts = {}) {
-        this.addDiscoveredMolecule(name, formula);
+    // ---------- Molecule card: DOM for one graph-backed workspace entry ----------
+    _createMoleculeCard(graph, centerX, centerY, opts = {}) {
+        if (!graph.hasLayout()) StructureLayout.layout(graph);
+        const size = Math.max(opts.size || 240, this._cardSizeFor(graph));
 
         const molecule = document.createElement('div'); molecule.className = 'molecule';
-        molecule.innerHTML = `<div class="molecule-title">${name} - ${formula}</div><div class="molecule-structure"></div>`;
+        molecule.innerHTML = (opts.title ? '<div class="molecule-title"></div>' : '') + '<div class="molecule-structure"></div>';
+        // titles can come from a loaded save file: text only
+        if (opts.title) molecule.querySelector('.molecule-title').textContent = opts.title;
         molecule.style.position = 'absolute';
-
-        const width = 240, height = 240;
-        molecule.style.width = `${width}px`; molecule.style.height = `${height}px`;
+        molecule.style.width = `${size}px`; molecule.style.height = `${size}px`;
 
         const containerRect = this.moleculeContainer.getBoundingClientRect();
-        const relLeft = Math.max(0, Math.min(containerRect.width - width, centerX - containerRect.left - width / 2));
-        const relTop  = Math.max(0, Math.min(containerRect.height - height, centerY - containerRect.top - height / 2));
+        const relLeft = Math.max(0, Math.min(containerRect.width - size, centerX - containerRect.left - size / 2));
+        const relTop  = Math.max(0, Math.min(containerRect.height - size, centerY - containerRect.top - size / 2));
         molecule.style.left = `${relLeft}px`;
         molecule.style.top = `${relTop}px`;
 
         const structure = molecule.querySelector('.molecule-structure');
-
         structure.style.position = 'absolute';
         structure.style.left = '50%';
         structure.style.top = '50%';
         structure.style.transform = 'translate(-50%,-50%)';
-        structure.style.width = `${width}px`;
-        structure.style.height = `${height}px`;
+        structure.style.width = `${size}px`;
+        structure.style.height = `${size}px`;
         structure.style.boxSizing = 'border-box';
         structure.style.pointerEvents = 'none';
 
@@ -1491,220 +1794,810 @@ class ARChemistryApp {
             titleEl.style.zIndex = '10';
         }
 
-        // draw different final visuals based on opts.style or formula (reuse implementations above)
-        if (opts.style === 'hcho-detailed' || formula === 'CH₂O' || formula === 'CH2O') {
-            // (same as earlier detailed block)
-            const cx = width/2, cy = height/2, r = 70;
-            const makeNode = (cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='hydrogen'?20:28)}px`; n.style.top=`${y - (cls==='hydrogen'?20:28)}px`; return n; };
-            const cNode = makeNode('carbon','C', cx, cy);
-            const oNode = makeNode('oxygen','O', cx + r, cy);
-            const a1 = 120*Math.PI/180, a2 = -120*Math.PI/180;
-            const h1 = makeNode('hydrogen','H', cx + Math.cos(a1)*r, cy + Math.sin(a1)*r);
-            const h2 = makeNode('hydrogen','H', cx + Math.cos(a2)*r, cy + Math.sin(a2)*r);
-            const makeBond = (x1,y1,x2,y2,double=false)=>{ const dx=x2-x1, dy=y2-y1, len=Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI; const b=document.createElement('div'); b.style.position='absolute'; b.style.left=`${x1}px`; b.style.top=`${y1}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform=`rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; if (double){ const b2=b.cloneNode(); const nx = -dy/(len||1), ny = dx/(len||1), offset=6; b2.style.transform = `translate(${nx*offset}px, ${ny*offset}px) rotate(${ang}deg)`; return [b,b2]; } return [b]; };
-            const bonds = [];
-            bonds.push(...makeBond(cx,cy, cx + r, cy, true));
-            bonds.push(...makeBond(cx,cy, cx + Math.cos(a1)*r, cy + Math.sin(a1)*r));
-            bonds.push(...makeBond(cx,cy, cx + Math.cos(a2)*r, cy + Math.sin(a2)*r));
-            bonds.forEach(b=>structure.appendChild(b)); structure.appendChild(cNode); structure.appendChild(oNode); structure.appendChild(h1); structure.appendChild(h2);
-        }
-        else if (opts.style === 'ch4-detailed' || formula === 'CH₄' || formula === 'CH4') {
-            const cx = width/2, cy = height/2, r = 70;
-            const proj = [ {x:0,y:-1}, {x:0.94,y:0.33}, {x:-0.94,y:0.33}, {x:0,y:0.9} ];
-            const makeNode = (cls,label,centerX,centerY) => {
-                const n = document.createElement('div');
-                n.className = `atom ${cls}`;
-                n.textContent = label;
-                n.style.position = 'absolute';
-                const size = (cls === 'hydrogen') ? 40 : 55;
-                n.style.left = `${centerX - size/2}px`;
-                n.style.top  = `${centerY - size/2}px`;
-                return n;
-            };
-            const makeBond = (x1,y1,x2,y2, double=false) => {
-                const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI;
-                const left = Math.min(x1, x2), top = Math.min(y1, y2);
-                const b = document.createElement('div');
-                b.className = 'bond';
-                b.style.position = 'absolute';
-                b.style.left = `${left}px`;
-                b.style.top = `${top}px`;
-                b.style.width = `${len}px`;
-                b.style.height = '4px';
-                b.style.transformOrigin = '0 50%';
-                b.style.transform = `translate(${x1 - left}px, ${y1 - top}px) rotate(${ang}deg)`;
-                b.style.background = '#00ff88';
-                b.style.borderRadius = '2px';
-                structure.appendChild(b);
-                if (double) {
-                    const offset = 6;
-                    const nx = -dy / (len || 1);
-                    const ny = dx / (len || 1);
-                    const b2 = b.cloneNode();
-                    b2.style.transform = `translate(${x1 - left + nx*offset}px, ${y1 - top + ny*offset}px) rotate(${ang}deg)`;
-                    structure.appendChild(b2);
+        this._raise(molecule);
+        this.moleculeContainer.appendChild(molecule);
+
+        // scale: how much a hand has enlarged or shrunk the card (see _setMoleculeScale);
+        // groups: functional groups of a finished molecule, highlighted when drawn
+        const entry = { id: 'mol-' + Date.now() + '-' + Math.floor(Math.random() * 1e6), kind: opts.kind, element: molecule, graph, size, scale: 1, formula: opts.formula,
+            groups: opts.kind === 'molecule' ? FunctionalGroups.detect(graph) : [] };
+        molecule.dataset.id = entry.id;
+        this.molecules.push(entry);
+        this.activeMolecule = entry;
+        this._renderMolecule(entry);
+        return entry;
+    }
+
+    _renderMolecule(entry, opts = {}) {
+        const structure = entry.element.querySelector('.molecule-structure');
+        if (structure) {
+            this._growCardToFit(entry);
+            MoleculeRenderer.renderStructure(structure, entry.graph, entry.size, entry.size, {
+                showOpenBonds: entry.kind === 'intermediate',
+                groups: entry.groups,
+                ...opts
+            });
+        }
+    }
+
+    // card diameter that keeps every atom (and its badge) inside the circle
+    _cardSizeFor(graph) {
+        return Math.ceil(2 * (StructureLayout.radius(graph) + 50));
+    }
+
+    // enlarge a card about its centre when its structure has outgrown it
+    _growCardToFit(entry) {
+        const size = this._cardSizeFor(entry.graph);
+        if (size <= entry.size) return;
+        const el = entry.element;
+        const grow = (size - entry.size) / 2;
+        el.style.left = `${Math.max(0, (parseFloat(el.style.left) || 0) - grow)}px`;
+        el.style.top = `${Math.max(0, (parseFloat(el.style.top) || 0) - grow)}px`;
+        el.style.width = `${size}px`; el.style.height = `${size}px`;
+        const structure = el.querySelector('.molecule-structure');
+        if (structure) { structure.style.width = `${size}px`; structure.style.height = `${size}px`; }
+        entry.size = size;
+    }
+
+    // Draw the card `scale` times its size. It grows from its top left corner, so left /
+    // top and the drag maths keep working in page px.
+    _setMoleculeScale(entry, scale) {
+        entry.scale = Math.max(MOLECULE_SCALE_MIN, Math.min(MOLECULE_SCALE_MAX, scale));
+        entry.element.style.transformOrigin = '0 0';
+        entry.element.style.transform = entry.scale === 1 ? '' : `scale(${entry.scale})`;
+    }
+
+    // A hand holding a molecule card scales it with its distance from the camera: nearer
+    // is bigger. The point under the finger stays put.
+    _zoomHeldMolecule(hand) {
+        const entry = hand.draggedElement.type === 'molecule' ? this._moleculeEntryFor(hand.draggedElement.element) : null;
+        if (!entry || !hand.depth.size) return;
+        const before = entry.scale;
+        this._setMoleculeScale(entry, hand.zoomFrom.scale * HandDepth.zoom(hand.zoomFrom.size, hand.depth.size));
+        hand.dragOffset.x *= entry.scale / before;
+        hand.dragOffset.y *= entry.scale / before;
+    }
+
+    _moleculeEntryFor(el) {
+        return this.molecules.find(m => m.element === el) || null;
+    }
+
+    _removeMoleculeEntry(entry) {
+        const idx = this.molecules.indexOf(entry);
+        if (idx !== -1) this.molecules.splice(idx, 1);
+        this._releaseHeld([entry.element]);
+        if (entry.element && entry.element.parentNode) entry.element.remove();
+        if (this.activeMolecule === entry) this.activeMolecule = null;
+    }
+
+    // ---------- SMILES import / export ----------
+    importSmiles(text) {
+        let graph;
+        try {
+            graph = Smiles.parse(text);
+        } catch (error) {
+            this.updateStatus(error.message);
+            return null;
+        }
+        this._checkpoint('SMILES import');
+        return this.addMoleculeFromGraph(graph, 'SMILES');
+    }
+
+    exportSmiles(entry = this.activeMolecule) {
+        if (!entry) {
+            this.updateStatus('Build or move a molecule first, then export it');
+            return null;
+        }
+        const smiles = Smiles.write(entry.graph);
+        const input = document.getElementById('smiles-input');
+        if (input) input.value = smiles;
+        if (navigator.clipboard) navigator.clipboard.writeText(smiles).catch(() => { /* clipboard may be blocked; the input still shows it */ });
+        this.updateStatus(`SMILES: ${smiles} (copied)`);
+        return smiles;
+    }
+
+    // Put an imported structure in the middle of the workspace: a complete molecule
+    // becomes a final molecule card, anything with open bonds an intermediate to finish by hand
+    addMoleculeFromGraph(graph, source, centerX, centerY) {
+        const rect = this.moleculeContainer.getBoundingClientRect();
+        if (centerX === undefined) centerX = rect.left + rect.width / 2;
+        if (centerY === undefined) centerY = rect.top + rect.height / 2;
+        if (!graph.hasLayout()) StructureLayout.layout(graph, { reserveOpen: true });
+
+        if (BondingEngine.isComplete(graph)) {
+            const known = this.catalog.identify(graph);
+            const name = known ? known.name : 'New molecule';
+            const formula = known ? known.formula : graph.displayFormula();
+            this.createMoleculeVisual(name, formula, graph, centerX, centerY, 'import');
+            this.updateStatus(`${name} (${formula}) added from ${source}`);
+        } else {
+            this._createMoleculeCard(graph, centerX, centerY, { title: graph.displayFormula(), kind: 'intermediate' });
+            this.updateStatus(`${source} structure added — ${BondingEngine.totalOpenValence(graph)} open bonds left to fill`);
+        }
+        return this.activeMolecule;
+    }
+
+    // ---------- MOL / SDF import / export ----------
+    async openMolfile(file) {
+        try {
+            return this.importMolfile(await file.text(), file.name);
+        } catch (error) {
+            this.updateStatus(`Could not read ${file.name}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // every record of an SDF becomes its own card, spread across the middle of the workspace
+    importMolfile(text, source = 'MOL file') {
+        let records;
+        try {
+            records = Molfile.parse(text);
+        } catch (error) {
+            this.updateStatus(error.message);
+            return [];
+        }
+        this._checkpoint(`${source} import`);
+
+        const rect = this.moleculeContainer.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        const added = records.map((record, k) => this.addMoleculeFromGraph(
+            record.graph, source, centerX + (k - (records.length - 1) / 2) * 260, centerY));
+        if (records.length > 1) this.updateStatus(`${records.length} structures added from ${source}`);
+        return added;
+    }
+
+    exportMolfile(entry = this.activeMolecule) {
+        if (!entry) {
+            this.updateStatus('Build or move a molecule first, then save it');
+            return null;
+        }
+        const name = entry.name || entry.graph.formula();
+        const text = Molfile.write(entry.graph, name);
+        this._downloadText(`${name.replace(/[^\w-]+/g, '_')}.mol`, text, 'chemical/x-mdl-molfile');
+        this.updateStatus(`Saved ${name} as a MOL file`);
+        return text;
+    }
+
+    _downloadText(filename, text, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ---------- Workspace save / restore ----------
+    serializeWorkspace() {
+        const px = (v) => parseFloat(v) || 0;
+        return WorkspaceStore.create({
+            atoms: this.spawnedAtoms.map(a => ({
+                element: a.type,
+                left: px(a.element.style.left),
+                top: px(a.element.style.top),
+                layer: this._layerOf(a.element)
+            })),
+            molecules: this.molecules.map(m => {
+                const title = m.element.querySelector('.molecule-title');
+                return {
+                    kind: m.kind,
+                    left: px(m.element.style.left),
+                    top: px(m.element.style.top),
+                    size: m.size,
+                    scale: m.scale,
+                    layer: this._layerOf(m.element),
+                    title: title ? title.textContent : null,
+                    name: m.name || null,
+                    formula: m.formula || null,
+                    base: m.base || null,
+                    bond: m.bond || null,
+                    graph: m.graph.toJSON()
+                };
+            }),
+            discovered: this.discoveredMolecules.map(({ name, formula, key }) => ({ name, formula, key }))
+        });
+    }
+
+    // Replace the workspace with a saved document. Items that fail to load are skipped
+    // and counted in the status message rather than aborting the whole restore.
+    restoreWorkspace(doc) {
+        this._restoring = true;
+        let skipped = 0;
+        try {
+            this.clearAll();
+            const origin = this.moleculeContainer.getBoundingClientRect();
+
+            // items saved without a layer (older saves) stack in the order they are listed
+            const layered = [];
+            doc.atoms.forEach(a => {
+                if (!a || !PeriodicTable.has(a.element) || !Number.isFinite(a.left) || !Number.isFinite(a.top)) { skipped++; return; }
+                layered.push({ element: this._createSpawnedAtom(a.element, a.left, a.top).element, layer: a.layer });
+            });
+
+            doc.molecules.forEach(m => {
+                try {
+                    if (!m || !Number.isFinite(m.left) || !Number.isFinite(m.top)) throw new Error('Saved molecule has no position');
+                    const graph = WorkspaceStore.graphFrom(m.graph);
+                    const size = m.size || this._cardSizeFor(graph);
+                    const centerX = origin.left + m.left + size / 2;
+                    const centerY = origin.top + m.top + size / 2;
+                    let entry;
+                    if (m.kind === 'molecule') {
+                        entry = this._createFinalMoleculeCard(m.name || 'New molecule', m.formula || graph.displayFormula(), graph, centerX, centerY, size);
+                    } else {
+                        entry = this._createMoleculeCard(graph, centerX, centerY, { title: m.title, size, kind: 'intermediate' });
+                        if (m.base === 'C3') this._markRingIntermediate(entry);
+                        else if (m.base) entry.base = m.base;
+                        if (m.bond) entry.bond = m.bond;
+                    }
+                    // keep the saved position even where the container is now smaller
+                    entry.element.style.left = `${m.left}px`;
+                    entry.element.style.top = `${m.top}px`;
+                    if (m.scale) this._setMoleculeScale(entry, m.scale);
+                    layered.push({ element: entry.element, layer: m.layer });
+                } catch (error) {
+                    console.warn('Skipping saved molecule:', error);
+                    skipped++;
                 }
-                return b;
-            };
+            });
 
-            const cNode = makeNode('carbon','C', cx, cy);
-            const hNodes = proj.map(p => makeNode('hydrogen','H', cx + p.x * r, cy + p.y * r));
+            layered.forEach((item, i) => { item.element.style.zIndex = Number.isFinite(item.layer) ? item.layer : i + 1; });
+            this.topLayer = layered.reduce((top, item) => Math.max(top, this._layerOf(item.element)), 0);
 
-            hNodes.forEach(hn => {
-                const hx = parseFloat(hn.style.left) + 20; // hydrogen size/2 = 20
-                const hy = parseFloat(hn.style.top) + 20;
-                makeBond(cx, cy, hx, hy);
+            // the session's discoveries; ones this device has never built join the journal unbuilt
+            this.discoveredMolecules = [];
+            doc.discovered.forEach(d => {
+                if (!d || typeof d.key !== 'string' || typeof d.name !== 'string' || typeof d.formula !== 'string') return;
+                if (!d.key || this.discoveredMolecules.find(m => m.key === d.key)) return;
+                this.discoveredMolecules.push({ name: d.name, formula: d.formula, key: d.key });
+                this.journal.note(d.name, d.formula, d.key);
             });
+            this.updateDiscoveredList();
+            this.activeMolecule = null;
+        } finally {
+            this._restoring = false;
+        }
 
-            structure.appendChild(cNode);
-            hNodes.forEach(hn => structure.appendChild(hn));
-        }
-        else if (opts.style === 'h2o-detailed' || formula === 'H₂O' || formula === 'H2O') {
-            const cx = width/2, cy = height/2, r = 70;
-            const halfAngle = 104.5/2 * Math.PI/180;
-            const makeNode = (cls,label,centerX,centerY) => {
-                const n = document.createElement('div');
-                n.className = `atom ${cls}`;
-                n.textContent = label;
-                n.style.position = 'absolute';
-                const size = (cls === 'hydrogen') ? 40 : 55;
-                n.style.left = `${centerX - size/2}px`;
-                n.style.top  = `${centerY - size/2}px`;
-                return n;
-            };
+        const when = doc.savedAt ? ` from ${new Date(doc.savedAt).toLocaleString()}` : '';
+        this.updateStatus(`Restored workspace${when}` + (skipped ? ` (${skipped} item${skipped > 1 ? 's' : ''} could not be restored)` : ''));
+        return skipped;
+    }
 
-            const oNode = makeNode('oxygen','O', cx, cy);
-            const h1x = cx + Math.cos(halfAngle) * r, h1y = cy - Math.sin(halfAngle) * r;
-            const h2x = cx - Math.cos(halfAngle) * r, h2y = cy - Math.sin(halfAngle) * r;
-            const h1Node = makeNode('hydrogen','H', h1x, h1y);
-            const h2Node = makeNode('hydrogen','H', h2x, h2y);
-
-            const makeBond = (x1,y1,x2,y2, double=false) => {
-                const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI;
-                const left = Math.min(x1, x2), top = Math.min(y1, y2);
-                const b = document.createElement('div');
-                b.className = 'bond';
-                b.style.position = 'absolute';
-                b.style.left = `${left}px`;
-                b.style.top = `${top}px`;
-                b.style.width = `${len}px`;
-                b.style.height = '4px';
-                b.style.transformOrigin = '0 50%';
-                b.style.transform = `translate(${x1 - left}px, ${y1 - top}px) rotate(${ang}deg)`;
-                b.style.background = '#00ff88';
-                b.style.borderRadius = '2px';
-                structure.appendChild(b);
-                if (double) {
-                    const offset = 6;
-                    const nx = -dy / (len || 1);
-                    const ny = dx / (len || 1);
-                    const b2 = b.cloneNode();
-                    b2.style.transform = `translate(${x1 - left + nx*offset}px, ${y1 - top + ny*offset}px) rotate(${ang}deg)`;
-                    structure.appendChild(b2);
+    // Pick up the last autosave, then keep saving: any change to the workspace DOM
+    // (atoms, cards, moves, discoveries) schedules a save once things settle.
+    startAutosave() {
+        const saved = this.workspaceStore.load();
+        if (saved && (saved.atoms.length || saved.molecules.length || saved.discovered.length)) {
+            // a broken autosave must not stop the app from starting: begin with an empty workspace
+            try {
+                this.restoreWorkspace(saved);
+            } catch (error) {
+                console.warn('Could not restore the autosaved workspace:', error);
+                this._restoring = true;
+                try {
+                    this.clearAll();
+                } finally {
+                    this._restoring = false;
                 }
-            };
+                this.updateStatus('The autosaved workspace could not be restored; starting empty');
+            }
+        }
+
+        const schedule = () => {
+            if (this._restoring) return;
+            clearTimeout(this._autosaveTimer);
+            this._autosaveTimer = setTimeout(() => this.workspaceStore.save(this.serializeWorkspace()), 800);
+        };
+        const observer = new MutationObserver(schedule);
+        observer.observe(this.moleculeContainer, { childList: true, subtree: true, attributes: true, attributeFilter: ['style'] });
+        observer.observe(this.discoveredList, { childList: true });
+        window.addEventListener('beforeunload', () => this.workspaceStore.save(this.serializeWorkspace()));
+    }
+
+    downloadWorkspace() {
+        const doc = this.serializeWorkspace();
+        const stamp = doc.savedAt.slice(0, 16).replace(/[:T]/g, '-');
+        this._downloadText(`chemistry-workspace-${stamp}.json`, JSON.stringify(doc, null, 2), 'application/json');
+        this.updateStatus('Workspace saved to file');
+    }
+
+    // ---------- Undo / redo ----------
+    // Remember the workspace before a change. Returns the history step (null while
+    // a snapshot is being restored, which is not a change of its own).
+    _checkpoint(label) {
+        if (this._restoring) return null;
+        const step = this.history.record(label, this.serializeWorkspace());
+        this._updateHistoryButtons();
+        return step;
+    }
+
+    undo() {
+        const step = this.history.undo(this.serializeWorkspace());
+        if (!step) {
+            this.updateStatus('Nothing to undo');
+            return false;
+        }
+        this.restoreWorkspace(step.doc);
+        this._updateHistoryButtons();
+        this.updateStatus(`Undid ${step.label}`);
+        return true;
+    }
+
+    redo() {
+        const step = this.history.redo(this.serializeWorkspace());
+        if (!step) {
+            this.updateStatus('Nothing to redo');
+            return false;
+        }
+        this.restoreWorkspace(step.doc);
+        this._updateHistoryButtons();
+        this.updateStatus(`Redid ${step.label}`);
+        return true;
+    }
+
+    // three-finger swipe: towards the left on screen undoes, to the right redoes
+    handleHistorySwipe(point, hand = this.primaryHand, event = {}) {
+        if (event.axis !== 'x') return;
+        // the video is mirrored, so a swipe to the left on screen has dx > 0
+        if (event.dx > 0) this.undo();
+        else this.redo();
+    }
+
+    _updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-button');
+        const redoBtn = document.getElementById('redo-button');
+        if (undoBtn) undoBtn.classList.toggle('disabled', !this.history.canUndo());
+        if (redoBtn) redoBtn.classList.toggle('disabled', !this.history.canRedo());
+    }
+
+    async uploadWorkspace(file) {
+        try {
+            const doc = WorkspaceStore.parse(await file.text());
+            this._checkpoint('session load');
+            this.restoreWorkspace(doc);
+        } catch (error) {
+            this.updateStatus(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
 
-            makeBond(cx, cy, h1x, h1y);
-            makeBond(cx, cy, h2x, h2y);
-
-            structure.appendChild(oNode);
-            structure.appendChild(h1Node);
-            structure.appendChild(h2Node);
-        }
-        else if (opts.style === 'c3h6-detailed' || formula === 'C₃H₆' || formula === 'C3H6') {
-            const cx = width/2, cy = height/2, r = 72;
-            const angles = [-90, 30, 150];
-            const makeNode = (cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; const size=(cls==='hydrogen')?40:55; n.style.left=`${x - size/2}px`; n.style.top=`${y - size/2}px`; return n; };
-            const positions = angles.map(a=>{ const rad = a * Math.PI / 180; return { x: cx + Math.cos(rad)*r, y: cy + Math.sin(rad)*r }; });
-            const makeBond = (x1,y1,x2,y2)=>{ const dx=x2-x1, dy=y2-y1, len=Math.hypot(dx,dy), ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2), top=Math.min(y1,y2); const b=document.createElement('div'); b.className='bond'; b.style.position='absolute'; b.style.left=`${left}px`; b.style.top=`${top}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform = `translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; return b; };
-            structure.appendChild(makeBond(positions[0].x,positions[0].y, positions[1].x,positions[1].y));
-            structure.appendChild(makeBond(positions[1].x,positions[1].y, positions[2].x,positions[2].y));
-            structure.appendChild(makeBond(positions[2].x,positions[2].y, positions[0].x,positions[0].y));
-            structure.appendChild(makeNode('carbon','C', positions[0].x, positions[0].y));
-            structure.appendChild(makeNode('carbon','C', positions[1].x, positions[1].y));
-            structure.appendChild(makeNode('carbon','C', positions[2].x, positions[2].y));
-            // approximate H positions (two per carbon)
-            positions.forEach(p => {
-                const h1 = { x: p.x + (p.x - cx) * 0.5 + 18, y: p.y + (p.y - cy) * 0.5 + 6 };
-                const h2 = { x: p.x + (p.x - cx) * 0.5 - 18, y: p.y + (p.y - cy) * 0.5 - 6 };
-                structure.appendChild(makeNode('hydrogen','H', h1.x, h1.y));
-                structure.appendChild(makeNode('hydrogen','H', h2.x, h2.y));
+    // ---------- Landmark recording / replay ----------
+    // Gesture timing runs on this clock: the replayed frame's time during a replay,
+    // so dwell, palm and swipe timings match the recording at any speed.
+    now() {
+        return this.replay ? this.replay.time : Date.now();
+    }
+
+    toggleRecording() {
+        if (!this.recorder) {
+            this.recorder = new LandmarkRecorder();
+            this._updateReplayControls();
+            this.updateStatus(this.hands ? 'Recording hand landmarks...' : 'Recording — but hand tracking is not running');
+            return;
+        }
+
+        const recording = this.recorder.toJSON();
+        this.recorder = null;
+        this._updateReplayControls();
+        if (!recording.frames.length) {
+            this.updateStatus('Nothing recorded — no hand tracking frames arrived');
+            return;
+        }
+        const stamp = recording.recordedAt.slice(0, 16).replace(/[:T]/g, '-');
+        this._downloadText(`hand-recording-${stamp}.json`, JSON.stringify(recording), 'application/json');
+        this.updateStatus(`Recorded ${recording.frames.length} frames (${(recording.frames[recording.frames.length - 1].t / 1000).toFixed(1)} s)`);
+    }
+
+    // Play a recording through onResults in place of the webcam. Looping puts the
+    // workspace back as it was at the start, so every pass plays out the same way.
+    startReplay(recording, { speed = 1, loop = false } = {}) {
+        this.stopReplay();
+        if (!this.ctx) this._setupCanvas();
+
+        const start = this.serializeWorkspace();
+        this.replay = new LandmarkPlayer(recording, (hands) => this.onResults({ multiHandLandmarks: hands }), {
+            speed,
+            loop,
+            onLoop: () => {
+                this._resetTrackedHands();
+                this.restoreWorkspace(start);
+            },
+            onEnd: () => this.stopReplay('Replay finished')
+        });
+        this._updateReplayControls();
+        this.updateStatus(`Replaying ${recording.frames.length} frames at ${speed}×${loop ? ', looping' : ''}`);
+        this.replay.play();
+    }
+
+    stopReplay(message = null) {
+        if (!this.replay) return;
+        this.replay.stop();
+        this.replay = null;
+        this._resetTrackedHands();
+        this._updateReplayControls();
+        if (message) this.updateStatus(message);
+    }
+
+    setReplaySpeed(speed) {
+        if (this.replay) this.replay.setSpeed(speed);
+    }
+
+    async openReplayFile(file) {
+        try {
+            const recording = LandmarkRecorder.parse(await file.text());
+            this.startReplay(recording, this._replayOptions());
+        } catch (error) {
+            this.updateStatus(`Could not replay ${file.name}: ${error.message}`);
+        }
+    }
+
+    async replayFromUrl(url, options) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.startReplay(LandmarkRecorder.parse(await response.text()), options);
+        } catch (error) {
+            this.updateStatus(`Could not replay ${url}: ${error.message}`);
+        }
+    }
+
+    // speed and loop as set in the replay bar
+    _replayOptions() {
+        const speed = document.getElementById('replay-speed');
+        const loop = document.getElementById('replay-loop');
+        return { speed: speed ? parseFloat(speed.value) || 1 : 1, loop: !!(loop && loop.checked) };
+    }
+
+    // the tracked hands leave the frame: put back what they held and forget their gestures
+    _resetTrackedHands() {
+        this.trackedHands.forEach(hand => {
+            if (hand.isDragging) this._cancelDrag(hand);
+            hand.isPinching = false;
+            hand.grip = null;
+            hand.rotating = null;
+            hand.lastTip = null;
+            hand.filter.reset();
+            hand.gestures.reset();
+            hand.depth.reset();
+            this._showDwellProgress(hand, 0);
+            this.hideFingerCursor(hand);
+        });
+        if (this.ctx) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    _updateReplayControls() {
+        const recordBtn = document.getElementById('record-button');
+        const stopBtn = document.getElementById('replay-stop');
+        if (recordBtn) {
+            recordBtn.classList.toggle('recording', !!this.recorder);
+            recordBtn.textContent = this.recorder ? 'Stop recording' : 'Record';
+        }
+        if (stopBtn) stopBtn.classList.toggle('disabled', !this.replay);
+    }
+
+    // ---------- Hand calibration ----------
+    // profile: a CalibrationStore profile, or null for the defaults
+    applyCalibration(profile) {
+        this.pinchThresholds = profile
+            ? HandCalibration.pinchThresholds(profile.pinch)
+            : { start: GESTURE_PINCH_START, release: GESTURE_PINCH_RELEASE };
+        this.reach = profile ? profile.reach : null;
+        this.handStates.forEach(hand => { hand.gestures.pinchStart = this.pinchThresholds.start; });
+    }
+
+    // show the calibration panel: pick a saved profile, or name a new one and start
+    openCalibration() {
+        const panel = document.getElementById('calibration');
+        if (!panel) return;
+        this.calibrationSession = null;
+        const active = this.calibrations.active();
+        const nameInput = document.getElementById('calibration-name');
+        if (nameInput) nameInput.value = active ? active.name : '';
+
+        const list = document.getElementById('calibration-profiles');
+        if (list) {
+            list.innerHTML = '';
+            this.calibrations.all().forEach(profile => {
+                const btn = document.createElement('button');
+                btn.textContent = profile.name;
+                btn.classList.toggle('active', active === profile);
+                btn.title = 'Use this calibration';
+                btn.addEventListener('click', () => {
+                    this.calibrations.use(profile.name);
+                    this.applyCalibration(profile);
+                    this.closeCalibration(`Using the calibration for ${profile.name}`);
+                });
+                list.appendChild(btn);
             });
         }
-        //else if (opts.style === 'co2-detailed' || formula === 'CO₂' || formula === 'CO2') {
-           // const cx = width/2, cy = height/2, r = 80;
-            //const makeNode=(cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='oxygen'?28:28)}px`; n.style.top=`${y - (cls==='oxygen'?28:28)}px`; return n; };
-        else if (opts.style === 'co2-detailed' || formula === 'CO₂' || formula === 'CO2') {
-            const cx = width/2, cy = height/2, r = 80;
-            const makeNode=(cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='oxygen'?28:28)}px`; n.style.top=`${y - (cls==='oxygen'?28:28)}px`; return n; };
-            const cNode = makeNode('carbon','C', cx, cy);
-            const oL = makeNode('oxygen','O', cx - r, cy); const oR = makeNode('oxygen','O', cx + r, cy);
-
-            const makeParallelBonds = (x1,y1,x2,y2) => {
-                const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx,dy), ang = Math.atan2(dy,dx)*180/Math.PI;
-                const offset = 6;
-                const nx = -dy/(len||1), ny = dx/(len||1);
-                const left = Math.min(x1, x2), top = Math.min(y1, y2);
-                const baseTransform = (ox=0, oy=0) => `translate(${x1 - left + ox}px, ${y1 - top + oy}px) rotate(${ang}deg)`;
-                const b1 = document.createElement('div'); b1.className='bond'; b1.style.position='absolute'; b1.style.left = `${left}px`; b1.style.top = `${top}px`; b1.style.width = `${len}px`; b1.style.height = '4px'; b1.style.transformOrigin='0 50%'; b1.style.transform = baseTransform(0,0); b1.style.background='#00ff88'; b1.style.borderRadius='2px';
-                const b2 = document.createElement('div'); b2.className='bond'; b2.style.position='absolute'; b2.style.left = `${left}px`; b2.style.top = `${top}px`; b2.style.width = `${len}px`; b2.style.height = '4px'; b2.style.transformOrigin='0 50%'; b2.style.transform = baseTransform(nx*offset, ny*offset); b2.style.background='#00ff88'; b2.style.borderRadius='2px';
-                return [b1,b2];
+
+        this._renderCalibration('intro', this.hands
+            ? 'Type your name and press Start, then hold one hand up to the camera.'
+            : 'Calibration needs the camera, which is not running.');
+        panel.hidden = false;
+    }
+
+    startCalibration() {
+        if (!this.hands) {
+            this.updateStatus('Calibration needs the camera');
+            return;
+        }
+        const nameInput = document.getElementById('calibration-name');
+        const name = (nameInput && nameInput.value.trim()) || 'Default';
+        this._resetTrackedHands();
+        this.calibrationSession = new CalibrationSession(name);
+        this._renderCalibration(this.calibrationSession.step);
+    }
+
+    closeCalibration(message = null) {
+        const panel = document.getElementById('calibration');
+        if (panel) panel.hidden = true;
+        this.calibrationSession = null;
+        if (message) this.updateStatus(message);
+    }
+
+    // one frame while calibrating: the first hand in view drives the session
+    _calibrationFrame(seen) {
+        const session = this.calibrationSession;
+        const hand = this.trackedHands.find(h => seen.has(h));
+        const landmarks = hand ? hand.filter.apply(seen.get(hand), this.now()) : null;
+        this.trackedHands.forEach(h => { if (h !== hand) h.filter.reset(); });
+        if (landmarks) this.processHandLandmarks(landmarks, hand);
+
+        session.update(landmarks, this.now());
+        if (session.done) {
+            this.calibrationSession = null;
+            const profile = this.calibrations.save(session.result);
+            this.applyCalibration(profile);
+            const { start } = this.pinchThresholds;
+            this._renderCalibration('done', `Calibrated for ${profile.name}: pinch when your fingertips are ${Math.round(start * 100)}% of a hand length apart.`);
+            this.updateStatus(`Calibration saved for ${profile.name}`);
+        } else {
+            this._renderCalibration(session.step, landmarks ? session.hint : 'Hold one hand up where the camera can see it');
+        }
+    }
+
+    // step: 'intro' | CALIBRATION_STEPS | 'done'
+    _renderCalibration(step, note = null) {
+        const instructions = {
+            intro: 'Calibrate hand tracking',
+            open: 'Step 1 of 3 — spread your thumb and index finger wide apart and hold still',
+            pinch: 'Step 2 of 3 — pinch your thumb and index finger together and hold',
+            reach: 'Step 3 of 3 — sweep your index finger to the left, right, top and bottom as far as is comfortable',
+            done: 'All done!'
+        };
+        const running = CALIBRATION_STEPS.includes(step);
+        const panel = document.getElementById('calibration');
+        if (!panel) return;
+        panel.querySelector('#calibration-step').textContent = instructions[step];
+        panel.querySelector('#calibration-note').textContent = note || '';
+        panel.querySelector('#calibration-who').hidden = step !== 'intro';
+        panel.querySelector('#calibration-progress').hidden = !running;
+        panel.querySelector('#calibration-progress-fill').style.width = running ? `${Math.round(this.calibrationSession.progress * 100)}%` : '0%';
+        panel.querySelector('#calibration-start').hidden = step !== 'intro';
+        panel.querySelector('#calibration-close').textContent = running ? 'Cancel' : (step === 'done' ? 'Done' : 'Skip');
+    }
+
+    // ---------- Lessons ----------
+    // The lesson panel lists the lessons until one is started, then shows its current
+    // challenge with hints on request, and a summary once every challenge is done.
+    openLessons() {
+        const panel = document.getElementById('lesson');
+        if (!panel) return;
+        if (this.lessonRun) {
+            this._renderLesson(this.lessonRun.done ? 'complete' : 'challenge');
+        } else {
+            const list = document.getElementById('lesson-list');
+            if (list) {
+                list.innerHTML = '';
+                this.lessons.lessons.forEach(lesson => {
+                    const btn = document.createElement('button');
+                    btn.textContent = lesson.title;
+                    btn.title = `${lesson.challenges.length} challenge${lesson.challenges.length === 1 ? '' : 's'}`;
+                    btn.addEventListener('click', () => this.startLesson(lesson.id));
+                    list.appendChild(btn);
+                });
+            }
+            this._renderLesson('choose', this.lessons.lessons.length ? null : 'No lessons could be loaded (see console)');
+        }
+        panel.hidden = false;
+    }
+
+    startLesson(id) {
+        const lesson = this.lessons.get(id);
+        if (!lesson) {
+            this.updateStatus(`There is no lesson called "${id}"`);
+            return false;
+        }
+        this.lessonRun = new LessonRun(lesson, this.now());
+        const panel = document.getElementById('lesson');
+        if (panel) panel.hidden = false;
+        this._renderLesson('challenge', lesson.intro);
+        this.updateStatus(`Lesson: ${lesson.title}`);
+        return true;
+    }
+
+    startNextLesson() {
+        const next = this.lessonRun && this.lessons.next(this.lessonRun.lesson);
+        if (next) this.startLesson(next.id);
+    }
+
+    showHint() {
+        const run = this.lessonRun;
+        if (!run || run.done) return;
+        const hint = run.hint();
+        this._renderLesson('challenge', hint ? null : 'No more hints for this challenge');
+    }
+
+    skipChallenge() {
+        const run = this.lessonRun;
+        if (!run || run.done) return;
+        const skipped = run.challenge;
+        run.skip(this.now());
+        this._renderLesson(run.done ? 'complete' : 'challenge', `Skipped: ${skipped.title}`);
+    }
+
+    // Close the panel; closing during a challenge ends the lesson
+    closeLessons() {
+        const panel = document.getElementById('lesson');
+        if (panel) panel.hidden = true;
+        if (this.lessonRun && !this.lessonRun.done) this.updateStatus(`Stopped the lesson "${this.lessonRun.lesson.title}"`);
+        this.lessonRun = null;
+    }
+
+    // A molecule was built: check it against the current challenge. Imported
+    // structures do not count, or a lesson could be done by typing SMILES.
+    _checkLessonGoal(graph, path) {
+        const run = this.lessonRun;
+        if (!run || run.done) return;
+        const challenge = run.challenge;
+        if (path === 'import') {
+            if (LessonBook.meets(challenge.goal, graph)) this._renderLesson('challenge', 'Imported molecules do not count — build it by hand');
+            return;
+        }
+
+        const { counted, completed } = run.record(graph, this.now());
+        if (completed) {
+            this._renderLesson(run.done ? 'complete' : 'challenge', `✓ ${challenge.title}` + (challenge.done ? ` — ${challenge.done}` : ''));
+        } else if (counted) {
+            const { found, needed } = run.progress;
+            this._renderLesson('challenge', `${found} of ${needed} found — keep going`);
+        } else if (LessonBook.meets(challenge.goal, graph)) {
+            this._renderLesson('challenge', 'You found that one already — try a different structure');
+        }
+    }
+
+    // mode: 'choose' | 'challenge' | 'complete'
+    _renderLesson(mode, note = null) {
+        const panel = document.getElementById('lesson');
+        if (!panel) return;
+        const run = this.lessonRun;
+        const $ = (id) => panel.querySelector(`#${id}`);
+
+        $('lesson-list').hidden = mode !== 'choose';
+        $('lesson-challenge').hidden = mode !== 'challenge';
+        $('lesson-summary').hidden = mode !== 'complete';
+        $('lesson-hint').hidden = mode !== 'challenge';
+        $('lesson-skip').hidden = mode !== 'challenge';
+        $('lesson-next').hidden = mode !== 'complete' || !this.lessons.next(run.lesson);
+        $('lesson-close').textContent = mode === 'challenge' ? 'Quit' : 'Close';
+        $('lesson-note').textContent = note || '';
+
+        if (mode === 'choose') {
+            $('lesson-title').textContent = 'Lessons';
+        } else if (mode === 'challenge') {
+            const { found, needed } = run.progress;
+            const total = run.lesson.challenges.length;
+            $('lesson-title').textContent = run.lesson.title;
+            $('lesson-step').textContent = `Challenge ${run.index + 1} of ${total}`;
+            $('lesson-goal').textContent = run.challenge.title;
+            $('lesson-progress').hidden = needed < 2;
+            $('lesson-progress-fill').style.width = `${Math.round(100 * found / needed)}%`;
+            // lesson files can come from any URL (?lessons=), so their text goes in as text
+            $('lesson-hints').replaceChildren(...run.hints.map(h => this._lessonRow(h)));
+            $('lesson-hint').classList.toggle('disabled', run.hints.length >= run.challenge.hints.length);
+        } else {
+            const summary = run.summary(this.now());
+            const time = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+            const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+            $('lesson-title').textContent = `${summary.title} — complete!`;
+            $('lesson-summary').replaceChildren(
+                ...summary.challenges.map(r => this._lessonRow(r.challenge.title, r.skipped ? 'skipped' : 'met',
+                    (r.skipped ? 'skipped' : time(r.ms)) + (r.hints ? ` · ${plural(r.hints, 'hint')}` : ''))),
+                this._lessonRow(`${summary.completed} of ${summary.challenges.length} done in ${time(summary.ms)}` +
+                    (summary.hints ? ` with ${plural(summary.hints, 'hint')}` : ' without hints'), 'lesson-total')
+            );
+        }
+    }
+
+    // <li>text<span>detail</span></li>
+    _lessonRow(text, className = '', detail = null) {
+        const li = document.createElement('li');
+        if (className) li.className = className;
+        li.textContent = text;
+        if (detail) {
+            const span = document.createElement('span');
+            span.textContent = detail;
+            li.appendChild(span);
+        }
+        return li;
+    }
+
+    // ---------- 3D view ----------
+    // Shows the active molecule (the last one created or moved) with its VSEPR
+    // geometry and follows it as the active molecule changes. A pinch on the view grabs
+    // the model and turns it with the hand (handlePinchStart / _turnViewer).
+    toggleViewer() {
+        const panel = document.getElementById('viewer3d');
+        if (panel && !panel.hidden) this.closeViewer();
+        else this.openViewer();
+    }
+
+    openViewer() {
+        const panel = document.getElementById('viewer3d');
+        if (!panel || !this.viewer) return;
+        panel.hidden = false;
+        this.viewer.resetRotation();
+        this.viewer.show(null);
+        this.viewerShown = null;
+        this._describeViewer(null);
+        this.viewerSpin = true;
+        this.updateStatus(this.activeMolecule ? 'Pinch the 3D view and move your hand to turn the molecule' : 'Build or move a molecule to see it in 3D');
+        if (this.viewerFrame === null) {
+            let last = performance.now();
+            const frame = (time) => {
+                this.viewerFrame = requestAnimationFrame(frame);
+                this._drawViewer(Math.min(100, time - last) / 1000);
+                last = time;
             };
+            this.viewerFrame = requestAnimationFrame(frame);
+        }
+    }
+
+    closeViewer() {
+        const panel = document.getElementById('viewer3d');
+        if (panel) panel.hidden = true;
+        if (this.viewerFrame !== null) cancelAnimationFrame(this.viewerFrame);
+        this.viewerFrame = null;
+        this.handStates.forEach(hand => { hand.rotating = null; });
+    }
 
-            const bonds = [];
-            bonds.push(...makeParallelBonds(cx,cy, cx - r, cy));
-            bonds.push(...makeParallelBonds(cx,cy, cx + r, cy));
-            bonds.forEach(b => structure.appendChild(b));
-            structure.appendChild(oL); structure.appendChild(cNode); structure.appendChild(oR);
-        }
-        else if (opts.style === 'c2single-detailed' || (formula === 'C2H6')) {
-            const cx = width/2, cy = height/2;
-            const c1x = cx - 40, c2x = cx + 40;
-            const makeNode = (cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='hydrogen'?20:28)}px`; n.style.top=`${y - (cls==='hydrogen'?20:28)}px`; return n; };
-            const c1 = makeNode('carbon','C', c1x, cy); const c2 = makeNode('carbon','C', c2x, cy);
-            const hOffsetsLeft = [{x:-36,y:-30},{x:-56,y:6},{x:-36,y:36}];
-            const hOffsetsRight = [{x:36,y:-30},{x:56,y:6},{x:36,y:36}];
-            const makeBond = (x1,y1,x2,y2)=>{ const dx=x2-x1,dy=y2-y1,len=Math.hypot(dx,dy),ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2),top=Math.min(y1,y2); const b=document.createElement('div'); b.className='bond'; b.style.position='absolute'; b.style.left=`${left}px`; b.style.top=`${top}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform=`translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; return b; };
-            structure.appendChild(c1); structure.appendChild(c2);
-            structure.appendChild(makeBond(c1x,cy,c2x,cy));
-            hOffsetsLeft.forEach(o=>{ const hx=c1x+o.x, hy=cy+o.y; const hn=makeNode('hydrogen','H',hx,hy); structure.appendChild(makeBond(c1x,cy,hx,hy)); structure.appendChild(hn); });
-            hOffsetsRight.forEach(o=>{ const hx=c2x+o.x, hy=cy+o.y; const hn=makeNode('hydrogen','H',hx,hy); structure.appendChild(makeBond(c2x,cy,hx,hy)); structure.appendChild(hn); });
-        }
-        else if (opts.style === 'c2h4-detailed' || (formula === 'C2H4')) {
-            const cx = width/2, cy = height/2;
-            const c1x = cx - 40, c2x = cx + 40;
-            const makeNode = (cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='hydrogen'?20:28)}px`; n.style.top=`${y - (cls==='hydrogen'?20:28)}px`; return n; };
-            const c1 = makeNode('carbon','C', c1x, cy); const c2 = makeNode('carbon','C', c2x, cy);
-            const makeDouble = (x1,y1,x2,y2)=>{ const dx=x2-x1,dy=y2-y1,len=Math.hypot(dx,dy), ang=Math.atan2(dy,dx)*180/Math.PI; const offset=6; const nx=-dy/(len||1), ny=dx/(len||1); const left=Math.min(x1,x2), top=Math.min(y1,y2); const b1=document.createElement('div'); b1.className='bond'; b1.style.position='absolute'; b1.style.left=`${left}px`; b1.style.top=`${top}px`; b1.style.width=`${len}px`; b1.style.height='4px'; b1.style.transformOrigin='0 50%'; b1.style.transform=`translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b1.style.background='#00ff88'; b1.style.borderRadius='2px'; const b2=b1.cloneNode(); b2.style.transform = `translate(${x1-left + nx*offset}px, ${y1-top + ny*offset}px) rotate(${ang}deg)`; return [b1,b2]; };
-            structure.appendChild(c1); structure.appendChild(c2);
-            makeDouble(c1x,cy,c2x,cy).forEach(b=>structure.appendChild(b));
-            const h1=makeNode('hydrogen','H',c1x-48,cy-24); const h2=makeNode('hydrogen','H',c1x-48,cy+24);
-            const h3=makeNode('hydrogen','H',c2x+48,cy-24); const h4=makeNode('hydrogen','H',c2x+48,cy+24);
-            const makeBondSimple=(x1,y1,x2,y2)=>{ const dx=x2-x1,dy=y2-y1,len=Math.hypot(dx,dy),ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2), top=Math.min(y1,y2); const b=document.createElement('div'); b.className='bond'; b.style.position='absolute'; b.style.left=`${left}px`; b.style.top=`${top}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform=`translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; return b; };
-            structure.appendChild(makeBondSimple(c1x,cy,c1x-48,cy-24)); structure.appendChild(h1);
-            structure.appendChild(makeBondSimple(c1x,cy,c1x-48,cy+24)); structure.appendChild(h2);
-            structure.appendChild(makeBondSimple(c2x,cy,c2x+48,cy-24)); structure.appendChild(h3);
-            structure.appendChild(makeBondSimple(c2x,cy,c2x+48,cy+24)); structure.appendChild(h4);
-        }
-        else if (opts.style === 'c2h2-detailed' || (formula === 'C2H2')) {
-            const cx = width/2, cy = height/2;
-            const c1x = cx - 48, c2x = cx + 48;
-            const makeNode = (cls,label,x,y)=>{ const n=document.createElement('div'); n.className=`atom ${cls}`; n.textContent=label; n.style.position='absolute'; n.style.left=`${x - (cls==='hydrogen'?20:28)}px`; n.style.top=`${y - (cls==='hydrogen'?20:28)}px`; return n; };
-            const c1 = makeNode('carbon','C', c1x, cy); const c2 = makeNode('carbon','C', c2x, cy);
-            const drawTriple = (x1,y1,x2,y2)=>{ const dx=x2-x1,dy=y2-y1,len=Math.hypot(dx,dy), ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2), top=Math.min(y1,y2); const b0=document.createElement('div'); b0.className='bond'; b0.style.position='absolute'; b0.style.left=`${left}px`; b0.style.top=`${top}px`; b0.style.width=`${len}px`; b0.style.height='4px'; b0.style.transformOrigin='0 50%'; b0.style.transform=`translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b0.style.background='#00ff88'; b0.style.borderRadius='2px'; const offset=8; const nx=-dy/(len||1), ny=dx/(len||1); const b1=b0.cloneNode(); b1.style.transform=`translate(${x1-left + nx*offset}px, ${y1-top + ny*offset}px) rotate(${ang}deg)`; const b2=b0.cloneNode(); b2.style.transform=`translate(${x1-left - nx*offset}px, ${y1-top - ny*offset}px) rotate(${ang}deg)`; return [b0,b1,b2]; };
-            structure.appendChild(c1); structure.appendChild(c2);
-            drawTriple(c1x,cy,c2x,cy).forEach(b=>structure.appendChild(b));
-            const h1=makeNode('hydrogen','H',c1x-80,cy); const h2=makeNode('hydrogen','H',c2x+80,cy);
-            const makeBondSimple=(x1,y1,x2,y2)=>{ const dx=x2-x1,dy=y2-y1,len=Math.hypot(dx,dy),ang=Math.atan2(dy,dx)*180/Math.PI; const left=Math.min(x1,x2), top=Math.min(y1,y2); const b=document.createElement('div'); b.className='bond'; b.style.position='absolute'; b.style.left=`${left}px`; b.style.top=`${top}px`; b.style.width=`${len}px`; b.style.height='4px'; b.style.transformOrigin='0 50%'; b.style.transform=`translate(${x1-left}px, ${y1-top}px) rotate(${ang}deg)`; b.style.background='#00ff88'; b.style.borderRadius='2px'; return b; };
-            structure.appendChild(makeBondSimple(c1x,cy,c1x-80,cy)); structure.appendChild(h1);
-            structure.appendChild(makeBondSimple(c2x,cy,c2x+80,cy)); structure.appendChild(h2);
-        }
-        else {
-            structure.style.display='flex'; structure.style.alignItems='center'; structure.style.justifyContent='center'; structure.style.gap='10px'; structure.innerHTML = `<div style="color:#fff;font-weight:700">${formula}</div>`;
+    // one frame of the open 3D view, `dt` seconds after the last
+    _drawViewer(dt) {
+        const entry = this.activeMolecule;
+        const changed = this.viewer.show(entry ? entry.graph : null);
+        if (changed || entry !== this.viewerShown) {
+            this.viewerShown = entry;
+            this._describeViewer(entry);
         }
+        if (this.viewerSpin && entry) this.viewer.rotateBy(VIEWER_SPIN * dt, 0);
+        this.viewer.render();
+    }
 
-        this.moleculeContainer.appendChild(molecule);
-        return molecule;
+    _turnViewer(x, y, hand) {
+        this.viewer.rotateBy((x - hand.rotating.x) * VIEWER_TURN_PER_PX, (y - hand.rotating.y) * VIEWER_TURN_PER_PX);
+        hand.rotating = { x, y };
+    }
+
+    // title and shape notes ("C tetrahedral 109.5°") for the molecule in the 3D view
+    _describeViewer(entry) {
+        const title = document.getElementById('viewer3d-title');
+        const note = document.getElementById('viewer3d-note');
+        if (!entry) {
+            if (title) title.textContent = '3D view';
+            if (note) note.textContent = 'Build a molecule, or pinch one on the workspace, to see its shape.';
+            return;
+        }
+        if (title) title.textContent = entry.name ? `${entry.name} - ${entry.formula}` : entry.graph.displayFormula();
+        if (note) {
+            const seen = new Set();
+            const shapes = MoleculeGeometry.shapes(entry.graph, this.viewer.geometry)
+                .map(s => `${s.atom.element} ${s.shape} ${s.angle.toFixed(1)}°`)
+                .filter(text => !seen.has(text) && seen.add(text));
+            note.textContent = shapes.length ? shapes.join(' · ') : 'Pinch and move your hand to turn it.';
+        }
     }
 
     removeAtoms(atoms) {
@@ -1722,33 +2615,116 @@ class ARChemistryApp {
             if (item.element && item.element.parentNode) item.element.remove();
         });
 
-        if (this.draggedElement && atoms.includes(this.draggedElement)) {
-            this.draggedElement = null;
-            this.isDragging = false;
-            this.isPinching = false;
-        }
+        this._releaseHeld(atoms.map(a => a.element));
     }
 
-    addDiscoveredMolecule(name, formula) {
-        if (!this.discoveredMolecules.find(m => m.formula === formula)) {
-            this.discoveredMolecules.push({ name, formula });
-
-            const item = document.createElement('div');
-            item.className = 'discovered-item';
-            item.innerHTML = `
-                <div class="molecule-name">${name}</div>
-                <div class="molecule-formula">${formula}</div>
-            `;
-
-            this.discoveredList.appendChild(item);
-            this.updateDiscoveredList();
+    // isomers share a formula, so discoveries are keyed by structure; every build is
+    // counted in the journal, which the Discovered panel shows
+    addDiscoveredMolecule(name, formula, structureKey = formula, path = 'cluster', groups = []) {
+        if (!this.discoveredMolecules.find(m => m.key === structureKey)) {
+            this.discoveredMolecules.push({ name, formula, key: structureKey });
         }
+        const { isNew } = this.journal.record(name, formula, structureKey, path, groups);
+        this.updateDiscoveredList();
+        return isNew;
     }
 
+    // ---------- Discovered panel: journal entries and catalog progress ----------
     updateDiscoveredList() {
-        if (this.discoveredMolecules.length === 0) {
+        if (!this.discoveredList) return;
+        this._renderJournalStats();
+
+        const entries = this.journal.all();
+        this._renderGroupFilter(entries);
+        if (entries.length === 0) {
             this.discoveredList.innerHTML = '<div class="empty-state">No molecules discovered yet</div>';
+            return;
         }
+        const placeholder = this.discoveredList.querySelector('.empty-state');
+        if (placeholder) placeholder.remove();
+
+        // update items in place so only new discoveries play the appear animation
+        entries.forEach(entry => {
+            let item = Array.from(this.discoveredList.children).find(el => el.dataset.key === entry.key);
+            if (!item) {
+                item = document.createElement('div');
+                item.className = 'discovered-item';
+                item.dataset.key = entry.key;
+                this.discoveredList.appendChild(item);
+            }
+            item.innerHTML = this._discoveredItemHtml(entry);
+            item.hidden = Boolean(this.groupFilter) && !this._groupsOf(entry).includes(this.groupFilter);
+        });
+    }
+
+    // show only discoveries with this functional group (null: all of them)
+    filterDiscovered(type) {
+        this.groupFilter = FUNCTIONAL_GROUPS[type] ? type : null;
+        this.updateDiscoveredList();
+        this.updateStatus(this.groupFilter ? `Discovered molecules with a ${FUNCTIONAL_GROUPS[type].name.toLowerCase()} group — ${FUNCTIONAL_GROUPS[type].about}` : 'Showing every discovered molecule');
+    }
+
+    // functional groups of a journal entry; ones only seen in a loaded workspace are
+    // looked up in the catalog
+    _groupsOf(entry) {
+        if (entry.groups) return entry.groups;
+        const known = this.catalog.findByKey(entry.key);
+        return known ? FunctionalGroups.types(known.graph) : [];
+    }
+
+    // one button per group among the discoveries, with how many have it
+    _renderGroupFilter(entries) {
+        const panel = document.getElementById('group-filter');
+        if (!panel) return;
+        const counts = {};
+        entries.forEach(entry => this._groupsOf(entry).forEach(type => { counts[type] = (counts[type] || 0) + 1; }));
+        const types = Object.keys(FUNCTIONAL_GROUPS).filter(type => counts[type]);
+        if (this.groupFilter && !counts[this.groupFilter]) this.groupFilter = null;
+
+        panel.hidden = types.length === 0;
+        const button = (type, label) => `<button data-group="${type || ''}" class="${type ? `group-${type}` : ''}${this.groupFilter === type ? ' active' : ''}">${label}</button>`;
+        panel.innerHTML = button(null, 'All') + types.map(type => button(type, `${FUNCTIONAL_GROUPS[type].name} ${counts[type]}`)).join('');
+    }
+
+    // journal entries come back from localStorage and loaded save files: their text is escaped
+    _discoveredItemHtml(entry) {
+        const text = ARChemistryApp._escapeHtml;
+        const known = this.catalog.findByKey(entry.key);
+        const fact = known && known.facts.length ? `<div class="molecule-fact">${known.facts[0]}</div>` : '';
+        const first = new Date(entry.firstDiscovered).toLocaleDateString();
+        const how = entry.firstPath ? ` via ${text(DISCOVERY_PATHS[entry.firstPath] || entry.firstPath)}` : '';
+        const builds = entry.builds ? `Built ${entry.builds}×` : 'Not built yet';
+        const groups = this._groupsOf(entry).map(type => `<span class="group-label group-${type}">${FUNCTIONAL_GROUPS[type].name}</span>`).join('');
+        return `
+            <div class="molecule-name">${text(entry.name)}</div>
+            <div class="molecule-formula">${text(entry.formula)}</div>
+            ${groups ? `<div class="molecule-groups">${groups}</div>` : ''}
+            <div class="molecule-journal">${builds} · first ${first}${how}</div>
+            ${fact}
+        `;
+    }
+
+    static _escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    _renderJournalStats() {
+        const panel = document.getElementById('journal-stats');
+        if (!panel) return;
+        const stats = this.journal.stats(this.catalog);
+        const percent = stats.catalogTotal ? Math.round(100 * stats.catalogFound / stats.catalogTotal) : 0;
+        const paths = Object.entries(stats.byPath)
+            .filter(([, n]) => n > 0)
+            .map(([p, n]) => ARChemistryApp._escapeHtml(`${DISCOVERY_PATHS[p] || p}: ${n}`))
+            .join(' · ');
+
+        panel.innerHTML = `
+            <div class="journal-progress-label">${stats.catalogFound} / ${stats.catalogTotal} catalog molecules (${percent}%)</div>
+            <div class="journal-progress"><div class="journal-progress-fill" style="width: ${percent}%"></div></div>
+            <div class="journal-detail">${stats.builds} build${stats.builds === 1 ? '' : 's'}` +
+            (stats.others ? ` · ${stats.others} other structure${stats.others === 1 ? '' : 's'}` : '') + `</div>
+            ${paths ? `<div class="journal-detail">${paths}</div>` : ''}
+        `;
     }
 
     updateStatus(message) {
@@ -0,0 +1,100 @@
+// ---------- Valence-aware bonding engine ----------
+// Decides which bonds are allowed from each element's valence: a bond may form
+// whenever neither atom would exceed its valence, and a molecule is complete
+// once every atom's valence is satisfied. Valences come from the element table.
+class BondingEngine {
+    static valence(element) {
+        return PeriodicTable.valence(element);
+    }
+
+    // bonds this atom can still form
+    static openValence(graph, atom) {
+        return BondingEngine.valence(atom.element) - graph.bondOrderSum(atom);
+    }
+
+    static totalOpenValence(graph) {
+        return graph.atoms.reduce((s, a) => s + BondingEngine.openValence(graph, a), 0);
+    }
+
+    // highest bond order two atoms with the given open valences can share
+    static maxBondOrder(openA, openB) {
+        return Math.max(0, Math.min(3, openA, openB));
+    }
+
+    static canBond(graphA, atomA, graphB, atomB, order = 1) {
+        return BondingEngine.maxBondOrder(BondingEngine.openValence(graphA, atomA), BondingEngine.openValence(graphB, atomB)) >= order;
+    }
+
+    // connected, more than one atom, and no open valence left anywhere
+    static isComplete(graph) {
+        return graph.atoms.length > 1 &&
+            graph.components().length === 1 &&
+            graph.atoms.every(a => BondingEngine.openValence(graph, a) === 0);
+    }
+
+    // Build one saturated molecule from loose single-atom graphs (ordered nearest-first).
+    // Every multivalent atom is used; terminal atoms (valence 1) beyond what the skeleton
+    // can hold are left out, dropping the farthest first. Returns { graph, used } where
+    // `used` lists the indices of the input graphs that ended up in the molecule, or null
+    // when no valence-satisfying structure exists.
+    static assemble(graphs) {
+        const items = graphs.map((g, i) => ({ i, element: g.atoms[0].element, valence: BondingEngine.valence(g.atoms[0].element) }));
+        const heavy = items.filter(it => it.valence > 1);
+        const terminal = items.filter(it => it.valence === 1);
+        if (!heavy.length || items.some(it => it.valence === 0)) return null;
+
+        for (let t = terminal.length; t >= 0; t--) {
+            const used = [...heavy, ...terminal.slice(0, t)];
+            const graph = MoleculeGraph.combine(used.map(it => graphs[it.i]));
+            if (BondingEngine._saturate(graph, heavy.length)) {
+                return { graph, used: used.map(it => it.i) };
+            }
+        }
+        return null;
+    }
+
+    // Bond the first `heavyCount` atoms of `graph` into a tree, raise bond orders until
+    // the remaining open valence matches the terminal atoms, then hang the terminals on.
+    static _saturate(graph, heavyCount) {
+        const open = (a) => BondingEngine.openValence(graph, a);
+        const heavy = graph.atoms.slice(0, heavyCount)
+            .map((a, idx) => ({ a, idx }))
+            .sort((p, q) => BondingEngine.valence(q.a.element) - BondingEngine.valence(p.a.element) || p.idx - q.idx)
+            .map(p => p.a);
+        const terminals = graph.atoms.slice(heavyCount);
+
+        // skeleton: each heavy atom bonds to the placed atom with the most open valence
+        const placed = [heavy[0]];
+        for (const atom of heavy.slice(1)) {
+            const anchor = placed.filter(p => open(p) > 0).sort((p, q) => open(q) - open(p))[0];
+            if (!anchor) return false;
+            graph.addBond(anchor, atom, 1);
+            placed.push(atom);
+        }
+
+        const free = heavy.reduce((s, a) => s + open(a), 0);
+        if (free < terminals.length || (free - terminals.length) % 2 !== 0) return false;
+
+        // multiple bonds, preferring bonds to heteroatoms (C=O before C=C)
+        for (let k = (free - terminals.length) / 2; k > 0; k--) {
+            const bond = graph.bonds
+                .filter(b => b.order < 3 && open(graph.getAtom(b.a)) > 0 && open(graph.getAtom(b.b)) > 0)
+                .sort((p, q) => BondingEngine._raisePriority(graph, q) - BondingEngine._raisePriority(graph, p))[0];
+            if (!bond) return false;
+            bond.order++;
+        }
+
+        for (const t of terminals) {
+            const anchor = heavy.filter(a => open(a) > 0).sort((p, q) => open(q) - open(p))[0];
+            if (!anchor) return false;
+            graph.addBond(anchor, t, 1);
+        }
+        return true;
+    }
+
+    static _raisePriority(graph, bond) {
+        const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+        const hetero = (a.element !== 'C' ? 1 : 0) + (b.element !== 'C' ? 1 : 0);
+        return hetero * 10 + Math.min(BondingEngine.openValence(graph, a), BondingEngine.openValence(graph, b));
+    }
+}
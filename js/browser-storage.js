@@ -0,0 +1,14 @@
+// ---------- Browser storage ----------
+// The workspace autosave, the discovery journal and hand calibrations all keep their
+// data in localStorage, and all carry on without it (in memory only) when it is missing.
+class BrowserStorage {
+    // window.localStorage, or null where there is none or it is blocked
+    static local() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // some browsers throw when storage is blocked for file:// pages
+            return null;
+        }
+    }
+}
@@ -0,0 +1,134 @@
+// ---------- Discovery journal ----------
+// Every molecule ever built on this device, kept in localStorage so progress carries
+// across sessions (Clear and loading a workspace leave it alone). One entry per structure:
+//   key                  MoleculeIdentifier.canonicalKey, so isomers are separate entries
+//   name, formula
+//   firstDiscovered      ISO timestamp of the first build
+//   lastBuilt            ISO timestamp of the latest build
+//   builds               how many times it has been built
+//   firstPath            how it was first built (a DISCOVERY_PATHS key)
+//   paths                builds per path, e.g. { cluster: 2, c2: 1 }
+//   groups               its functional groups (FUNCTIONAL_GROUPS keys), or null when
+//                        only seen in a loaded workspace
+const DISCOVERY_JOURNAL_KEY = 'ar-chemistry-journal';
+const DISCOVERY_JOURNAL_VERSION = 1;
+
+// how a molecule came to be built
+const DISCOVERY_PATHS = {
+    cluster: 'Proximity cluster',
+    c2: 'C2 bond',
+    c3: 'C3 ring',
+    import: 'Imported',
+    reaction: 'Reaction'
+};
+
+class DiscoveryJournal {
+    constructor(storage = BrowserStorage.local(), key = DISCOVERY_JOURNAL_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.entries = this._read();
+    }
+
+    // Count one build of a structure. Returns { entry, isNew }.
+    record(name, formula, structureKey, path = 'cluster', groups = [], when = new Date()) {
+        if (!DISCOVERY_PATHS[path]) throw new Error(`Unknown discovery path "${path}"`);
+        const stamp = when.toISOString();
+        let entry = this.get(structureKey);
+        const isNew = !entry;
+        if (isNew) {
+            entry = { key: structureKey, name, formula, firstDiscovered: stamp, lastBuilt: stamp, builds: 0, firstPath: path, paths: {}, groups };
+            this.entries.push(entry);
+        }
+        // a catalog edit may have named a structure that was first built as "New molecule";
+        // one only noted from a workspace learns its groups
+        entry.name = name;
+        entry.formula = formula;
+        entry.groups = groups;
+        entry.lastBuilt = stamp;
+        entry.builds++;
+        entry.paths[path] = (entry.paths[path] || 0) + 1;
+        this._write();
+        return { entry, isNew };
+    }
+
+    // Add a structure seen elsewhere (e.g. in a loaded workspace) without counting a build
+    note(name, formula, structureKey, when = new Date()) {
+        if (this.get(structureKey)) return false;
+        const stamp = when.toISOString();
+        this.entries.push({ key: structureKey, name, formula, firstDiscovered: stamp, lastBuilt: stamp, builds: 0, firstPath: null, paths: {}, groups: null });
+        this._write();
+        return true;
+    }
+
+    get(structureKey) {
+        return this.entries.find(e => e.key === structureKey) || null;
+    }
+
+    // entries in the order they were first discovered
+    all() {
+        return this.entries.slice().sort((a, b) => a.firstDiscovered.localeCompare(b.firstDiscovered));
+    }
+
+    // Progress against a MoleculeCatalog:
+    //   { discovered, builds, catalogTotal, catalogFound, others, byPath }
+    stats(catalog) {
+        const byPath = {};
+        Object.keys(DISCOVERY_PATHS).forEach(p => { byPath[p] = 0; });
+        let builds = 0;
+        this.entries.forEach(e => {
+            builds += e.builds;
+            Object.entries(e.paths).forEach(([p, n]) => { byPath[p] = (byPath[p] || 0) + n; });
+        });
+        const catalogFound = catalog.entries.filter(c => this.get(c.key)).length;
+        return {
+            discovered: this.entries.length,
+            builds,
+            catalogTotal: catalog.entries.length,
+            catalogFound,
+            others: this.entries.filter(e => !catalog.findByKey(e.key)).length,
+            byPath
+        };
+    }
+
+    _read() {
+        if (!this.storage) return [];
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key) || 'null');
+            if (!data) return [];
+            if (data.version !== DISCOVERY_JOURNAL_VERSION || !Array.isArray(data.entries)) throw new Error('unrecognised journal data');
+            return data.entries.filter(e => e && typeof e.key === 'string' && typeof e.firstDiscovered === 'string')
+                .map(DiscoveryJournal._clean);
+        } catch (error) {
+            console.warn('Ignoring stored discovery journal:', error.message);
+            return [];
+        }
+    }
+
+    // A stored entry with only what this version knows: paths and groups a later (or
+    // older) version named differently are dropped, counts are whole numbers
+    static _clean(e) {
+        const count = (n) => (Number.isInteger(n) && n > 0 ? n : 0);
+        const paths = {};
+        Object.keys(DISCOVERY_PATHS).forEach(p => {
+            if (e.paths && count(e.paths[p])) paths[p] = count(e.paths[p]);
+        });
+        return {
+            ...e,
+            name: String(e.name ?? ''),
+            formula: String(e.formula ?? ''),
+            builds: count(e.builds),
+            firstPath: Object.keys(DISCOVERY_PATHS).includes(e.firstPath) ? e.firstPath : null,
+            paths,
+            groups: Array.isArray(e.groups) ? e.groups.filter(type => Object.keys(FUNCTIONAL_GROUPS).includes(type)) : null
+        };
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: DISCOVERY_JOURNAL_VERSION, entries: this.entries }));
+        } catch (error) {
+            console.warn('Discovery journal could not be saved:', error);
+        }
+    }
+}
@@ -0,0 +1,77 @@
+// ---------- Functional groups ----------
+// The groups of atoms that decide how a molecule behaves, found from its bonds:
+// acetaldehyde and acetone are both C=O compounds, but an aldehyde's carbonyl
+// carbon still carries a hydrogen and a ketone's sits between two carbons.
+// Graphs have explicit hydrogens, as everywhere else in the app.
+const FUNCTIONAL_GROUPS = {
+    'carboxylic-acid': { name: 'Carboxylic acid', about: 'C=O and O–H on the same carbon (–COOH): the H comes off as H⁺, so it is an acid' },
+    aldehyde: { name: 'Aldehyde', about: 'C=O at the end of a chain, with an H still on the carbon (–CHO): easily oxidised' },
+    ketone: { name: 'Ketone', about: 'C=O between two carbons: no H on the carbonyl carbon, so it resists oxidation' },
+    hydroxyl: { name: 'Hydroxyl', about: 'O–H on a carbon (–OH), as in alcohols: hydrogen bonds raise the boiling point' },
+    ether: { name: 'Ether', about: 'O between two carbons (C–O–C): no O–H, so no hydrogen bonds between molecules' },
+    alkene: { name: 'Alkene', about: 'C=C double bond: flat, and adds H₂, H₂O or halogens across it' },
+    alkyne: { name: 'Alkyne', about: 'C≡C triple bond: linear, and can add two molecules across it' }
+};
+
+class FunctionalGroups {
+    // [{ type, atoms, bonds }]: a FUNCTIONAL_GROUPS key, and the atom ids and bonds to
+    // highlight. An acid's atoms are not reported again as a hydroxyl or carbonyl.
+    static detect(graph) {
+        const groups = [];
+        const taken = new Set();
+        const element = (atom) => atom.element;
+        const add = (type, atoms, bonds) => {
+            groups.push({ type, atoms: atoms.map(a => a.id), bonds });
+            atoms.forEach(a => taken.add(a.id));
+        };
+
+        // carbonyls: a carbon with a doubly bonded oxygen
+        const carbonylCarbons = new Set();
+        graph.atoms.filter(a => element(a) === 'C').forEach(carbon => {
+            const around = graph.neighbors(carbon);
+            const oxo = around.find(n => element(n.atom) === 'O' && n.bond.order === 2);
+            if (!oxo) return;
+            carbonylCarbons.add(carbon.id);
+            const others = around.filter(n => n !== oxo);
+
+            const acidO = others.find(n => element(n.atom) === 'O' && n.bond.order === 1 &&
+                graph.neighbors(n.atom).some(m => element(m.atom) === 'H'));
+            if (acidO) {
+                const h = graph.neighbors(acidO.atom).find(m => element(m.atom) === 'H');
+                add('carboxylic-acid', [carbon, oxo.atom, acidO.atom, h.atom], [oxo.bond, acidO.bond, h.bond]);
+                return;
+            }
+            // esters, amides, CO₂ and the like are none of these
+            if (others.some(n => !['C', 'H'].includes(element(n.atom)))) return;
+            const h = others.find(n => element(n.atom) === 'H');
+            if (h) add('aldehyde', [carbon, oxo.atom, h.atom], [oxo.bond, h.bond]);
+            else if (others.length === 2) add('ketone', [carbon, oxo.atom], [oxo.bond]);
+        });
+
+        graph.atoms.filter(a => element(a) === 'O' && !taken.has(a.id)).forEach(oxygen => {
+            const around = graph.neighbors(oxygen);
+            if (around.length !== 2 || around.some(n => n.bond.order !== 1)) return;
+            const carbons = around.filter(n => element(n.atom) === 'C');
+            const h = around.find(n => element(n.atom) === 'H');
+            if (carbons.length === 1 && h) {
+                add('hydroxyl', [oxygen, h.atom], [h.bond]);
+            } else if (carbons.length === 2 && !carbons.some(n => carbonylCarbons.has(n.atom.id))) {
+                add('ether', [oxygen], carbons.map(n => n.bond));
+            }
+        });
+
+        graph.bonds.forEach(bond => {
+            const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+            if (element(a) !== 'C' || element(b) !== 'C') return;
+            if (bond.order === 2) add('alkene', [a, b], [bond]);
+            else if (bond.order === 3) add('alkyne', [a, b], [bond]);
+        });
+        return groups;
+    }
+
+    // the distinct group types in a molecule, in FUNCTIONAL_GROUPS order
+    static types(graph) {
+        const found = new Set(FunctionalGroups.detect(graph).map(g => g.type));
+        return Object.keys(FUNCTIONAL_GROUPS).filter(type => found.has(type));
+    }
+}
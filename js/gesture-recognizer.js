@@ -0,0 +1,208 @@
+// ---------- Hand gestures from the 21 MediaPipe landmarks ----------
+// One GestureRecognizer per tracked hand. Each frame it classifies the hand pose and
+// reports the gestures that just happened; the app maps them to handlers:
+//   fist / fist-end   all four fingers folded into the palm: grab and release a whole molecule
+//   palm              open hand, fingers spread, held still: cancel
+//   swipe             index + middle extended and moved quickly: rotate or flip
+//   three-finger-swipe  index + middle + ring extended and moved quickly: undo / redo
+//   dwell             fingertip held still: acts like a pinch, for users who cannot pinch
+// Pinch itself stays in ARChemistryApp.detectPinchGesture; the pose reported here
+// tells it when a closed hand is a fist rather than a pinch.
+// Coordinates are normalized video coordinates (0-1, not mirrored). Pinch distances are
+// measured in hand lengths (see pinchRatio), so they hold near and far from the camera.
+const GESTURE_PINCH_START = 0.35;     // thumb-index tip gap that starts a pinch...
+const GESTURE_PINCH_RELEASE = 0.5;    // ...and the wider gap that ends it, so it does not flicker
+const GESTURE_POSE_FRAMES = 3;        // frames a fist must hold before it counts
+const GESTURE_PALM_MS = 700;          // open palm held this long cancels...
+const GESTURE_PALM_RADIUS = 0.04;     // ...without the palm moving further than this
+const GESTURE_PALM_SPREAD = 1.5;      // index-pinky tip gap / knuckle gap of a spread hand
+const GESTURE_SWIPE_DISTANCE = 0.15;  // two-finger travel for a swipe...
+const GESTURE_SWIPE_MS = 350;         // ...within this time
+const GESTURE_SWIPE_COOLDOWN_MS = 600;
+const GESTURE_DWELL_MS = 900;         // fingertip still this long is a dwell
+const GESTURE_DWELL_RADIUS = 0.025;   // how far it may wander meanwhile
+const GESTURE_DWELL_REARM = 0.08;     // distance to travel after an action before dwelling again
+
+// [mcp, pip, dip, tip] landmark indices per finger
+const FINGER_JOINTS = {
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+class GestureRecognizer {
+    constructor() {
+        this.pinchStart = GESTURE_PINCH_START; // a calibration may move it (HandCalibration)
+        this.reset();
+    }
+
+    // forget everything, e.g. when the hand leaves the frame
+    reset() {
+        this.pose = null;
+        this.poseSince = 0;
+        this.poseFrames = 0;
+        this.fist = false;
+        this.palmFired = false;
+        this.palmAnchor = null;
+        this.trail = [];          // recent fingertip midpoints { x, y, t } of a swipe pose
+        this.lastSwipe = 0;
+        this.dwellAnchor = null;  // { x, y, t } where the fingertip came to rest
+        this.dwellRearmFrom = null; // after a dwell, pinch or fist: move this far away first
+    }
+
+    // Feed one frame. Returns { pose, events, dwellProgress } where events are
+    // { type, point, ... } and dwellProgress (0-1) is how far along a dwell is.
+    update(landmarks, now = Date.now()) {
+        const events = [];
+        const pose = GestureRecognizer.pose(landmarks, this.pinchStart);
+        if (pose !== this.pose) {
+            this.pose = pose;
+            this.poseSince = now;
+            this.poseFrames = 0;
+            this.palmFired = false;
+            this.trail = [];
+        }
+        this.poseFrames++;
+
+        // fist: grab once it has held a few frames, release as soon as it opens
+        const palmCentre = GestureRecognizer._point(landmarks[9]);
+        if (!this.fist && pose === 'fist' && this.poseFrames >= GESTURE_POSE_FRAMES) {
+            this.fist = true;
+            events.push({ type: 'fist', point: palmCentre });
+        } else if (this.fist && pose !== 'fist') {
+            this.fist = false;
+            events.push({ type: 'fist-end', point: palmCentre });
+        }
+
+        // a hand merely opened while moving about is not a cancel: it has to stay put
+        if (pose === 'palm') {
+            if (!this.palmAnchor || GestureRecognizer._distance(palmCentre, this.palmAnchor) > GESTURE_PALM_RADIUS) {
+                this.palmAnchor = palmCentre;
+                this.poseSince = now;
+            } else if (!this.palmFired && now - this.poseSince >= GESTURE_PALM_MS) {
+                this.palmFired = true;
+                events.push({ type: 'palm', point: palmCentre });
+            }
+        } else {
+            this.palmAnchor = null;
+        }
+
+        const swipe = this._trackSwipe(landmarks, pose, now);
+        if (swipe) events.push(swipe);
+
+        const dwell = this._trackDwell(landmarks, pose, now);
+        if (dwell.event) events.push(dwell.event);
+
+        return { pose, events, dwellProgress: dwell.progress };
+    }
+
+    _trackSwipe(landmarks, pose, now) {
+        if (pose !== 'two-finger' && pose !== 'three-finger') {
+            this.trail = [];
+            return null;
+        }
+        const tips = pose === 'two-finger' ? [8, 12] : [8, 12, 16];
+        this.trail.push({
+            x: tips.reduce((sum, i) => sum + landmarks[i].x, 0) / tips.length,
+            y: tips.reduce((sum, i) => sum + landmarks[i].y, 0) / tips.length,
+            t: now
+        });
+        this.trail = this.trail.filter(p => now - p.t <= GESTURE_SWIPE_MS);
+        if (now - this.lastSwipe < GESTURE_SWIPE_COOLDOWN_MS) return null;
+
+        const start = this.trail[0], end = this.trail[this.trail.length - 1];
+        const dx = end.x - start.x, dy = end.y - start.y;
+        if (Math.hypot(dx, dy) < GESTURE_SWIPE_DISTANCE) return null;
+
+        this.lastSwipe = now;
+        this.trail = [];
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const type = pose === 'two-finger' ? 'swipe' : 'three-finger-swipe';
+        return { type, point: { x: start.x, y: start.y }, dx, dy, axis: horizontal ? 'x' : 'y' };
+    }
+
+    _trackDwell(landmarks, pose, now) {
+        const tip = landmarks[8];
+        const idle = { progress: 0, event: null };
+        // a pinch or fist is already an action; resting afterwards must not repeat it
+        if (pose === 'pinch' || pose === 'fist') {
+            this.dwellAnchor = null;
+            this.dwellRearmFrom = GestureRecognizer._point(tip);
+            return idle;
+        }
+        if (this.dwellRearmFrom) {
+            if (GestureRecognizer._distance(tip, this.dwellRearmFrom) < GESTURE_DWELL_REARM) return idle;
+            this.dwellRearmFrom = null;
+        }
+
+        if (!this.dwellAnchor || GestureRecognizer._distance(tip, this.dwellAnchor) > GESTURE_DWELL_RADIUS) {
+            this.dwellAnchor = { x: tip.x, y: tip.y, t: now };
+            return idle;
+        }
+
+        const progress = Math.min(1, (now - this.dwellAnchor.t) / GESTURE_DWELL_MS);
+        if (progress < 1) return { progress, event: null };
+
+        this.dwellAnchor = null;
+        this.dwellRearmFrom = GestureRecognizer._point(tip);
+        return { progress: 0, event: { type: 'dwell', point: GestureRecognizer._point(tip) } };
+    }
+
+    // 'pinch' | 'fist' | 'palm' | 'two-finger' | 'three-finger' | 'point' | null
+    static pose(landmarks, pinchStart = GESTURE_PINCH_START) {
+        if (!landmarks || landmarks.length < 21) return null;
+        const f = GestureRecognizer.fingersExtended(landmarks);
+        const curled = ['index', 'middle', 'ring', 'pinky'].filter(name => !f[name]).length;
+
+        if (GestureRecognizer.isFist(landmarks)) return 'fist';
+        if (GestureRecognizer.pinchRatio(landmarks) < pinchStart) return 'pinch';
+        const spread = GestureRecognizer._distance(landmarks[8], landmarks[20]) > GestureRecognizer._distance(landmarks[5], landmarks[17]) * GESTURE_PALM_SPREAD;
+        if (curled === 0 && f.thumb && spread) return 'palm';
+        if (f.index && f.middle && !f.ring && !f.pinky) return 'two-finger';
+        if (f.index && f.middle && f.ring && !f.pinky) return 'three-finger';
+        if (f.index) return 'point';
+        return null;
+    }
+
+    // A finger is extended when its tip is farther from the wrist than its middle
+    // joint; distances rather than directions, so it works at any hand angle.
+    static fingersExtended(landmarks) {
+        const wrist = landmarks[0];
+        const d = (i) => GestureRecognizer._distance(wrist, landmarks[i]);
+        const result = {};
+        Object.entries(FINGER_JOINTS).forEach(([name, [, pip, , tip]]) => {
+            result[name] = d(tip) > d(pip) * 1.1;
+        });
+        // thumb: tip clear of the index knuckle compared with its own middle joint
+        result.thumb = GestureRecognizer._distance(landmarks[4], landmarks[5]) > GestureRecognizer._distance(landmarks[3], landmarks[5]) * 1.2;
+        return result;
+    }
+
+    // Every fingertip folded back to the palm, i.e. no farther from the wrist than its
+    // knuckle. Stricter than "not extended" so a pinch with a bent index is not a fist.
+    static isFist(landmarks) {
+        const wrist = landmarks[0];
+        const d = (i) => GestureRecognizer._distance(wrist, landmarks[i]);
+        return Object.values(FINGER_JOINTS).every(([mcp, , , tip]) => d(tip) < d(mcp) * 1.05);
+    }
+
+    // wrist to middle-finger knuckle: a hand length that shrinks and grows with the
+    // hand's distance from the camera
+    static handSize(landmarks) {
+        return Math.max(0.01, GestureRecognizer._distance(landmarks[0], landmarks[9]));
+    }
+
+    // thumb-index tip gap in hand lengths
+    static pinchRatio(landmarks) {
+        return GestureRecognizer._distance(landmarks[4], landmarks[8]) / GestureRecognizer.handSize(landmarks);
+    }
+
+    static _distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    static _point(landmark) {
+        return { x: landmark.x, y: landmark.y };
+    }
+}
@@ -0,0 +1,228 @@
+// ---------- Hand calibration ----------
+// Small hands, or hands far from the camera, pinch and reach differently. A short guided
+// session measures one user and produces a profile:
+//   { name, createdAt,
+//     pinch: { open, closed },                  thumb-index gap in hand lengths (GestureRecognizer.pinchRatio)
+//     reach: { minX, maxX, minY, maxY } }       comfortable fingertip range, normalized video coords
+// The pinch gaps set the pinch start / release thresholds; the reach box is stretched
+// over the whole screen so the cursor reaches every edge. Profiles are kept per device
+// in localStorage (CalibrationStore).
+const CALIBRATION_KEY = 'ar-chemistry-calibration';
+const CALIBRATION_VERSION = 1;
+const CALIBRATION_HOLD_MS = 1500;      // open hand / pinch held this long
+const CALIBRATION_REACH_MS = 6000;     // time to sweep the fingertip around
+const CALIBRATION_MIN_SPAN = 0.25;     // reach box must be at least this wide and tall
+const CALIBRATION_PINCH_SHARE = 0.6;  // a pinch closes the gap to at most this share of the open hand's
+const CALIBRATION_STEPS = ['open', 'pinch', 'reach'];
+
+class HandCalibration {
+    // Pinch start / release gaps between a user's pinched and open hand, release wider than start
+    static pinchThresholds(pinch) {
+        const span = pinch.open - pinch.closed;
+        return { start: pinch.closed + span * 0.35, release: pinch.closed + span * 0.6 };
+    }
+
+    // normalized video point -> 0-1 across the screen (not mirrored); with no reach box
+    // the whole video frame is the screen
+    static toScreen(point, reach) {
+        if (!reach) return { x: point.x, y: point.y };
+        const clamp = (v) => Math.max(0, Math.min(1, v));
+        return {
+            x: clamp((point.x - reach.minX) / (reach.maxX - reach.minX)),
+            y: clamp((point.y - reach.minY) / (reach.maxY - reach.minY))
+        };
+    }
+
+    // inverse of toScreen (inside the screen)
+    static fromScreen(point, reach) {
+        if (!reach) return { x: point.x, y: point.y };
+        return {
+            x: reach.minX + point.x * (reach.maxX - reach.minX),
+            y: reach.minY + point.y * (reach.maxY - reach.minY)
+        };
+    }
+
+    static percentile(values, p) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+    }
+}
+
+// One calibration run. Feed it one hand's landmarks per frame; it walks through the
+// CALIBRATION_STEPS and ends with a profile. Frames that do not fit the step (a pinch
+// while the hand should be open, ...) are skipped and leave a hint for the user.
+class CalibrationSession {
+    constructor(name) {
+        this.name = name;
+        this.step = CALIBRATION_STEPS[0];
+        this.hint = null;        // what to do differently, when the last frame did not fit the step
+        this.result = null;      // the profile once done
+        this._startStep(this.step);
+    }
+
+    get done() {
+        return this.result !== null;
+    }
+
+    // 0-1 through the current step
+    get progress() {
+        if (this.done) return 1;
+        if (this.step === 'reach') {
+            const span = this._reachSpan();
+            return Math.min(this.elapsed / CALIBRATION_REACH_MS, span.x / CALIBRATION_MIN_SPAN, span.y / CALIBRATION_MIN_SPAN, 1);
+        }
+        return Math.min(1, this.elapsed / CALIBRATION_HOLD_MS);
+    }
+
+    // one frame of the calibrating hand (null when no hand is in view)
+    update(landmarks, now = Date.now()) {
+        if (this.done) return;
+        const dt = this.lastFrame === null ? 0 : Math.min(100, now - this.lastFrame);
+        this.lastFrame = now;
+        if (!landmarks) return;
+
+        const ratio = GestureRecognizer.pinchRatio(landmarks);
+        this.hint = null;
+        if (this.step === 'open') {
+            // a hand that is already pinching is not the open hand we are after
+            if (ratio < GESTURE_PINCH_START) {
+                this.hint = 'Open your thumb and index finger wider';
+                return;
+            }
+            this.samples.push(ratio);
+        } else if (this.step === 'pinch') {
+            if (ratio > this.pinch.open * CALIBRATION_PINCH_SHARE) {
+                this.hint = 'Bring your thumb and index finger closer together';
+                return;
+            }
+            this.samples.push(ratio);
+        } else {
+            this.samples.push({ x: landmarks[8].x, y: landmarks[8].y });
+        }
+        this.elapsed += dt;
+
+        if (this.progress >= 1) this._finishStep();
+    }
+
+    // start the current step over
+    retry() {
+        this._startStep(this.step);
+    }
+
+    _startStep(step) {
+        this.step = step;
+        this.samples = [];
+        this.elapsed = 0;
+        this.lastFrame = null;
+        if (step === 'open') this.pinch = { open: null, closed: null };
+    }
+
+    _finishStep() {
+        if (this.step === 'open') {
+            this.pinch.open = HandCalibration.percentile(this.samples, 0.5);
+            this._startStep('pinch');
+        } else if (this.step === 'pinch') {
+            this.pinch.closed = HandCalibration.percentile(this.samples, 0.5);
+            this._startStep('reach');
+        } else {
+            const xs = this.samples.map(p => p.x), ys = this.samples.map(p => p.y);
+            this.result = {
+                name: this.name,
+                createdAt: new Date().toISOString(),
+                pinch: { open: this.pinch.open, closed: this.pinch.closed },
+                // ignore the odd outlier frame at either end
+                reach: {
+                    minX: HandCalibration.percentile(xs, 0.03),
+                    maxX: HandCalibration.percentile(xs, 0.97),
+                    minY: HandCalibration.percentile(ys, 0.03),
+                    maxY: HandCalibration.percentile(ys, 0.97)
+                }
+            };
+        }
+    }
+
+    _reachSpan() {
+        if (this.samples.length < 2) return { x: 0, y: 0 };
+        const xs = this.samples.map(p => p.x), ys = this.samples.map(p => p.y);
+        return {
+            x: HandCalibration.percentile(xs, 0.97) - HandCalibration.percentile(xs, 0.03),
+            y: HandCalibration.percentile(ys, 0.97) - HandCalibration.percentile(ys, 0.03)
+        };
+    }
+}
+
+// Calibration profiles of everyone who uses this device, and which one is in use
+class CalibrationStore {
+    constructor(storage = BrowserStorage.local(), key = CALIBRATION_KEY) {
+        this.storage = storage;
+        this.key = key;
+        const data = this._read();
+        this.profiles = data.profiles;
+        this.activeName = data.active;
+    }
+
+    all() {
+        return this.profiles.slice();
+    }
+
+    get(name) {
+        return this.profiles.find(p => p.name === name) || null;
+    }
+
+    // the profile in use, or null when this device was never calibrated
+    active() {
+        return this.get(this.activeName);
+    }
+
+    // add or replace a profile by name and make it the active one
+    save(profile) {
+        if (!CalibrationStore.isValid(profile)) throw new Error('Incomplete calibration profile');
+        this.profiles = this.profiles.filter(p => p.name !== profile.name).concat([profile]);
+        this.activeName = profile.name;
+        this._write();
+        return profile;
+    }
+
+    use(name) {
+        if (!this.get(name)) throw new Error(`No calibration profile called "${name}"`);
+        this.activeName = name;
+        this._write();
+    }
+
+    remove(name) {
+        this.profiles = this.profiles.filter(p => p.name !== name);
+        if (this.activeName === name) this.activeName = null;
+        this._write();
+    }
+
+    static isValid(profile) {
+        const finite = (...values) => values.every(v => Number.isFinite(v));
+        return !!(profile && typeof profile.name === 'string' && profile.name &&
+            profile.pinch && finite(profile.pinch.open, profile.pinch.closed) && profile.pinch.open > profile.pinch.closed &&
+            profile.reach && finite(profile.reach.minX, profile.reach.maxX, profile.reach.minY, profile.reach.maxY) &&
+            profile.reach.maxX > profile.reach.minX && profile.reach.maxY > profile.reach.minY);
+    }
+
+    _read() {
+        const empty = { active: null, profiles: [] };
+        if (!this.storage) return empty;
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key) || 'null');
+            if (!data) return empty;
+            if (data.version !== CALIBRATION_VERSION || !Array.isArray(data.profiles)) throw new Error('unrecognised calibration data');
+            return { active: data.active || null, profiles: data.profiles.filter(CalibrationStore.isValid) };
+        } catch (error) {
+            console.warn('Ignoring stored calibration:', error.message);
+            return empty;
+        }
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: CALIBRATION_VERSION, active: this.activeName, profiles: this.profiles }));
+        } catch (error) {
+            console.warn('Calibration could not be saved:', error);
+        }
+    }
+}
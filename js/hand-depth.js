@@ -0,0 +1,79 @@
+// ---------- Hand depth ----------
+// How far a hand has moved towards or away from the camera. Two cues, both in hand
+// lengths so they do not care how big the hand is:
+//   size      the hand looks bigger the closer it is (GestureRecognizer.handSize)
+//   tip lead  MediaPipe's z of the index tip relative to the wrist, negative when the
+//             fingertip is nearer the camera than the wrist, i.e. when it points at it
+// Their combined reading is compared with a rest reading that slowly follows the hand
+// (so leaning in over a minute is not a push). `push` is how much nearer than rest the
+// hand is: 0 at rest, 0.2 for a hand that looks a fifth bigger. A quick push past
+// DEPTH_PRESS is a press, pulling back under DEPTH_RELEASE lets go again.
+const DEPTH_PRESS = 0.18;       // push that presses...
+const DEPTH_RELEASE = 0.08;     // ...and the smaller one that lets go, so it does not flicker
+const DEPTH_TIP_WEIGHT = 0.5;   // share of the tip lead in the reading
+const DEPTH_REST_MS = 1500;     // time constant of the rest reading; slower moves are not pushes
+const DEPTH_LAYER = 0.12;       // extra push that reaches one item further back
+const DEPTH_ZOOM_DEADZONE = 0.08; // size changes under this share leave a held molecule's scale alone
+
+class HandDepth {
+    constructor() {
+        this.reset();
+    }
+
+    // forget the rest reading, e.g. when the hand leaves the frame
+    reset() {
+        this.rest = null;
+        this.size = null;      // hand size in the last frame (normalized video units)
+        this.push = 0;
+        this.pressed = false;
+        this.lastFrame = null;
+    }
+
+    // Feed one frame. Returns { push, event } with event 'press' | 'release' | null.
+    update(landmarks, now = Date.now()) {
+        const reading = HandDepth.reading(landmarks);
+        this.size = GestureRecognizer.handSize(landmarks);
+        if (this.rest === null) {
+            this.rest = reading;
+            this.lastFrame = now;
+            return { push: 0, event: null };
+        }
+
+        this.push = reading / this.rest - 1;
+        let event = null;
+        if (!this.pressed && this.push >= DEPTH_PRESS) {
+            this.pressed = true;
+            event = 'press';
+        } else if (this.pressed && this.push < DEPTH_RELEASE) {
+            this.pressed = false;
+            event = 'release';
+        }
+
+        // a press holds the rest reading still, so pushing longer does not wear it off
+        const dt = Math.max(0, now - this.lastFrame);
+        this.lastFrame = now;
+        if (!this.pressed) this.rest += (reading - this.rest) * (1 - Math.exp(-dt / DEPTH_REST_MS));
+        return { push: this.push, event };
+    }
+
+    // hand size grown by the index tip's lead towards the camera
+    static reading(landmarks) {
+        const size = GestureRecognizer.handSize(landmarks);
+        const lead = ((landmarks[0].z || 0) - (landmarks[8].z || 0)) / size;
+        return size * (1 + DEPTH_TIP_WEIGHT * Math.max(0, lead));
+    }
+
+    // How many items back a hand reaches: 0 for the front one, one more per DEPTH_LAYER
+    // of push beyond `from` (DEPTH_PRESS for a press, which used up that much already).
+    static layer(push, from = 0) {
+        return Math.max(0, Math.floor((push - from) / DEPTH_LAYER));
+    }
+
+    // Scale factor for a hand that was `from` big when it grabbed something and is `to`
+    // big now. Small changes count for nothing, so a held molecule does not wobble.
+    static zoom(from, to) {
+        const ratio = to / from;
+        if (Math.abs(ratio - 1) <= DEPTH_ZOOM_DEADZONE) return 1;
+        return ratio > 1 ? ratio - DEPTH_ZOOM_DEADZONE : ratio + DEPTH_ZOOM_DEADZONE;
+    }
+}
@@ -0,0 +1,101 @@
+// ---------- Landmark smoothing ----------
+// MediaPipe landmarks jitter by a few pixels from frame to frame, which shakes the
+// cursor and anything being dragged. Each tracked hand runs its 21 landmarks through a
+// LandmarkFilter before any interaction logic sees them. The filter is picked with
+// ?filter=<preset> in the page URL (default "smooth"):
+//   none     raw landmarks
+//   light    little smoothing, least lag
+//   smooth   One Euro filter tuned for dragging
+//   steady   heavy smoothing for shaky cameras, more lag on slow moves
+// One Euro filter: Casiez, Roussel & Vogel, CHI 2012. The cut-off frequency rises with
+// speed, so a hand at rest is smoothed hard while a fast move follows without lag.
+// minCutoff (Hz) sets the smoothing at rest, beta how quickly speed opens it up.
+const LANDMARK_FILTER_PRESETS = {
+    none: null,
+    light: { minCutoff: 2.5, beta: 15, dCutoff: 1 },
+    smooth: { minCutoff: 1.2, beta: 8, dCutoff: 1 },
+    steady: { minCutoff: 0.6, beta: 4, dCutoff: 1 }
+};
+const LANDMARK_FILTER_DEFAULT = 'smooth';
+
+class OneEuroFilter {
+    constructor({ minCutoff, beta, dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;
+        this.dx = 0;
+        this.t = null;
+    }
+
+    // value at time `now` (ms) -> smoothed value
+    filter(value, now) {
+        if (this.x === null) {
+            this.x = value;
+            this.t = now;
+            return value;
+        }
+        const dt = Math.max(1, now - this.t) / 1000;
+        this.t = now;
+
+        const dx = (value - this.x) / dt;
+        this.dx += OneEuroFilter._alpha(this.dCutoff, dt) * (dx - this.dx);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+        this.x += OneEuroFilter._alpha(cutoff, dt) * (value - this.x);
+        return this.x;
+    }
+
+    static _alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
+
+class LandmarkFilter {
+    // options: a LANDMARK_FILTER_PRESETS name or { minCutoff, beta, dCutoff }; null for none
+    constructor(options = LANDMARK_FILTER_DEFAULT) {
+        if (typeof options === 'string') {
+            if (!(options in LANDMARK_FILTER_PRESETS)) throw new Error(`Unknown landmark filter "${options}"`);
+            options = LANDMARK_FILTER_PRESETS[options];
+        }
+        this.options = options;
+        this.filters = []; // [landmark index] -> { x, y, z } OneEuroFilters
+    }
+
+    get enabled() {
+        return this.options !== null;
+    }
+
+    // forget the history, e.g. when the hand leaves the frame
+    reset() {
+        this.filters = [];
+    }
+
+    // smoothed copy of one hand's landmarks at time `now` (ms)
+    apply(landmarks, now = Date.now()) {
+        if (!this.enabled) return landmarks;
+        return landmarks.map((landmark, i) => {
+            if (!this.filters[i]) {
+                this.filters[i] = { x: new OneEuroFilter(this.options), y: new OneEuroFilter(this.options), z: new OneEuroFilter(this.options) };
+            }
+            const f = this.filters[i];
+            return {
+                x: f.x.filter(landmark.x, now),
+                y: f.y.filter(landmark.y, now),
+                z: f.z.filter(landmark.z || 0, now)
+            };
+        });
+    }
+
+    // the preset named by ?filter=..., falling back to the default
+    static configuredPreset(search = location.search) {
+        const name = new URLSearchParams(search).get('filter');
+        if (name && name in LANDMARK_FILTER_PRESETS) return name;
+        if (name) console.warn(`Unknown landmark filter "${name}", using "${LANDMARK_FILTER_DEFAULT}"`);
+        return LANDMARK_FILTER_DEFAULT;
+    }
+}
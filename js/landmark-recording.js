@@ -0,0 +1,145 @@
+// ---------- Hand landmark recordings ----------
+// The multiHandLandmarks stream that reaches ARChemistryApp.onResults, saved so it can
+// be replayed in place of the webcam: reproducible demos, and tests of the gesture
+// pipeline on machines without a camera. A recording is plain JSON:
+//   { format, version, recordedAt,
+//     frames: [{ t, hands }] }
+// where t is ms since the first frame and hands is that frame's multiHandLandmarks
+// (per hand 21 { x, y, z }, normalized video coordinates rounded to 4 decimals).
+const LANDMARK_FORMAT = 'ar-chemistry-landmarks';
+const LANDMARK_VERSION = 1;
+const LANDMARK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const LANDMARK_COUNT = 21; // per hand, as MediaPipe Hands gives them
+const LANDMARK_LOOP_GAP_MS = 500; // pause between the last frame and the first when looping
+
+class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.startedAt = null;
+    }
+
+    add(multiHandLandmarks, now = Date.now()) {
+        if (this.startedAt === null) this.startedAt = now;
+        this.frames.push({
+            t: now - this.startedAt,
+            hands: (multiHandLandmarks || []).map(hand => hand.map(LandmarkRecorder._round))
+        });
+    }
+
+    // the recording document so far
+    toJSON() {
+        return {
+            format: LANDMARK_FORMAT,
+            version: LANDMARK_VERSION,
+            recordedAt: new Date(this.startedAt === null ? Date.now() : this.startedAt).toISOString(),
+            frames: this.frames
+        };
+    }
+
+    // JSON text -> checked recording; throws on anything that is not one
+    static parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Recording is not valid JSON');
+        }
+        if (!doc || doc.format !== LANDMARK_FORMAT) throw new Error('Not a hand landmark recording');
+        if (doc.version > LANDMARK_VERSION) throw new Error(`Recording version ${doc.version} is newer than this app supports`);
+        if (!Array.isArray(doc.frames) || !doc.frames.length) throw new Error('Recording has no frames');
+        doc.frames.forEach((frame, i) => {
+            if (typeof frame.t !== 'number' || !Array.isArray(frame.hands)) throw new Error(`Recording frame ${i + 1} is malformed`);
+            if (i > 0 && frame.t < doc.frames[i - 1].t) throw new Error(`Recording frame ${i + 1} goes back in time`);
+            // a bad hand would only fail later, deep inside the replay's timer
+            frame.hands.forEach((hand, h) => {
+                const points = Array.isArray(hand) && hand.length === LANDMARK_COUNT &&
+                    hand.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+                if (!points) throw new Error(`Recording frame ${i + 1}, hand ${h + 1} does not have ${LANDMARK_COUNT} landmarks with x and y`);
+            });
+        });
+        return doc;
+    }
+
+    static _round(landmark) {
+        const r = (v) => Math.round((v || 0) * 10000) / 10000;
+        return { x: r(landmark.x), y: r(landmark.y), z: r(landmark.z) };
+    }
+}
+
+// Plays a recording back frame by frame with the recorded timing, scaled by speed.
+// onFrame(multiHandLandmarks) gets each frame; onLoop() runs before a loop starts over,
+// onEnd() when a non-looping replay has played its last frame.
+class LandmarkPlayer {
+    constructor(doc, onFrame, { speed = 1, loop = false, onLoop = null, onEnd = null } = {}) {
+        this.frames = doc.frames;
+        this.onFrame = onFrame;
+        this.onLoop = onLoop;
+        this.onEnd = onEnd;
+        this.loop = loop;
+        this.setSpeed(speed);
+        this.index = 0;
+        this.active = false;
+        this.timer = null;
+        this.offset = 0;     // recording time added by earlier loops
+        this.clockBase = 0;  // wall clock when play() was called
+    }
+
+    get playing() {
+        return this.active;
+    }
+
+    get duration() {
+        return this.frames[this.frames.length - 1].t;
+    }
+
+    // Clock for the frame being played: wall time at play() plus recorded time, so
+    // timings compare as they did when recorded, whatever the speed, and never run
+    // backwards across loops.
+    get time() {
+        const frame = this.frames[Math.max(0, this.index - 1)];
+        return this.clockBase + this.offset + frame.t;
+    }
+
+    setSpeed(speed) {
+        if (!(speed > 0)) throw new Error(`Invalid replay speed "${speed}"`);
+        this.speed = speed;
+    }
+
+    play() {
+        if (this.active) return;
+        this.active = true;
+        this.clockBase = Date.now();
+        this.index = 0;
+        this.offset = 0;
+        this._tick();
+    }
+
+    stop() {
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    _tick() {
+        this.timer = null;
+        if (this.index >= this.frames.length) {
+            this.offset += this.duration + LANDMARK_LOOP_GAP_MS;
+            this.index = 0;
+            if (this.onLoop) this.onLoop();
+        }
+        if (!this.active) return;
+
+        const frame = this.frames[this.index++];
+        this.onFrame(frame.hands);
+        if (!this.active) return;
+
+        const next = this.frames[this.index];
+        if (!next && !this.loop) {
+            this.active = false;
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+        const wait = next ? next.t - frame.t : LANDMARK_LOOP_GAP_MS;
+        this.timer = setTimeout(() => this._tick(), wait / this.speed);
+    }
+}
@@ -0,0 +1,264 @@
+// ---------- Lessons (data/lessons.json) ----------
+// A lesson is a sequence of challenges checked against every molecule the user builds.
+// Teachers write lessons in the JSON file (or their own, see ?lessons= in app.js):
+//   { version: 1, lessons: [{ id, title, intro?, challenges: [challenge, ...] }] }
+// Each challenge:
+//   id, title             strings; the title is the task shown to the user
+//   goal                  what a built molecule must be; every field given must hold:
+//     molecule            a catalog id, e.g. "ethanol"
+//     smiles              a structure as SMILES, for molecules not in the catalog
+//     formula             e.g. "C3H8O" (subscript digits allowed)
+//     bond                a bond it must contain: "C=C", "C#N", "C-O" (or "CO") for single
+//     count               different structures meeting the rest to build (default 1),
+//                         e.g. { "formula": "C3H8O", "count": 3 } for every isomer
+//   hints                 optional, shown one at a time, most general first
+//   done                  optional message shown when the challenge is met
+// Lessons that fail validation are skipped and reported in `errors`, like the catalog.
+const LESSON_URL = 'data/lessons.json';
+const LESSON_BOND_SYMBOLS = { '-': 1, '': 1, '=': 2, '#': 3 };
+
+class LessonBook {
+    constructor(lessons = [], errors = []) {
+        this.lessons = lessons;
+        this.errors = errors;
+    }
+
+    static async load(url = LESSON_URL, catalog = new MoleculeCatalog()) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load lessons from ${url} (HTTP ${response.status})`);
+        return LessonBook.fromData(await response.json(), catalog);
+    }
+
+    // catalog: the MoleculeCatalog that "molecule" goals name entries of
+    static fromData(data, catalog = new MoleculeCatalog()) {
+        if (!data || !Array.isArray(data.lessons)) {
+            return new LessonBook([], ['Lesson file must be an object with a "lessons" array']);
+        }
+
+        const lessons = [];
+        const errors = [];
+        data.lessons.forEach((raw, i) => {
+            const label = `lessons[${i}]` + (raw && raw.id ? ` (${raw.id})` : '');
+            const { lesson, problems } = LessonBook.validateLesson(raw, catalog);
+            if (lesson && lessons.find(l => l.id === lesson.id)) problems.push(`duplicate id "${lesson.id}"`);
+            if (problems.length) {
+                problems.forEach(p => errors.push(`${label}: ${p}`));
+            } else {
+                lessons.push(lesson);
+            }
+        });
+        return new LessonBook(lessons, errors);
+    }
+
+    // Returns { lesson, problems }; lesson is null when it could not be read at all
+    static validateLesson(raw, catalog) {
+        const problems = [];
+        if (!raw || typeof raw !== 'object') return { lesson: null, problems: ['lesson must be an object'] };
+        ['id', 'title'].forEach(field => {
+            if (typeof raw[field] !== 'string' || !raw[field].trim()) problems.push(`"${field}" must be a non-empty string`);
+        });
+        if (raw.intro !== undefined && typeof raw.intro !== 'string') problems.push('"intro" must be a string');
+        if (!Array.isArray(raw.challenges) || raw.challenges.length === 0) {
+            problems.push('"challenges" must be a non-empty array');
+            return { lesson: null, problems };
+        }
+
+        const challenges = [];
+        raw.challenges.forEach((c, i) => {
+            const label = `challenges[${i}]` + (c && c.id ? ` (${c.id})` : '');
+            const { challenge, problems: own } = LessonBook.validateChallenge(c, catalog);
+            if (challenge && challenges.find(other => other.id === challenge.id)) own.push(`duplicate id "${challenge.id}"`);
+            own.forEach(p => problems.push(`${label}: ${p}`));
+            if (challenge) challenges.push(challenge);
+        });
+
+        const lesson = { id: raw.id, title: raw.title, intro: raw.intro || null, challenges };
+        return { lesson, problems };
+    }
+
+    static validateChallenge(raw, catalog) {
+        const problems = [];
+        if (!raw || typeof raw !== 'object') return { challenge: null, problems: ['challenge must be an object'] };
+        ['id', 'title'].forEach(field => {
+            if (typeof raw[field] !== 'string' || !raw[field].trim()) problems.push(`"${field}" must be a non-empty string`);
+        });
+        if (raw.hints !== undefined && (!Array.isArray(raw.hints) || raw.hints.some(h => typeof h !== 'string'))) {
+            problems.push('"hints" must be an array of strings');
+        }
+        if (raw.done !== undefined && typeof raw.done !== 'string') problems.push('"done" must be a string');
+
+        const { goal, problems: goalProblems } = LessonBook.parseGoal(raw.goal, catalog);
+        problems.push(...goalProblems);
+        if (problems.length) return { challenge: null, problems };
+
+        return {
+            challenge: { id: raw.id, title: raw.title, goal, hints: raw.hints || [], done: raw.done || null },
+            problems
+        };
+    }
+
+    // raw goal -> { goal: { key, formula, bond, count }, problems }
+    static parseGoal(raw, catalog) {
+        const problems = [];
+        if (!raw || typeof raw !== 'object') return { goal: null, problems: ['"goal" must be an object'] };
+        const goal = { key: null, formula: null, bond: null, count: 1 };
+
+        if (raw.molecule !== undefined) {
+            const entry = catalog.get(raw.molecule);
+            if (entry) goal.key = entry.key;
+            else problems.push(`goal names unknown catalog molecule "${raw.molecule}"`);
+        }
+        if (raw.smiles !== undefined) {
+            try {
+                const key = MoleculeIdentifier.canonicalKey(Smiles.parse(String(raw.smiles)));
+                if (goal.key && goal.key !== key) problems.push('goal "smiles" and "molecule" are different structures');
+                goal.key = key;
+            } catch (error) {
+                problems.push(`goal SMILES "${raw.smiles}": ${error.message}`);
+            }
+        }
+        if (raw.formula !== undefined) {
+            goal.formula = LessonBook.parseFormula(raw.formula);
+            if (!goal.formula) problems.push(`goal formula "${raw.formula}" is not a formula like C3H8O`);
+        }
+        if (raw.bond !== undefined) {
+            goal.bond = LessonBook.parseBond(raw.bond);
+            if (!goal.bond) problems.push(`goal bond "${raw.bond}" is not a bond like C=C`);
+        }
+        if (raw.count !== undefined) {
+            if (!Number.isInteger(raw.count) || raw.count < 1) problems.push('goal "count" must be a whole number of at least 1');
+            else goal.count = raw.count;
+        }
+
+        if (!goal.key && !goal.formula && !goal.bond && !problems.length) {
+            problems.push('goal needs a "molecule", "smiles", "formula" or "bond"');
+        }
+        if (goal.key && goal.count > 1) problems.push('goal "count" above 1 needs a goal more than one structure can meet');
+        return { goal: problems.length ? null : goal, problems };
+    }
+
+    // "C3H8O" or "C₃H₈O" -> { C: 3, H: 8, O: 1 }, or null
+    static parseFormula(text) {
+        if (typeof text !== 'string') return null;
+        const plain = text.replace(/[₀-₉]/g, c => String(c.charCodeAt(0) - 0x2080));
+        if (!/^([A-Z][a-z]?\d*)+$/.test(plain)) return null;
+        const counts = {};
+        for (const [, element, n] of plain.matchAll(/([A-Z][a-z]?)(\d*)/g)) {
+            if (!PeriodicTable.has(element)) return null;
+            counts[element] = (counts[element] || 0) + (n ? parseInt(n, 10) : 1);
+        }
+        return counts;
+    }
+
+    // "C=C" -> { elements: ['C', 'C'], order: 2 }, or null
+    static parseBond(text) {
+        const match = typeof text === 'string' && text.match(/^([A-Z][a-z]?)([-=#]?)([A-Z][a-z]?)$/);
+        if (!match || !PeriodicTable.has(match[1]) || !PeriodicTable.has(match[3])) return null;
+        return { elements: [match[1], match[3]].sort(), order: LESSON_BOND_SYMBOLS[match[2]] };
+    }
+
+    // whether a built molecule meets every part of a goal (count aside)
+    static meets(goal, graph) {
+        if (goal.key && MoleculeIdentifier.canonicalKey(graph) !== goal.key) return false;
+        if (goal.formula) {
+            const counts = graph.countElements();
+            const elements = new Set([...Object.keys(counts), ...Object.keys(goal.formula)]);
+            if ([...elements].some(e => counts[e] !== goal.formula[e])) return false;
+        }
+        if (goal.bond) {
+            const { elements, order } = goal.bond;
+            const found = graph.bonds.some(b => {
+                const pair = [graph.getAtom(b.a).element, graph.getAtom(b.b).element].sort();
+                return b.order === order && pair[0] === elements[0] && pair[1] === elements[1];
+            });
+            if (!found) return false;
+        }
+        return true;
+    }
+
+    get(id) {
+        return this.lessons.find(l => l.id === id) || null;
+    }
+
+    // the lesson after this one, or null after the last
+    next(lesson) {
+        const i = this.lessons.indexOf(lesson);
+        return i === -1 ? null : this.lessons[i + 1] || null;
+    }
+}
+
+// One run through a lesson. Feed it every molecule the user builds (record); it
+// moves through the challenges and keeps what the completion screen shows.
+class LessonRun {
+    constructor(lesson, now = Date.now()) {
+        this.lesson = lesson;
+        this.index = 0;
+        this.startedAt = now;
+        this.results = [];       // { challenge, ms, hints, skipped } per finished challenge
+        this._startChallenge(now);
+    }
+
+    get challenge() {
+        return this.lesson.challenges[this.index] || null;
+    }
+
+    get done() {
+        return this.index >= this.lesson.challenges.length;
+    }
+
+    // { found, needed } for the current challenge
+    get progress() {
+        return { found: this.found.size, needed: this.challenge ? this.challenge.goal.count : 0 };
+    }
+
+    // hints of the current challenge shown so far
+    get hints() {
+        return this.challenge ? this.challenge.hints.slice(0, this.hintsShown) : [];
+    }
+
+    // A molecule was built. Returns { counted, completed }: whether it counts towards
+    // the current challenge (a structure counts once), and whether that finished it.
+    record(graph, now = Date.now()) {
+        const challenge = this.challenge;
+        if (!challenge || !LessonBook.meets(challenge.goal, graph)) return { counted: false, completed: false };
+        const key = MoleculeIdentifier.canonicalKey(graph);
+        if (this.found.has(key)) return { counted: false, completed: false };
+        this.found.add(key);
+        if (this.found.size < challenge.goal.count) return { counted: true, completed: false };
+        this._finishChallenge(now, false);
+        return { counted: true, completed: true };
+    }
+
+    // the next hint of the current challenge, or null when there are no more
+    hint() {
+        if (!this.challenge || this.hintsShown >= this.challenge.hints.length) return null;
+        return this.challenge.hints[this.hintsShown++];
+    }
+
+    skip(now = Date.now()) {
+        if (this.challenge) this._finishChallenge(now, true);
+    }
+
+    // for the completion screen
+    summary(now = Date.now()) {
+        return {
+            title: this.lesson.title,
+            ms: now - this.startedAt,
+            hints: this.results.reduce((n, r) => n + r.hints, 0),
+            completed: this.results.filter(r => !r.skipped).length,
+            challenges: this.results.slice()
+        };
+    }
+
+    _startChallenge(now) {
+        this.found = new Set();  // structure keys built towards the current challenge
+        this.hintsShown = 0;
+        this.challengeStart = now;
+    }
+
+    _finishChallenge(now, skipped) {
+        this.results.push({ challenge: this.challenge, ms: now - this.challengeStart, hints: this.hintsShown, skipped });
+        this.index++;
+        this._startChallenge(now);
+    }
+}
@@ -0,0 +1,141 @@
+// ---------- MediaPipe Hands loading ----------
+// hands.js, its wasm and the model files all come from one base URL, so networks that
+// block the CDN can serve a copy from vendor/ instead (see vendor/README.md).
+// The base is chosen, first match wins, by:
+//   ?mediapipe=<base>                            in the page URL
+//   <meta name="mediapipe-base" content="...">   in index.html
+// where <base> is "cdn", "vendor" or any URL ending in "/". Several bases separated by
+// spaces are tried in order until one serves hands.js. A link is not trusted to pick
+// where script comes from: ?mediapipe= takes only the named bases and paths on this
+// site, and other origins are ignored. The meta tag, set by whoever deploys the app,
+// may name any URL.
+const MEDIAPIPE_BASES = {
+    cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/',
+    vendor: 'vendor/mediapipe/hands/'
+};
+const MEDIAPIPE_DEFAULT_BASES = 'cdn';
+const MEDIAPIPE_SCRIPT_TIMEOUT_MS = 15000;
+const MEDIAPIPE_INIT_TIMEOUT_MS = 30000;
+
+class MediaPipeLoader {
+    constructor(bases = MediaPipeLoader.configuredBases()) {
+        if (!bases.length) throw new Error('No MediaPipe base URL configured');
+        this.bases = bases;
+        this.base = null;
+        this.requested = []; // files the solution asked for through locateFile
+    }
+
+    // Load hands.js and create a Hands instance whose files come from the same base,
+    // waiting until its wasm and models are in. Throws with a diagnostic on failure.
+    async createHands(options) {
+        await this.loadScript();
+
+        const hands = new Hands({
+            locateFile: (file) => {
+                if (!this.requested.includes(file)) this.requested.push(file);
+                return this.base + file;
+            }
+        });
+        hands.setOptions(options);
+
+        try {
+            await MediaPipeLoader._withTimeout(hands.initialize(), MEDIAPIPE_INIT_TIMEOUT_MS, 'timed out');
+        } catch (error) {
+            throw new Error(`MediaPipe Hands files failed to load from ${this.base}: ${await this._diagnose(error)}`);
+        }
+        return hands;
+    }
+
+    // Inject hands.js from the first base that serves it (skipped if a page already loaded it)
+    async loadScript() {
+        if (typeof Hands !== 'undefined') {
+            this.base = this.bases[0];
+            return;
+        }
+
+        const failures = [];
+        for (const base of this.bases) {
+            const url = base + 'hands.js';
+            try {
+                await MediaPipeLoader._injectScript(url);
+                if (typeof Hands === 'undefined') throw new Error('loaded, but did not define Hands');
+                this.base = base;
+                return;
+            } catch (error) {
+                failures.push(`${url} (${await MediaPipeLoader._probe(url) || error.message})`);
+            }
+        }
+        throw new Error(`MediaPipe Hands not loaded from ${failures.join('; ')}`);
+    }
+
+    // Which of the requested files is the culprit, e.g. "hands.binarypb: HTTP 404"
+    async _diagnose(error) {
+        for (const file of this.requested) {
+            const problem = await MediaPipeLoader._probe(this.base + file);
+            if (problem) return `${file}: ${problem}`;
+        }
+        return error && error.message ? error.message : String(error);
+    }
+
+    static configuredBases(search = location.search, doc = document) {
+        const split = (value) => value.split(/[\s,]+/).filter(Boolean);
+        const fromLink = split(new URLSearchParams(search).get('mediapipe') || '').filter(name => {
+            const allowed = MediaPipeLoader._isNamed(name) || MediaPipeLoader._sameOrigin(name, doc.baseURI);
+            if (!allowed) console.warn('Ignoring ?mediapipe= base on another site:', name);
+            return allowed;
+        });
+        const meta = doc.querySelector('meta[name="mediapipe-base"]');
+        const names = fromLink.length ? fromLink : split((meta && meta.content) || MEDIAPIPE_DEFAULT_BASES);
+        return names.map(MediaPipeLoader.resolveBase);
+    }
+
+    // "cdn" / "vendor" or a URL; always ends in "/" so file names can be appended
+    static resolveBase(name) {
+        const base = MediaPipeLoader._isNamed(name) ? MEDIAPIPE_BASES[name.toLowerCase()] : name;
+        return base.endsWith('/') ? base : base + '/';
+    }
+
+    static _isNamed(name) {
+        return Object.keys(MEDIAPIPE_BASES).includes(name.toLowerCase());
+    }
+
+    // whether `base` resolves, against the page at `page`, to the page's own origin
+    static _sameOrigin(base, page) {
+        try {
+            return new URL(base, page).origin === new URL(page).origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // null when the URL answers, otherwise a short reason
+    static async _probe(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            return response.ok ? null : `HTTP ${response.status}`;
+        } catch (error) {
+            return 'unreachable — blocked or offline?';
+        }
+    }
+
+    static _injectScript(url) {
+        return MediaPipeLoader._withTimeout(new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error('failed to load'));
+            };
+            document.head.appendChild(script);
+        }), MEDIAPIPE_SCRIPT_TIMEOUT_MS, 'timed out');
+    }
+
+    static _withTimeout(promise, ms, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
@@ -0,0 +1,196 @@
+// ---------- Building molecules from loose atoms ----------
+// The geometry and chemistry of building by hand, without the DOM, so it runs under
+// Node (see test/). Loose atoms come in as plain records { x, y, graph, ... }: x/y the
+// centre of the atom on the page (px), graph its one-atom MoleculeGraph. Any other
+// fields (e.g. the app's spawned-atom data) are passed through untouched.
+//   clusters / planCluster   atoms piled together snap into one saturated molecule
+//   c2Partner / bondC2       a carbon dropped on a carbon bonds to it (single/double/triple)
+//   findRing / closeRing     a carbon dropped between two close carbons closes a C₃ ring
+//   h2Partner / pairH2       a hydrogen dropped right on top of another pairs into H₂
+//   attachAnchor / attach    an atom dropped on an intermediate bonds to its nearest open atom
+const BUILD_CLUSTER_DISTANCE = 60;    // atoms closer than this pile into one cluster
+const BUILD_C2_DISTANCE = 70;         // a carbon dropped this close to a carbon offers a C–C bond
+const BUILD_RING_PAIR_DISTANCE = 90;  // two carbons this close are the base of a C₃ ring...
+const BUILD_RING_DROP_DISTANCE = 120; // ...when a third is dropped this close to their midpoint
+const BUILD_H2_DISTANCE = 25;         // a hydrogen dropped this close onto another makes H₂
+const BUILD_BOND_ORDERS = { single: 1, double: 2, triple: 3 };
+const BUILD_C2_NAMES = { single: 'C–C (single)', double: 'C=C (double)', triple: 'C≡C (triple)' };
+
+class MoleculeBuilder {
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    static centroid(points) {
+        return {
+            x: points.reduce((s, p) => s + p.x, 0) / points.length,
+            y: points.reduce((s, p) => s + p.y, 0) / points.length
+        };
+    }
+
+    static elementOf(atom) {
+        return atom.graph.atoms[0].element;
+    }
+
+    // Groups of atoms joined by chains of neighbours closer than `threshold`
+    static clusters(atoms, threshold = BUILD_CLUSTER_DISTANCE) {
+        const n = atoms.length;
+        const adj = Array.from({ length: n }, () => []);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                if (MoleculeBuilder.distance(atoms[i], atoms[j]) < threshold) {
+                    adj[i].push(j); adj[j].push(i);
+                }
+            }
+        }
+
+        const visited = new Array(n).fill(false);
+        const clusters = [];
+        for (let i = 0; i < n; i++) {
+            if (visited[i]) continue;
+            const stack = [i];
+            const members = [];
+            visited[i] = true;
+            while (stack.length) {
+                const u = stack.pop();
+                members.push(atoms[u]);
+                for (const v of adj[u]) {
+                    if (!visited[v]) { visited[v] = true; stack.push(v); }
+                }
+            }
+            clusters.push(members);
+        }
+        return clusters;
+    }
+
+    // What a cluster snaps into. Returns null when it is no molecule in the making (a
+    // lone atom, or only terminal atoms such as H), otherwise
+    //   { centroid, atoms, graph, known }
+    // where atoms are the ones used (atoms[i] became graph.atoms[i]), graph is laid out
+    // and known is the catalog entry or null. atoms and graph are null when no
+    // valence-satisfying structure exists.
+    static planCluster(cluster, catalog) {
+        if (cluster.length < 2 || !cluster.some(a => BondingEngine.valence(MoleculeBuilder.elementOf(a)) > 1)) return null;
+
+        const centroid = MoleculeBuilder.centroid(cluster);
+        // nearest atoms first, so an oversized cluster keeps its core and sheds the outliers
+        const ordered = cluster
+            .map(atom => ({ atom, d: MoleculeBuilder.distance(atom, centroid) }))
+            .sort((a, b) => a.d - b.d)
+            .map(p => p.atom);
+
+        const built = BondingEngine.assemble(ordered.map(a => a.graph));
+        if (!built) return { centroid, atoms: null, graph: null, known: null };
+
+        const atoms = built.used.map(i => ordered[i]);
+        const known = catalog.identify(built.graph);
+        // catalog molecules may come with a hand-drawn 2D layout; anything else is laid out automatically
+        let graph = built.graph;
+        if (known && known.layout) graph = catalog.assemble(known, atoms.map(a => a.graph));
+        else StructureLayout.layout(graph);
+
+        return { centroid, atoms, graph, known };
+    }
+
+    // planCluster for every cluster of atoms that is a molecule in the making
+    static planClusters(atoms, catalog, threshold = BUILD_CLUSTER_DISTANCE) {
+        if (atoms.length < 2) return [];
+        return MoleculeBuilder.clusters(atoms, threshold)
+            .map(cluster => MoleculeBuilder.planCluster(cluster, catalog))
+            .filter(Boolean);
+    }
+
+    // name and formula to show for a finished graph
+    static describe(graph, catalog) {
+        const known = catalog.identify(graph);
+        return {
+            known,
+            name: known ? known.name : 'New molecule',
+            formula: known ? known.formula : graph.displayFormula()
+        };
+    }
+
+    // ---------- C₂: carbon onto carbon ----------
+    // The first other atom within reach of the dropped one, if both are carbons
+    static c2Partner(dropped, atoms, threshold = BUILD_C2_DISTANCE) {
+        const near = atoms.find(a => a !== dropped && MoleculeBuilder.distance(a, dropped) < threshold);
+        if (!near) return null;
+        return MoleculeBuilder.elementOf(near) === 'C' && MoleculeBuilder.elementOf(dropped) === 'C' ? near : null;
+    }
+
+    // the two carbons joined by a 'single' | 'double' | 'triple' bond, no hydrogens yet
+    static bondC2(graphA, graphB, bondType = 'single') {
+        const order = BUILD_BOND_ORDERS[bondType];
+        if (!order) throw new Error(`Unknown bond type "${bondType}"`);
+        const graph = MoleculeGraph.combine([graphA, graphB]);
+        graph.addBond(graph.atoms[0], graph.atoms[1], order);
+        return StructureLayout.layout(graph, { reserveOpen: true });
+    }
+
+    static c2Name(bondType) {
+        return BUILD_C2_NAMES[bondType] || bondType;
+    }
+
+    // ---------- C₃ ring ----------
+    // A carbon dropped near the midpoint of two close carbons: { pair, centroid }, or null.
+    // Only the first close pair counts, as before.
+    static findRing(dropped, atoms) {
+        if (MoleculeBuilder.elementOf(dropped) !== 'C') return null;
+        const others = atoms.filter(a => a !== dropped && MoleculeBuilder.elementOf(a) === 'C');
+        for (let i = 0; i < others.length; i++) {
+            for (let j = i + 1; j < others.length; j++) {
+                if (MoleculeBuilder.distance(others[i], others[j]) >= BUILD_RING_PAIR_DISTANCE) continue;
+                const pair = [others[i], others[j]];
+                const centroid = MoleculeBuilder.centroid(pair);
+                return MoleculeBuilder.distance(dropped, centroid) < BUILD_RING_DROP_DISTANCE ? { pair, centroid } : null;
+            }
+        }
+        return null;
+    }
+
+    // three one-carbon graphs closed into a ring
+    static closeRing(graphs) {
+        const graph = MoleculeGraph.combine(graphs);
+        graph.addBond(graph.atoms[0], graph.atoms[1]);
+        graph.addBond(graph.atoms[1], graph.atoms[2]);
+        graph.addBond(graph.atoms[2], graph.atoms[0]);
+        return StructureLayout.layout(graph, { reserveOpen: true });
+    }
+
+    // ---------- H₂: hydrogen onto hydrogen ----------
+    // Hydrogens piled near each other are left alone (they wait for an atom to bond to),
+    // so H₂ takes a deliberate drop straight onto another hydrogen. Returns it, or null.
+    static h2Partner(dropped, atoms, threshold = BUILD_H2_DISTANCE) {
+        if (MoleculeBuilder.elementOf(dropped) !== 'H') return null;
+        return atoms.find(a => a !== dropped && MoleculeBuilder.elementOf(a) === 'H' && MoleculeBuilder.distance(a, dropped) < threshold) || null;
+    }
+
+    // the two hydrogens of H₂, laid out
+    static pairH2(graphA, graphB) {
+        const graph = MoleculeGraph.combine([graphA, graphB]);
+        graph.addBond(graph.atoms[0], graph.atoms[1]);
+        return StructureLayout.layout(graph);
+    }
+
+    // ---------- Atoms onto an intermediate ----------
+    // The atom of `graph` that can take a single bond to the incoming atom and is nearest
+    // by distanceTo(atom), or null
+    static attachAnchor(graph, atomGraph, distanceTo) {
+        const incoming = atomGraph.atoms[0];
+        return graph.atoms
+            .filter(a => BondingEngine.canBond(graph, a, atomGraph, incoming, 1))
+            .map(a => ({ atom: a, d: distanceTo(a) }))
+            .sort((p, q) => p.d - q.d)
+            .map(p => p.atom)[0] || null;
+    }
+
+    // Merge the incoming atom into `graph` (in place) with a single bond to anchor and
+    // lay it out again. Returns the added atom.
+    static attach(graph, atomGraph, anchor) {
+        const incoming = atomGraph.atoms[0];
+        const added = graph.merge(atomGraph).get(incoming.id);
+        graph.addBond(anchor, added, 1);
+        StructureLayout.layout(graph, { reserveOpen: true });
+        return added;
+    }
+}
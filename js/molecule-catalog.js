@@ -0,0 +1,172 @@
+// ---------- Molecule catalog (data/molecules.json) ----------
+// Teachers add molecules by editing the JSON file; nothing in app.js needs to change.
+// Each entry:
+//   id, name, formula          strings (formula may use Unicode subscripts)
+//   structure.atoms            element symbols, e.g. ["C", "O"]
+//   structure.bonds            [i, j, order?] by atom index, order 1-3 (default 1)
+//   structure.hydrogens        optional H count per listed atom (added as unplaced H)
+//   layout                     optional [x, y] per atom (px from the card centre);
+//                              requires every atom, hydrogens included, to be listed.
+//                              Without it the structure is laid out automatically
+//   facts                      optional list of short strings
+//   snapMessage                optional status text shown when it forms
+//   dropOnly                   optional true for a molecule of terminal atoms only (H₂):
+//                              piled up they wait for an atom to bond to, so it is made
+//                              by dropping one atom straight onto the other
+// Entries that fail validation are skipped and reported in `errors`.
+const MOLECULE_CATALOG_URL = 'data/molecules.json';
+
+class MoleculeCatalog {
+    constructor(entries = [], errors = []) {
+        this.entries = entries;
+        this.errors = errors;
+    }
+
+    static async load(url = MOLECULE_CATALOG_URL) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load molecule catalog from ${url} (HTTP ${response.status})`);
+        return MoleculeCatalog.fromData(await response.json());
+    }
+
+    static fromData(data) {
+        if (!data || !Array.isArray(data.molecules)) {
+            return new MoleculeCatalog([], ['Catalog must be an object with a "molecules" array']);
+        }
+
+        const entries = [];
+        const errors = [];
+        data.molecules.forEach((raw, i) => {
+            const label = `molecules[${i}]` + (raw && raw.id ? ` (${raw.id})` : '');
+            const { entry, problems } = MoleculeCatalog.validateEntry(raw);
+            if (entry) {
+                const clash = entries.find(e => e.id === entry.id)
+                    ? `duplicate id "${entry.id}"`
+                    : entries.find(e => e.key === entry.key)
+                        ? `same structure as "${entries.find(e => e.key === entry.key).id}"`
+                        : null;
+                if (clash) problems.push(clash);
+            }
+            if (problems.length) {
+                problems.forEach(p => errors.push(`${label}: ${p}`));
+            } else {
+                entries.push(entry);
+            }
+        });
+        return new MoleculeCatalog(entries, errors);
+    }
+
+    // Returns { entry, problems }; entry is null when the structure could not be built
+    static validateEntry(raw) {
+        const problems = [];
+        if (!raw || typeof raw !== 'object') return { entry: null, problems: ['entry must be an object'] };
+
+        ['id', 'name', 'formula'].forEach(field => {
+            if (typeof raw[field] !== 'string' || !raw[field].trim()) problems.push(`"${field}" must be a non-empty string`);
+        });
+
+        const structure = raw.structure || {};
+        const atoms = structure.atoms;
+        const bonds = structure.bonds || [];
+        const hydrogens = structure.hydrogens || [];
+        if (!Array.isArray(atoms) || atoms.length === 0) {
+            problems.push('"structure.atoms" must be a non-empty array of element symbols');
+            return { entry: null, problems };
+        }
+        atoms.forEach((el, i) => {
+            if (BondingEngine.valence(el) === 0) problems.push(`atom ${i} has unknown element "${el}"`);
+        });
+        if (!Array.isArray(bonds)) problems.push('"structure.bonds" must be an array');
+        if (!Array.isArray(hydrogens) || hydrogens.length > atoms.length) problems.push('"structure.hydrogens" must list at most one count per atom');
+
+        if (raw.layout !== undefined) {
+            if (hydrogens.some(n => n > 0)) problems.push('"layout" needs every atom listed explicitly; drop "structure.hydrogens"');
+            if (!Array.isArray(raw.layout) || raw.layout.length !== atoms.length ||
+                raw.layout.some(p => !Array.isArray(p) || p.length !== 2 || !p.every(Number.isFinite))) {
+                problems.push('"layout" must give [x, y] numbers for every atom');
+            }
+        }
+        if (raw.facts !== undefined && (!Array.isArray(raw.facts) || raw.facts.some(f => typeof f !== 'string'))) {
+            problems.push('"facts" must be an array of strings');
+        }
+        if (raw.dropOnly !== undefined && typeof raw.dropOnly !== 'boolean') problems.push('"dropOnly" must be true or false');
+        if (problems.length) return { entry: null, problems };
+
+        const graph = new MoleculeGraph();
+        const placed = atoms.map((el, i) => graph.addAtom(el, raw.layout ? raw.layout[i][0] : null, raw.layout ? raw.layout[i][1] : null));
+        bonds.forEach((bond, k) => {
+            const [i, j, order = 1] = Array.isArray(bond) ? bond : [];
+            if (!placed[i] || !placed[j]) { problems.push(`bond ${k} references a missing atom`); return; }
+            if (![1, 2, 3].includes(order)) { problems.push(`bond ${k} has invalid order ${order}`); return; }
+            try {
+                graph.addBond(placed[i], placed[j], order);
+            } catch (e) {
+                problems.push(`bond ${k}: ${e.message}`);
+            }
+        });
+        hydrogens.forEach((n, i) => {
+            for (let k = 0; k < n; k++) graph.addBond(placed[i], graph.addAtom('H'), 1);
+        });
+
+        graph.atoms.forEach(a => {
+            if (BondingEngine.openValence(graph, a) < 0) problems.push(`atom ${a.id - 1} (${a.element}) exceeds its valence`);
+        });
+        if (!problems.length && !BondingEngine.isComplete(graph)) problems.push('structure has open valences or disconnected parts');
+
+        const plainFormula = raw.formula.replace(/[₀-₉]/g, c => String(c.charCodeAt(0) - 0x2080));
+        if (!problems.length && plainFormula !== graph.formula()) {
+            problems.push(`formula "${raw.formula}" does not match structure (${graph.formula()})`);
+        }
+
+        const entry = {
+            id: raw.id,
+            name: raw.name,
+            formula: raw.formula,
+            layout: raw.layout || null,
+            facts: raw.facts || [],
+            snapMessage: raw.snapMessage || null,
+            dropOnly: raw.dropOnly === true,
+            graph,
+            key: MoleculeIdentifier.canonicalKey(graph)
+        };
+        return { entry, problems };
+    }
+
+    get(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    // catalog entry with exactly this structure, or null
+    identify(graph) {
+        return this.findByKey(MoleculeIdentifier.canonicalKey(graph));
+    }
+
+    findByKey(key) {
+        return this.entries.find(e => e.key === key) || null;
+    }
+
+    // fresh copy of an entry's structure
+    build(entry) {
+        return entry.graph.clone();
+    }
+
+    // Merge the graphs of the atoms used into one graph and give it the entry's
+    // bonds and coordinates. Atoms are matched to catalog slots by element, in order,
+    // and keep their position in the merged graph (graphs[i] -> merged.atoms[i]).
+    assemble(entry, graphs) {
+        const merged = MoleculeGraph.combine(graphs);
+
+        const pool = merged.atoms.slice();
+        const map = new Map();
+        for (const ta of entry.graph.atoms) {
+            const idx = pool.findIndex(a => a.element === ta.element);
+            if (idx === -1) throw new Error(`${entry.name} needs more ${ta.element} atoms`);
+            const atom = pool.splice(idx, 1)[0];
+            atom.x = ta.x; atom.y = ta.y;
+            map.set(ta.id, atom);
+        }
+        if (pool.length) throw new Error(`${entry.name} does not use every atom`);
+
+        entry.graph.bonds.forEach(b => merged.addBond(map.get(b.a), map.get(b.b), b.order));
+        return merged;
+    }
+}
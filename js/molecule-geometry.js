@@ -0,0 +1,325 @@
+// ---------- 3D geometry from VSEPR ----------
+// Gives every atom of a MoleculeGraph x/y/z coordinates in Å (centred on the origin)
+// for the 3D viewer, from connectivity alone. Around each atom its bonds, the bonds it
+// can still form and its lone pairs (electron domains) spread out as far as they can:
+//   2 domains  linear          180°
+//   3 domains  trigonal        120°
+//   4 domains  tetrahedral     109.5°, squeezed to 107° by one lone pair, 104.5° by two
+// Bond lengths are the sum of covalent radii, shorter for double and triple bonds.
+// Chains are built anti (zigzag), rings as flat regular polygons. The graph's own 2D
+// layout (x, y on the atoms) is left alone.
+const GEOMETRY_TETRAHEDRAL = Math.acos(-1 / 3);
+const GEOMETRY_BOND_SHORTENING = { 1: 1, 2: 0.87, 3: 0.78 };
+const GEOMETRY_LONE_PAIR_ANGLES = { 1: 107, 2: 104.5 }; // bond angle of four domains with 1 or 2 lone pairs
+const GEOMETRY_LONE_PAIR_DISTANCE = 0.6;                // Å out from the atom, where a lone pair is drawn
+const GEOMETRY_COMPONENT_GAP = 3;                       // Å between the unconnected parts of a graph
+// domains/lone pairs -> shape name
+const GEOMETRY_SHAPES = {
+    '2/0': 'linear', '3/0': 'trigonal planar', '3/1': 'bent',
+    '4/0': 'tetrahedral', '4/1': 'trigonal pyramidal', '4/2': 'bent'
+};
+
+class Vec3 {
+    static add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    static sub(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static scale(a, k) {
+        return { x: a.x * k, y: a.y * k, z: a.z * k };
+    }
+
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    static cross(a, b) {
+        return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+    }
+
+    static length(a) {
+        return Math.hypot(a.x, a.y, a.z);
+    }
+
+    static unit(a) {
+        return Vec3.scale(a, 1 / (Vec3.length(a) || 1));
+    }
+
+    // the part of a at right angles to the unit vector k
+    static reject(a, k) {
+        return Vec3.sub(a, Vec3.scale(k, Vec3.dot(a, k)));
+    }
+
+    // a turned by `angle` radians about the unit axis k (Rodrigues)
+    static rotate(a, k, angle) {
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return Vec3.add(Vec3.add(Vec3.scale(a, cos), Vec3.scale(Vec3.cross(k, a), sin)), Vec3.scale(k, Vec3.dot(k, a) * (1 - cos)));
+    }
+
+    // some unit vector at right angles to a
+    static perpendicular(a) {
+        const other = Math.abs(a.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+        return Vec3.unit(Vec3.cross(a, other));
+    }
+}
+
+class MoleculeGeometry {
+    // { atoms: Map(atom id -> { x, y, z }), lonePairs: [{ atom: id, x, y, z }] }
+    static build(graph) {
+        const atoms = new Map();
+        const lonePairs = [];
+
+        // build each connected part on its own, then line the parts up along x
+        let nextLeft = 0;
+        for (const ids of MoleculeGeometry._componentIds(graph)) {
+            const part = new Map();
+            const pairs = [];
+            MoleculeGeometry._buildComponent(graph, ids, part, pairs);
+            const xs = [...part.values()].map(p => p.x);
+            const shift = { x: nextLeft - Math.min(...xs), y: 0, z: 0 };
+            part.forEach((p, id) => atoms.set(id, Vec3.add(p, shift)));
+            pairs.forEach(lp => lonePairs.push({ atom: lp.atom, ...Vec3.add(lp, shift) }));
+            nextLeft = Math.max(...xs) + shift.x + GEOMETRY_COMPONENT_GAP;
+        }
+
+        if (atoms.size) {
+            const centre = Vec3.scale([...atoms.values()].reduce(Vec3.add, { x: 0, y: 0, z: 0 }), 1 / atoms.size);
+            atoms.forEach((p, id) => atoms.set(id, Vec3.sub(p, centre)));
+            lonePairs.forEach((lp, i) => { lonePairs[i] = { atom: lp.atom, ...Vec3.sub(lp, centre) }; });
+        }
+        return { atoms, lonePairs };
+    }
+
+    // length in Å of a bond of `order` between two atoms
+    static bondLength(a, b, order = 1) {
+        const radius = (atom) => { const e = PeriodicTable.get(atom.element); return e ? e.covalent / 100 : 0.75; };
+        return (radius(a) + radius(b)) * (GEOMETRY_BOND_SHORTENING[order] || 1);
+    }
+
+    // angle a-b-c in degrees
+    static angle(a, b, c) {
+        const u = Vec3.unit(Vec3.sub(a, b)), v = Vec3.unit(Vec3.sub(c, b));
+        return Math.acos(Math.max(-1, Math.min(1, Vec3.dot(u, v)))) * 180 / Math.PI;
+    }
+
+    // Electron domains of an atom: { domains, lonePairs } (at most four domains)
+    static domainsOf(graph, atom) {
+        const bonds = graph.neighbors(atom).length + Math.max(0, BondingEngine.openValence(graph, atom));
+        const domains = Math.min(4, bonds + PeriodicTable.lonePairs(atom.element));
+        return { domains, lonePairs: Math.max(0, domains - bonds) };
+    }
+
+    // The VSEPR shape round every atom bonded to two or more others:
+    // [{ atom, shape, angle }], angle being the mean bond angle in the built geometry
+    static shapes(graph, geometry = MoleculeGeometry.build(graph)) {
+        return graph.atoms.filter(atom => graph.neighbors(atom).length >= 2).map(atom => {
+            const { domains, lonePairs } = MoleculeGeometry.domainsOf(graph, atom);
+            const here = geometry.atoms.get(atom.id);
+            const around = graph.neighbors(atom).map(n => geometry.atoms.get(n.atom.id));
+            const angles = [];
+            around.forEach((p, i) => around.slice(i + 1).forEach(q => angles.push(MoleculeGeometry.angle(p, here, q))));
+            return {
+                atom,
+                shape: GEOMETRY_SHAPES[`${domains}/${lonePairs}`] || 'irregular',
+                angle: angles.reduce((s, a) => s + a, 0) / angles.length
+            };
+        });
+    }
+
+    static _buildComponent(graph, ids, pos, lonePairs) {
+        const atoms = ids.map(id => graph.getAtom(id));
+        const rings = StructureLayout.findRings(graph, ids);
+        // start from the busiest atom (of a ring, if there is one), so a small molecule
+        // sits on its centre atom and ring atoms are not entered from a substituent
+        const ringIds = new Set(rings.flat());
+        const candidates = ringIds.size ? atoms.filter(a => ringIds.has(a.id)) : atoms;
+        const root = candidates.reduce((best, a) => (graph.neighbors(a).length > graph.neighbors(best).length ? a : best));
+
+        pos.set(root.id, { x: 0, y: 0, z: 0 });
+        const queue = [root];
+        while (queue.length) {
+            const atom = queue.shift();
+            const here = pos.get(atom.id);
+
+            for (const ring of rings) {
+                if (!ring.includes(atom.id) || ring.every(id => pos.has(id))) continue;
+                MoleculeGeometry._placeRing(graph, ring, atom, pos).forEach(id => queue.push(graph.getAtom(id)));
+            }
+
+            const around = graph.neighbors(atom);
+            const placed = around.filter(n => pos.has(n.atom.id));
+            // the biggest branch takes the anti position, so chains zigzag
+            const children = around.filter(n => !pos.has(n.atom.id))
+                .sort((a, b) => graph.neighbors(b.atom).length - graph.neighbors(a.atom).length);
+            const fixed = placed.map(n => Vec3.unit(Vec3.sub(pos.get(n.atom.id), here)));
+            const dirs = MoleculeGeometry._freeDomains(graph, atom, fixed, MoleculeGeometry._reference(graph, atom, placed, pos));
+
+            children.forEach((n, i) => {
+                // more bonds than domains only happens to atoms over their valence
+                const dir = dirs.bonds[i] || Vec3.perpendicular(fixed[0] || { x: 0, y: 0, z: 1 });
+                pos.set(n.atom.id, Vec3.add(here, Vec3.scale(dir, MoleculeGeometry.bondLength(atom, n.atom, n.bond.order))));
+                queue.push(n.atom);
+            });
+            dirs.lonePairs.forEach(d => lonePairs.push({ atom: atom.id, ...Vec3.add(here, Vec3.scale(d, GEOMETRY_LONE_PAIR_DISTANCE)) }));
+        }
+    }
+
+    // Directions (unit vectors) of an atom's domains not yet taken by the bonds to its
+    // placed neighbours (`fixed`): { bonds, lonePairs }, bonds first for its unplaced
+    // neighbours, then for the bonds it can still form. With one fixed bond, the first
+    // free direction is turned anti to `ref` (the parent's bond to its own neighbour).
+    static _freeDomains(graph, atom, fixed, ref = null) {
+        const { domains, lonePairs } = MoleculeGeometry.domainsOf(graph, atom);
+        const bondSlots = domains - lonePairs;
+
+        if (fixed.length >= 2) {
+            const free = MoleculeGeometry._complete(fixed, domains);
+            const bonds = Math.max(0, bondSlots - fixed.length);
+            return { bonds: free.slice(0, bonds), lonePairs: free.slice(bonds) };
+        }
+
+        const ideal = MoleculeGeometry._ideal(domains, lonePairs);
+        const all = [...ideal.bonds, ...ideal.lonePairs];
+        if (!fixed.length) return ideal;
+        const turned = MoleculeGeometry._align(all, ideal.bonds[0], fixed[0], ref);
+        return { bonds: turned.slice(1, ideal.bonds.length), lonePairs: turned.slice(ideal.bonds.length) };
+    }
+
+    // Ideal domain directions about the z axis: { bonds, lonePairs }
+    static _ideal(domains, lonePairs) {
+        const polar = (theta, phi) => ({ x: Math.sin(theta) * Math.cos(phi), y: Math.sin(theta) * Math.sin(phi), z: Math.cos(theta) });
+        const third = 2 * Math.PI / 3;
+        const split = (dirs) => ({ bonds: dirs.slice(0, dirs.length - lonePairs), lonePairs: dirs.slice(dirs.length - lonePairs) });
+
+        if (domains <= 1) return split([polar(0, 0)].slice(0, domains));
+        if (domains === 2) return split([polar(0, 0), polar(Math.PI, 0)]);
+        if (domains === 3) return split([0, 1, 2].map(k => polar(k * third, 0)));
+
+        if (lonePairs === 1) {
+            // three bonds round the axis, opened out just enough for the squeezed bond angle
+            const cos = Math.cos(GEOMETRY_LONE_PAIR_ANGLES[1] * Math.PI / 180);
+            const theta = Math.asin(Math.sqrt((1 - cos) / 1.5));
+            return { bonds: [0, 1, 2].map(k => polar(theta, k * third)), lonePairs: [polar(Math.PI, 0)] };
+        }
+        if (lonePairs === 2) {
+            const half = GEOMETRY_LONE_PAIR_ANGLES[2] * Math.PI / 360, lpHalf = GEOMETRY_TETRAHEDRAL / 2;
+            return {
+                bonds: [polar(half, 0), polar(half, Math.PI)],
+                lonePairs: [polar(Math.PI - lpHalf, Math.PI / 2), polar(Math.PI - lpHalf, -Math.PI / 2)]
+            };
+        }
+        return split([polar(0, 0), ...[0, 1, 2].map(k => polar(GEOMETRY_TETRAHEDRAL, k * third))]);
+    }
+
+    // Turn `dirs` so that `from` lies on `to`, then about `to` so that dirs[1] points
+    // away from `ref`
+    static _align(dirs, from, to, ref) {
+        const axis = Vec3.cross(from, to);
+        const sin = Vec3.length(axis), cos = Vec3.dot(from, to);
+        let turned;
+        if (sin > 1e-9) turned = dirs.map(d => Vec3.rotate(d, Vec3.scale(axis, 1 / sin), Math.atan2(sin, cos)));
+        else turned = cos > 0 ? dirs : dirs.map(d => Vec3.rotate(d, Vec3.perpendicular(from), Math.PI));
+
+        if (!ref || turned.length < 2) return turned;
+        const p = Vec3.reject(turned[1], to), q = Vec3.reject(Vec3.scale(ref, -1), to);
+        if (Vec3.length(p) < 1e-6 || Vec3.length(q) < 1e-6) return turned;
+        const twist = Math.atan2(Vec3.dot(to, Vec3.cross(p, q)), Vec3.dot(p, q));
+        return turned.map(d => Vec3.rotate(d, to, twist));
+    }
+
+    // Free directions of an atom with two or more bonds already placed: straight back
+    // from them, or for two left (an sp³ ring atom) either side of their plane
+    static _complete(fixed, domains) {
+        const missing = domains - fixed.length;
+        if (missing <= 0) return [];
+        const sum = fixed.reduce(Vec3.add, { x: 0, y: 0, z: 0 });
+        const back = Vec3.length(sum) > 1e-6 ? Vec3.unit(Vec3.scale(sum, -1)) : Vec3.unit(Vec3.cross(fixed[0], Vec3.perpendicular(fixed[0])));
+        if (missing === 1) return [back];
+        const normal = Vec3.unit(Vec3.cross(fixed[0], fixed[1]));
+        const half = GEOMETRY_TETRAHEDRAL / 2;
+        return [1, -1].map(side => Vec3.add(Vec3.scale(back, Math.cos(half)), Vec3.scale(normal, side * Math.sin(half))));
+    }
+
+    // direction from an atom's only placed neighbour to one of that neighbour's others
+    static _reference(graph, atom, placed, pos) {
+        if (placed.length !== 1) return null;
+        const parent = placed[0].atom;
+        const other = graph.neighbors(parent).find(n => n.atom !== atom && pos.has(n.atom.id));
+        return other ? Vec3.unit(Vec3.sub(pos.get(other.atom.id), pos.get(parent.id))) : null;
+    }
+
+    // Place the unplaced atoms of `ring` as a flat regular polygon through `atom`.
+    // Returns the ids it placed. A ring sharing a bond with one already built lies in
+    // that ring's plane on the far side of the bond; otherwise the ring takes two of
+    // the atom's free domain directions.
+    static _placeRing(graph, ring, atom, pos) {
+        const m = ring.length;
+        const i = ring.indexOf(atom.id);
+        const order = ring.slice(i).concat(ring.slice(0, i));
+        const here = pos.get(atom.id);
+        const lengths = order.map((id, k) => {
+            const a = graph.getAtom(id), b = graph.getAtom(order[(k + 1) % m]);
+            return MoleculeGeometry.bondLength(a, b, graph.getBond(a, b).order);
+        });
+        const side = lengths.reduce((s, l) => s + l, 0) / m;
+        const radius = side / (2 * Math.sin(Math.PI / m));
+
+        let centre, e1, e2;
+        if (pos.has(order[1]) || pos.has(order[m - 1])) {
+            // fused: build on the shared bond, away from whatever else is placed around it
+            if (!pos.has(order[1])) { order.reverse(); order.unshift(order.pop()); }
+            const other = pos.get(order[1]);
+            const along = Vec3.unit(Vec3.sub(other, here));
+            const mid = Vec3.scale(Vec3.add(here, other), 0.5);
+            const nearby = [atom.id, order[1]].flatMap(id => graph.neighbors(id))
+                .filter(n => pos.has(n.atom.id) && !order.slice(0, 2).includes(n.atom.id))
+                .map(n => Vec3.reject(Vec3.sub(pos.get(n.atom.id), mid), along));
+            const towards = nearby.length ? nearby.reduce(Vec3.add) : Vec3.perpendicular(along);
+            const away = Vec3.unit(Vec3.scale(towards, -1));
+            centre = Vec3.add(mid, Vec3.scale(away, radius * Math.cos(Math.PI / m)));
+            e1 = Vec3.unit(Vec3.sub(here, centre));
+            e2 = Vec3.unit(Vec3.reject(Vec3.sub(other, centre), e1));
+        } else {
+            const placed = graph.neighbors(atom).filter(n => pos.has(n.atom.id));
+            const fixed = placed.map(n => Vec3.unit(Vec3.sub(pos.get(n.atom.id), here)));
+            const free = fixed.length >= 2
+                ? MoleculeGeometry._complete(fixed, MoleculeGeometry.domainsOf(graph, atom).domains)
+                : MoleculeGeometry._freeDomains(graph, atom, fixed, MoleculeGeometry._reference(graph, atom, placed, pos)).bonds;
+            const d1 = free[0] || Vec3.perpendicular(fixed[0] || { x: 0, y: 0, z: 1 });
+            const d2 = free[1] || Vec3.unit(Vec3.sub(Vec3.perpendicular(d1), d1));
+            const bisector = Vec3.unit(Vec3.add(d1, d2));
+            centre = Vec3.add(here, Vec3.scale(bisector, radius));
+            e1 = Vec3.scale(bisector, -1);
+            e2 = Vec3.unit(Vec3.reject(d1, bisector));
+        }
+
+        const placedIds = [];
+        order.forEach((id, k) => {
+            if (pos.has(id)) return;
+            const angle = k * 2 * Math.PI / m;
+            pos.set(id, Vec3.add(centre, Vec3.add(Vec3.scale(e1, radius * Math.cos(angle)), Vec3.scale(e2, radius * Math.sin(angle)))));
+            placedIds.push(id);
+        });
+        return placedIds;
+    }
+
+    static _componentIds(graph) {
+        const seen = new Set();
+        const parts = [];
+        for (const atom of graph.atoms) {
+            if (seen.has(atom.id)) continue;
+            const ids = [atom.id];
+            seen.add(atom.id);
+            for (let k = 0; k < ids.length; k++) {
+                for (const n of graph.neighbors(ids[k])) {
+                    if (!seen.has(n.atom.id)) { seen.add(n.atom.id); ids.push(n.atom.id); }
+                }
+            }
+            parts.push(ids);
+        }
+        return parts;
+    }
+}
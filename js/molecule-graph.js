@@ -0,0 +1,154 @@
+// ---------- Molecular graph: atoms, explicit bonds and bond orders ----------
+// Every item on the workspace (spawned atom, C2/C3 intermediate, final molecule)
+// owns one of these; the DOM is rendered from it, never the other way round.
+// Atom coordinates (x, y) are 2D layout positions in px relative to the centre
+// of the molecule card, or null when the structure has not been laid out.
+class MoleculeGraph {
+    constructor() {
+        this.atoms = [];
+        this.bonds = [];
+        this._nextAtomId = 1;
+    }
+
+    addAtom(element, x = null, y = null) {
+        const atom = { id: this._nextAtomId++, element, x, y };
+        this.atoms.push(atom);
+        return atom;
+    }
+
+    getAtom(id) {
+        return this.atoms.find(a => a.id === id) || null;
+    }
+
+    removeAtom(atomOrId) {
+        const id = MoleculeGraph._idOf(atomOrId);
+        this.bonds = this.bonds.filter(b => b.a !== id && b.b !== id);
+        this.atoms = this.atoms.filter(a => a.id !== id);
+    }
+
+    addBond(a, b, order = 1) {
+        const ida = MoleculeGraph._idOf(a), idb = MoleculeGraph._idOf(b);
+        if (ida === idb) throw new Error('Cannot bond an atom to itself');
+        if (!this.getAtom(ida) || !this.getAtom(idb)) throw new Error('Cannot bond atoms outside this graph');
+        if (this.getBond(ida, idb)) throw new Error('Atoms are already bonded');
+        const bond = { a: ida, b: idb, order };
+        this.bonds.push(bond);
+        return bond;
+    }
+
+    getBond(a, b) {
+        const ida = MoleculeGraph._idOf(a), idb = MoleculeGraph._idOf(b);
+        return this.bonds.find(bd => (bd.a === ida && bd.b === idb) || (bd.a === idb && bd.b === ida)) || null;
+    }
+
+    removeBond(a, b) {
+        const bond = this.getBond(a, b);
+        if (bond) this.bonds.splice(this.bonds.indexOf(bond), 1);
+        return bond;
+    }
+
+    // [{ atom, bond }] for every atom bonded to `atom`
+    neighbors(atomOrId) {
+        const id = MoleculeGraph._idOf(atomOrId);
+        const out = [];
+        for (const bond of this.bonds) {
+            if (bond.a === id) out.push({ atom: this.getAtom(bond.b), bond });
+            else if (bond.b === id) out.push({ atom: this.getAtom(bond.a), bond });
+        }
+        return out;
+    }
+
+    bondOrderSum(atomOrId) {
+        return this.neighbors(atomOrId).reduce((s, n) => s + n.bond.order, 0);
+    }
+
+    countElements() {
+        const counts = {};
+        for (const a of this.atoms) counts[a.element] = (counts[a.element] || 0) + 1;
+        return counts;
+    }
+
+    // Hill order: C first, then H, then everything else alphabetically (plain digits)
+    formula() {
+        const counts = this.countElements();
+        const order = Object.keys(counts).sort();
+        const keys = counts.C
+            ? ['C', ...(counts.H ? ['H'] : []), ...order.filter(k => k !== 'C' && k !== 'H')]
+            : order;
+        return keys.map(k => k + (counts[k] > 1 ? counts[k] : '')).join('');
+    }
+
+    // formula() with Unicode subscripts, for display (C₂H₆O)
+    displayFormula() {
+        const subs = '₀₁₂₃₄₅₆₇₈₉';
+        return this.formula().replace(/\d/g, d => subs[d]);
+    }
+
+    hasLayout() {
+        return this.atoms.length > 0 && this.atoms.every(a => a.x !== null && a.y !== null);
+    }
+
+    // Copy every atom and bond of `other` into this graph. Returns Map(otherAtomId -> new atom).
+    merge(other) {
+        const map = new Map();
+        for (const a of other.atoms) map.set(a.id, this.addAtom(a.element, a.x, a.y));
+        for (const b of other.bonds) this.addBond(map.get(b.a), map.get(b.b), b.order);
+        return map;
+    }
+
+    static combine(graphs) {
+        const g = new MoleculeGraph();
+        graphs.forEach(other => g.merge(other));
+        return g;
+    }
+
+    // Split into connected fragments (each a fresh graph, coordinates preserved)
+    components() {
+        const seen = new Set();
+        const parts = [];
+        for (const start of this.atoms) {
+            if (seen.has(start.id)) continue;
+            const ids = [];
+            const stack = [start.id];
+            seen.add(start.id);
+            while (stack.length) {
+                const id = stack.pop();
+                ids.push(id);
+                for (const n of this.neighbors(id)) {
+                    if (!seen.has(n.atom.id)) { seen.add(n.atom.id); stack.push(n.atom.id); }
+                }
+            }
+            const part = new MoleculeGraph();
+            const map = new Map();
+            this.atoms.filter(a => ids.includes(a.id)).forEach(a => map.set(a.id, part.addAtom(a.element, a.x, a.y)));
+            this.bonds.filter(b => map.has(b.a)).forEach(b => part.addBond(map.get(b.a), map.get(b.b), b.order));
+            parts.push(part);
+        }
+        return parts;
+    }
+
+    clone() {
+        return MoleculeGraph.fromJSON(this.toJSON());
+    }
+
+    toJSON() {
+        return {
+            atoms: this.atoms.map(a => ({ id: a.id, element: a.element, x: a.x, y: a.y })),
+            bonds: this.bonds.map(b => ({ a: b.a, b: b.b, order: b.order }))
+        };
+    }
+
+    static fromJSON(data) {
+        const g = new MoleculeGraph();
+        for (const a of data.atoms || []) {
+            g.atoms.push({ id: a.id, element: a.element, x: a.x ?? null, y: a.y ?? null });
+            g._nextAtomId = Math.max(g._nextAtomId, a.id + 1);
+        }
+        for (const b of data.bonds || []) g.addBond(b.a, b.b, b.order || 1);
+        return g;
+    }
+
+    static _idOf(atomOrId) {
+        return (atomOrId && typeof atomOrId === 'object') ? atomOrId.id : atomOrId;
+    }
+}
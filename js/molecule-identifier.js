@@ -0,0 +1,91 @@
+// ---------- Structure-based molecule identification ----------
+// Produces a canonical key for a MoleculeGraph that depends only on connectivity
+// (elements, bonds, bond orders), never on atom ids or layout, so isomers such as
+// ethanol / dimethyl ether get different keys while two builds of ethanol match.
+//
+// Hydrogens bonded to a heavy atom are folded into that atom's label (hydrogen-
+// suppressed graph). Atoms are then ordered by colour refinement; ties left by
+// symmetry are broken by trying each tied atom and keeping the smallest key.
+class MoleculeIdentifier {
+    static canonicalKey(graph) {
+        const nodes = graph.atoms.filter(a => !MoleculeIdentifier._isFoldedHydrogen(graph, a));
+        if (nodes.length === 0) return '';
+
+        const index = new Map(nodes.map((a, i) => [a.id, i]));
+        const labels = nodes.map(a => {
+            const h = graph.neighbors(a).filter(n => !index.has(n.atom.id)).length;
+            return a.element + (h ? 'H' + h : '');
+        });
+        const adj = nodes.map(a => graph.neighbors(a)
+            .filter(n => index.has(n.atom.id))
+            .map(n => [index.get(n.atom.id), n.bond.order]));
+
+        const initial = MoleculeIdentifier._rank(nodes.map((_, i) => `${labels[i]}/${adj[i].length}`));
+
+        let best = null;
+        const search = (colors) => {
+            colors = MoleculeIdentifier._refine(colors, adj);
+
+            // first cell (lowest colour) still holding more than one atom
+            const counts = new Map();
+            colors.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+            const cells = [...counts.keys()].filter(c => counts.get(c) > 1).sort((a, b) => a - b);
+
+            if (!cells.length) {
+                const key = MoleculeIdentifier._serialize(colors, labels, adj);
+                if (best === null || key < best) best = key;
+                return;
+            }
+
+            const target = cells[0];
+            colors.forEach((c, i) => {
+                if (c !== target) return;
+                // individualize atom i ahead of the rest of its cell
+                search(colors.map((cj, j) => cj * 2 + (cj === target && j !== i ? 1 : 0)));
+            });
+        };
+        search(initial);
+        return best;
+    }
+
+    static isSameStructure(graphA, graphB) {
+        return MoleculeIdentifier.canonicalKey(graphA) === MoleculeIdentifier.canonicalKey(graphB);
+    }
+
+    // an H whose only bond is to a non-hydrogen atom
+    static _isFoldedHydrogen(graph, atom) {
+        if (atom.element !== 'H') return false;
+        const n = graph.neighbors(atom);
+        return n.length === 1 && n[0].atom.element !== 'H';
+    }
+
+    // dense ranks 0..k-1 following the sort order of the given signatures
+    static _rank(signatures) {
+        const sorted = [...new Set(signatures)].sort();
+        return signatures.map(s => sorted.indexOf(s));
+    }
+
+    // split colour classes by neighbour colours until the partition stops changing
+    static _refine(colors, adj) {
+        let current = MoleculeIdentifier._rank(colors.map(c => String(c).padStart(6, '0')));
+        for (;;) {
+            const sigs = current.map((c, i) => {
+                const around = adj[i].map(([j, order]) => `${order}.${String(current[j]).padStart(6, '0')}`).sort().join(',');
+                return `${String(c).padStart(6, '0')}|${around}`;
+            });
+            const next = MoleculeIdentifier._rank(sigs);
+            if (new Set(next).size === new Set(current).size) return next;
+            current = next;
+        }
+    }
+
+    static _serialize(colors, labels, adj) {
+        const order = colors.map((c, i) => [c, i]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+        const pos = new Map(order.map((atomIdx, p) => [atomIdx, p]));
+        const edges = [];
+        adj.forEach((list, i) => list.forEach(([j, o]) => {
+            if (pos.get(i) < pos.get(j)) edges.push(`${pos.get(i)}-${pos.get(j)}${'-=#'[o - 1] || o}`);
+        }));
+        return order.map(i => labels[i]).join('.') + '|' + edges.sort().join(',');
+    }
+}
@@ -0,0 +1,117 @@
+// ---------- DOM rendering of a MoleculeGraph ----------
+// Draws atoms as .atom nodes and bonds as rotated .bond lines (one line per bond
+// order) inside a .molecule-structure element. Graph coordinates are relative to
+// the structure centre.
+class MoleculeRenderer {
+    static atomClass(element) {
+        return PeriodicTable.cssClass(element);
+    }
+
+    static atomSize(element) {
+        const data = PeriodicTable.get(element);
+        return data ? data.radius * 2 : 55;
+    }
+
+    static createAtomNode(element, x, y) {
+        const n = document.createElement('div');
+        n.className = `atom ${MoleculeRenderer.atomClass(element)}`;
+        n.textContent = element;
+        n.style.position = 'absolute';
+        const size = MoleculeRenderer.atomSize(element);
+        n.style.left = `${x - size / 2}px`;
+        n.style.top = `${y - size / 2}px`;
+        return n;
+    }
+
+    // one line for a single bond, two parallel lines for double, three for triple
+    static createBondLines(x1, y1, x2, y2, order = 1) {
+        const dx = x2 - x1, dy = y2 - y1, len = Math.hypot(dx, dy), ang = Math.atan2(dy, dx) * 180 / Math.PI;
+        const left = Math.min(x1, x2), top = Math.min(y1, y2);
+        const nx = -dy / (len || 1), ny = dx / (len || 1);
+
+        const createLine = (ox = 0, oy = 0) => {
+            const b = document.createElement('div');
+            b.className = 'bond';
+            b.style.position = 'absolute';
+            b.style.left = `${left}px`;
+            b.style.top = `${top}px`;
+            b.style.width = `${len}px`;
+            b.style.height = '4px';
+            b.style.transformOrigin = '0 50%';
+            b.style.transform = `translate(${x1 - left + ox}px, ${y1 - top + oy}px) rotate(${ang}deg)`;
+            b.style.background = '#00ff88';
+            b.style.borderRadius = '2px';
+            return b;
+        };
+
+        if (order === 2) return [createLine(nx * 6, ny * 6), createLine(-nx * 6, -ny * 6)];
+        if (order === 3) return [createLine(0, 0), createLine(nx * 8, ny * 8), createLine(-nx * 8, -ny * 8)];
+        return [createLine()];
+    }
+
+    // Render `graph` into `structure` (width x height px). Graphs without a layout
+    // are laid out first (StructureLayout). opts.enterFrom maps atom id -> {x, y}
+    // (graph coords) for atoms that should animate in from that point;
+    // opts.showOpenBonds badges each atom with the bonds it can still form;
+    // opts.groups (FunctionalGroups.detect) tints each group's atoms and bonds.
+    static renderStructure(structure, graph, width, height, opts = {}) {
+        structure.innerHTML = '';
+        if (!graph.hasLayout()) StructureLayout.layout(graph);
+
+        const cx = width / 2, cy = height / 2;
+        const enterFrom = opts.enterFrom || {};
+
+        for (const bond of graph.bonds) {
+            const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+            MoleculeRenderer.createBondLines(cx + a.x, cy + a.y, cx + b.x, cy + b.y, bond.order).forEach(line => {
+                line.dataset.bond = `${bond.a}-${bond.b}`;
+                if (enterFrom[bond.a] || enterFrom[bond.b]) {
+                    line.style.opacity = '0';
+                    line.style.transition = 'opacity 420ms ease';
+                }
+                structure.appendChild(line);
+            });
+        }
+
+        for (const atom of graph.atoms) {
+            const node = MoleculeRenderer.createAtomNode(atom.element, cx + atom.x, cy + atom.y);
+            node.dataset.atomId = atom.id;
+            if (opts.showOpenBonds) {
+                const open = BondingEngine.openValence(graph, atom);
+                if (open > 0) node.insertAdjacentHTML('beforeend', `<span class="open-bonds">${open}</span>`);
+            }
+            const from = enterFrom[atom.id];
+            if (from) {
+                const size = MoleculeRenderer.atomSize(atom.element);
+                node.style.left = `${cx + from.x - size / 2}px`;
+                node.style.top = `${cy + from.y - size / 2}px`;
+                node.style.transform = 'scale(0.6)';
+                node.style.transition = 'left 420ms cubic-bezier(.2,.9,.2,1), top 420ms cubic-bezier(.2,.9,.2,1), transform 420ms ease';
+            }
+            structure.appendChild(node);
+        }
+
+        (opts.groups || []).forEach(group => {
+            const bondIds = new Set(group.bonds.map(b => `${b.a}-${b.b}`));
+            structure.querySelectorAll('[data-atom-id], .bond').forEach(el => {
+                const inGroup = el.dataset.atomId ? group.atoms.includes(Number(el.dataset.atomId)) : bondIds.has(el.dataset.bond);
+                if (inGroup) el.classList.add('group', `group-${group.type}`);
+            });
+        });
+
+        if (Object.keys(enterFrom).length) {
+            // animate entering atoms to their layout position on the next frame
+            requestAnimationFrame(() => {
+                structure.querySelectorAll('[data-atom-id]').forEach(node => {
+                    const atom = graph.getAtom(Number(node.dataset.atomId));
+                    if (!atom || !enterFrom[atom.id]) return;
+                    const size = MoleculeRenderer.atomSize(atom.element);
+                    node.style.left = `${cx + atom.x - size / 2}px`;
+                    node.style.top = `${cy + atom.y - size / 2}px`;
+                    node.style.transform = 'scale(1)';
+                });
+                structure.querySelectorAll('.bond').forEach(line => { line.style.opacity = '1'; });
+            });
+        }
+    }
+}
@@ -0,0 +1,197 @@
+// ---------- 3D molecule viewer ----------
+// Draws a molecule's MoleculeGeometry as balls and sticks on a plain 2D canvas:
+// perspective projection, back-to-front painting and gradient-shaded spheres, all
+// done on the CPU, so it needs neither WebGL nor a GPU. Lone pairs of central atoms
+// are drawn as pairs of dots. Screen axes: x right, y down, z towards the viewer.
+const VIEWER_BALL_SCALE = 0.012;  // ball radius in Å per px of the element's card radius
+const VIEWER_STICK_WIDTH = 0.14;  // Å
+const VIEWER_BOND_GAP = 0.17;     // Å between the sticks of a double or triple bond
+const VIEWER_CAMERA = 4;          // camera distance in molecule radii (lower: stronger perspective)
+const VIEWER_FILL = 0.85;         // share of the canvas the molecule may fill
+const VIEWER_START_TURN = { yaw: 0.6, pitch: -0.45 }; // a tilted first view, so depth shows
+
+class MoleculeViewer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        this.graph = null;
+        this.geometry = null;
+        this.signature = null;
+        this.radius = 1;
+        this.resetRotation();
+    }
+
+    // Show `graph` (null for nothing). The geometry is rebuilt only when the graph's
+    // atoms or bonds changed; returns whether anything did.
+    show(graph) {
+        const signature = graph ? MoleculeViewer.signature(graph) : null;
+        if (graph === this.graph && signature === this.signature) return false;
+        this.graph = graph;
+        this.signature = signature;
+        this.geometry = graph ? MoleculeGeometry.build(graph) : null;
+        this.radius = 1;
+        if (this.geometry) {
+            graph.atoms.forEach(atom => {
+                this.radius = Math.max(this.radius, Vec3.length(this.geometry.atoms.get(atom.id)) + MoleculeViewer.ballRadius(atom.element));
+            });
+        }
+        return true;
+    }
+
+    // turn about the screen's vertical (yaw) and horizontal (pitch) axes, in radians
+    rotateBy(yaw, pitch) {
+        const turn = MoleculeViewer._multiply(MoleculeViewer._rotationX(pitch), MoleculeViewer._rotationY(yaw));
+        this.rotation = MoleculeViewer._multiply(turn, this.rotation);
+    }
+
+    resetRotation() {
+        this.rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        this.rotateBy(VIEWER_START_TURN.yaw, VIEWER_START_TURN.pitch);
+    }
+
+    // canvas position of a geometry point: { x, y, z, scale } with z towards the
+    // viewer and scale in px per Å at that depth
+    project(p) {
+        const r = this.rotation;
+        const x = r[0] * p.x + r[1] * p.y + r[2] * p.z;
+        const y = r[3] * p.x + r[4] * p.y + r[5] * p.z;
+        const z = r[6] * p.x + r[7] * p.y + r[8] * p.z;
+        const camera = VIEWER_CAMERA * this.radius;
+        const fit = Math.min(this.canvas.width, this.canvas.height) / 2 * VIEWER_FILL / (this.radius * (camera / (camera - this.radius)));
+        const scale = fit * camera / (camera - z);
+        return { x: this.canvas.width / 2 + x * scale, y: this.canvas.height / 2 + y * scale, z, scale };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        if (!ctx) return;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.geometry) return;
+
+        const graph = this.graph;
+        const at = new Map(graph.atoms.map(atom => [atom.id, this.project(this.geometry.atoms.get(atom.id))]));
+        const items = [];
+        graph.bonds.forEach(bond => {
+            const atomA = graph.getAtom(bond.a), atomB = graph.getAtom(bond.b);
+            // sticks run between the ball surfaces, so they never cross the face of their own atoms
+            const pa = this.geometry.atoms.get(bond.a), pb = this.geometry.atoms.get(bond.b);
+            const along = Vec3.unit(Vec3.sub(pb, pa));
+            const a = this.project(Vec3.add(pa, Vec3.scale(along, MoleculeViewer.ballRadius(atomA.element))));
+            const b = this.project(Vec3.sub(pb, Vec3.scale(along, MoleculeViewer.ballRadius(atomB.element))));
+            items.push({ z: (a.z + b.z) / 2, draw: () => this._drawBond(atomA, a, atomB, b, bond.order) });
+        });
+        graph.atoms.forEach(atom => {
+            const p = at.get(atom.id);
+            items.push({ z: p.z, draw: () => this._drawAtom(atom, p) });
+        });
+        // terminal atoms' lone pairs are not what gives a molecule its shape
+        this.geometry.lonePairs.filter(lp => graph.neighbors(lp.atom).length >= 2).forEach(lp => {
+            const p = this.project(lp);
+            items.push({ z: p.z, draw: () => this._drawLonePair(at.get(lp.atom), p) });
+        });
+
+        items.sort((a, b) => a.z - b.z).forEach(item => item.draw());
+    }
+
+    static ballRadius(element) {
+        const data = PeriodicTable.get(element);
+        return (data ? data.radius : 27.5) * VIEWER_BALL_SCALE;
+    }
+
+    static color(element) {
+        const data = PeriodicTable.get(element);
+        return data ? data.color : '#cccccc';
+    }
+
+    // changes whenever atoms or bonds are added, removed or re-ordered
+    static signature(graph) {
+        return graph.atoms.map(a => a.id + a.element).join(',') + '|' + graph.bonds.map(b => `${b.a}-${b.b}:${b.order}`).join(',');
+    }
+
+    _drawAtom(atom, p) {
+        const ctx = this.ctx;
+        const r = MoleculeViewer.ballRadius(atom.element) * p.scale;
+        const color = MoleculeViewer.color(atom.element);
+        // lit from the top left
+        const shading = ctx.createRadialGradient(p.x - r * 0.35, p.y - r * 0.35, r * 0.1, p.x, p.y, r);
+        shading.addColorStop(0, MoleculeViewer._mix(color, '#ffffff', 0.6));
+        shading.addColorStop(0.35, color);
+        shading.addColorStop(1, MoleculeViewer._mix(color, '#000000', 0.55));
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r, 0, 2 * Math.PI);
+        ctx.fillStyle = shading;
+        ctx.fill();
+
+        if (atom.element !== 'H' && r > 9) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${Math.round(r * 0.8)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(atom.element, p.x, p.y);
+        }
+    }
+
+    // a stick per bond order, each half in its atom's colour
+    _drawBond(atomA, a, atomB, b, order) {
+        const ctx = this.ctx;
+        const scale = (a.scale + b.scale) / 2;
+        const dx = b.x - a.x, dy = b.y - a.y, len = Math.hypot(dx, dy) || 1;
+        const nx = -dy / len, ny = dx / len;
+        const gap = VIEWER_BOND_GAP * scale;
+        const offsets = order === 3 ? [-gap, 0, gap] : order === 2 ? [-gap / 2, gap / 2] : [0];
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        ctx.lineCap = 'round';
+        ctx.lineWidth = VIEWER_STICK_WIDTH * scale * (order > 1 ? 0.7 : 1);
+        offsets.forEach(o => {
+            [[a, atomA], [b, atomB]].forEach(([end, atom]) => {
+                ctx.beginPath();
+                ctx.moveTo(end.x + nx * o, end.y + ny * o);
+                ctx.lineTo(mid.x + nx * o, mid.y + ny * o);
+                ctx.strokeStyle = MoleculeViewer._mix(MoleculeViewer.color(atom.element), '#888888', 0.4);
+                ctx.stroke();
+            });
+        });
+    }
+
+    // two dots side by side, out from the atom
+    _drawLonePair(atomPoint, p) {
+        const ctx = this.ctx;
+        const dx = p.x - atomPoint.x, dy = p.y - atomPoint.y, len = Math.hypot(dx, dy) || 1;
+        const spread = 0.09 * p.scale;
+        ctx.fillStyle = 'rgba(255, 224, 102, 0.9)';
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.arc(p.x - dy / len * spread * side, p.y + dx / len * spread * side, 0.05 * p.scale, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    // 3x3 matrices as row-major arrays of 9
+    static _multiply(m, n) {
+        const out = [];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) out.push(m[i * 3] * n[j] + m[i * 3 + 1] * n[3 + j] + m[i * 3 + 2] * n[6 + j]);
+        }
+        return out;
+    }
+
+    // front (z > 0) moves right for a positive angle
+    static _rotationY(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return [c, 0, s, 0, 1, 0, -s, 0, c];
+    }
+
+    // front moves down for a positive angle
+    static _rotationX(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return [1, 0, 0, 0, c, s, 0, -s, c];
+    }
+
+    // hex colour moved `amount` (0-1) of the way to `target`
+    static _mix(hex, target, amount) {
+        const rgb = (h) => { const n = parseInt(h.slice(1), 16); return [(n >> 16) & 255, (n >> 8) & 255, n & 255]; };
+        const to = rgb(target);
+        return '#' + rgb(hex).map((c, i) => Math.round(c + (to[i] - c) * amount).toString(16).padStart(2, '0')).join('');
+    }
+}
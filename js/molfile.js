@@ -0,0 +1,153 @@
+// ---------- MDL Molfile / SDF import and export ----------
+// V2000 connection tables with 2D coordinates and bond orders 1-3. Files are in
+// ångströms with y pointing up; MoleculeGraph layouts are px with y pointing down,
+// so coordinates are flipped and scaled to the app's bond length on the way through.
+// Hydrogens a file leaves implicit are added from the valence. Charges, aromatic
+// bond type 4 and V3000 files are rejected with an Error.
+const MOLFILE_BOND_LENGTH = 1.5; // Å per LAYOUT_BOND_LENGTH px when writing
+
+class Molfile {
+    // One molfile, or an SDF holding several. Returns [{ name, graph, data }] where
+    // data holds the SDF "> <FIELD>" values.
+    static parse(text) {
+        const records = String(text || '').split(/^\$\$\$\$.*$/m).filter(r => r.trim());
+        if (!records.length) throw new Error('Molfile is empty');
+        return records.map((record, k) => {
+            try {
+                // records after a $$$$ line start with that line's newline; the first
+                // record's first line is its title, which may be blank
+                return Molfile._parseRecord(k > 0 ? record.replace(/^\r?\n/, '') : record);
+            } catch (error) {
+                throw new Error(records.length > 1 ? `SDF record ${k + 1}: ${error.message}` : error.message);
+            }
+        });
+    }
+
+    static write(graph, name = '') {
+        if (!graph.hasLayout()) graph = StructureLayout.layout(graph.clone());
+        const atoms = graph.atoms;
+        const index = new Map(atoms.map((a, i) => [a.id, i + 1]));
+        if (atoms.length > 999 || graph.bonds.length > 999) throw new Error('Molecule is too large for a V2000 molfile');
+        const scale = MOLFILE_BOND_LENGTH / LAYOUT_BOND_LENGTH;
+        const num = (v, w, d = 0) => (d ? v.toFixed(d) : String(v)).padStart(w);
+
+        const now = new Date();
+        const two = (v) => String(v).padStart(2, '0');
+        const stamp = two(now.getMonth() + 1) + two(now.getDate()) + two(now.getFullYear() % 100) + two(now.getHours()) + two(now.getMinutes());
+
+        const lines = [
+            name.slice(0, 80),
+            `  ARChem  ${stamp}2D`,
+            '',
+            `${num(atoms.length, 3)}${num(graph.bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`
+        ];
+        atoms.forEach(a => {
+            const x = (a.x || 0) * scale, y = -(a.y || 0) * scale;
+            lines.push(`${num(x, 10, 4)}${num(y, 10, 4)}${num(0, 10, 4)} ${a.element.padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`);
+        });
+        graph.bonds.forEach(b => lines.push(`${num(index.get(b.a), 3)}${num(index.get(b.b), 3)}${num(b.order, 3)}  0`));
+        lines.push('M  END');
+        return lines.join('\n') + '\n';
+    }
+
+    // records: [{ name, graph, data }]; data fields are written after each molblock
+    static writeSdf(records) {
+        return records.map(r => {
+            const fields = Object.entries(r.data || {}).map(([k, v]) => `> <${k}>\n${v}\n`).join('\n');
+            return Molfile.write(r.graph, r.name) + (fields ? fields + '\n' : '') + '$$$$\n';
+        }).join('');
+    }
+
+    static _parseRecord(text) {
+        const lines = text.split(/\r?\n/);
+        const name = (lines[0] || '').trim();
+        const counts = lines[3] || '';
+        if (/V3000/.test(counts)) throw new Error('V3000 molfiles are not supported; save as V2000');
+        const atomCount = parseInt(counts.slice(0, 3), 10);
+        const bondCount = parseInt(counts.slice(3, 6), 10);
+        if (!Number.isInteger(atomCount) || !Number.isInteger(bondCount)) throw new Error('Molfile counts line (line 4) is malformed');
+        if (lines.length < 4 + atomCount + bondCount) throw new Error('Molfile ends before its atom and bond blocks do');
+
+        const graph = new MoleculeGraph();
+        const atoms = [];
+        const coords = [];
+        for (let i = 0; i < atomCount; i++) {
+            const line = lines[4 + i];
+            const x = parseFloat(line.slice(0, 10)), y = parseFloat(line.slice(10, 20));
+            const symbol = line.slice(31, 34).trim();
+            const charge = parseInt(line.slice(36, 39), 10) || 0;
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !symbol) throw new Error(`Molfile atom ${i + 1} is malformed`);
+            if (BondingEngine.valence(symbol) === 0) throw new Error(`Molfile atom ${i + 1}: element ${symbol} is not available`);
+            if (charge !== 0) throw new Error(`Molfile atom ${i + 1}: charged atoms are not supported`);
+            atoms.push(graph.addAtom(symbol));
+            coords.push([x, y]);
+        }
+        for (let i = 0; i < bondCount; i++) {
+            const line = lines[4 + atomCount + i];
+            const a = parseInt(line.slice(0, 3), 10), b = parseInt(line.slice(3, 6), 10), order = parseInt(line.slice(6, 9), 10);
+            if (!atoms[a - 1] || !atoms[b - 1]) throw new Error(`Molfile bond ${i + 1} references a missing atom`);
+            if (order === 4) throw new Error(`Molfile bond ${i + 1} is aromatic (type 4); save with alternating single/double bonds`);
+            if (![1, 2, 3].includes(order)) throw new Error(`Molfile bond ${i + 1} has unsupported type ${order}`);
+            graph.addBond(atoms[a - 1], atoms[b - 1], order);
+        }
+
+        const props = lines.slice(4 + atomCount + bondCount);
+        const end = props.findIndex(l => l.startsWith('M  END'));
+        if (props.slice(0, end === -1 ? props.length : end).some(l => /^M {2}(CHG|RAD)/.test(l))) {
+            throw new Error('Molfile has charges or radicals, which are not supported');
+        }
+        const data = {};
+        if (end !== -1) {
+            const tail = props.slice(end + 1);
+            tail.forEach((l, k) => {
+                const m = l.match(/^>.*<([^>]+)>/);
+                if (!m) return;
+                const value = [];
+                for (let j = k + 1; j < tail.length && tail[j].trim() !== ''; j++) value.push(tail[j]);
+                data[m[1]] = value.join('\n');
+            });
+        }
+
+        graph.atoms.forEach(atom => {
+            if (BondingEngine.openValence(graph, atom) < 0) throw new Error(`Molfile atom ${atom.id}: ${atom.element} has more bonds than its valence allows`);
+        });
+
+        Molfile._applyCoordinates(graph, atoms, coords);
+
+        // implicit hydrogens
+        atoms.forEach(atom => {
+            for (let k = BondingEngine.openValence(graph, atom); k > 0; k--) graph.addBond(atom, graph.addAtom('H'), 1);
+        });
+        if (!graph.hasLayout()) StructureLayout.placeMissing(graph);
+        return { name, graph, data };
+    }
+
+    // file coordinates -> px centred on the origin, y down, scaled so the typical
+    // bond between heavy atoms is LAYOUT_BOND_LENGTH (or, with none, the typical bond
+    // to hydrogen is LAYOUT_H_BOND_LENGTH); files without real 2D coordinates get laid out later
+    static _applyCoordinates(graph, atoms, coords) {
+        const xs = coords.map(c => c[0]), ys = coords.map(c => c[1]);
+        const flat = Math.max(...xs) - Math.min(...xs) < 1e-6 && Math.max(...ys) - Math.min(...ys) < 1e-6;
+        if (flat && atoms.length > 1) return;
+
+        const index = new Map(atoms.map((a, i) => [a.id, i]));
+        const median = (bonds) => {
+            const lengths = bonds
+                .map(b => Math.hypot(coords[index.get(b.a)][0] - coords[index.get(b.b)][0], coords[index.get(b.a)][1] - coords[index.get(b.b)][1]))
+                .filter(d => d > 1e-6)
+                .sort((p, q) => p - q);
+            return lengths.length ? lengths[Math.floor(lengths.length / 2)] : null;
+        };
+        const toH = (b) => graph.getAtom(b.a).element === 'H' || graph.getAtom(b.b).element === 'H';
+        const heavy = median(graph.bonds.filter(b => !toH(b)));
+        const hydrogen = median(graph.bonds.filter(toH));
+        const scale = heavy ? LAYOUT_BOND_LENGTH / heavy
+            : hydrogen ? LAYOUT_H_BOND_LENGTH / hydrogen
+                : LAYOUT_BOND_LENGTH / MOLFILE_BOND_LENGTH;
+        const cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        atoms.forEach((atom, i) => {
+            atom.x = Math.round((coords[i][0] - cx) * scale * 10) / 10;
+            atom.y = Math.round(-(coords[i][1] - cy) * scale * 10) / 10;
+        });
+    }
+}
@@ -0,0 +1,88 @@
+// ---------- Element data ----------
+// One row per element atoms can be built from. The palette, atom CSS classes and
+// colours, drawn sizes, valences and names all come from this table, so adding an
+// element means adding a row here. Rows are listed in palette order.
+//   symbol, name
+//   valence   bonds the neutral atom forms in the molecules we build
+//   color     atom colour (CSS hex)
+//   radius    drawn atom radius in px on molecule cards
+//   lonePairs non-bonding electron pairs left once the atom has formed its bonds
+//   covalent  single-bond covalent radius in pm (bond lengths of the 3D view)
+const ELEMENT_DATA = [
+    { symbol: 'C',  name: 'Carbon',     valence: 4, color: '#ff6b6b', radius: 27.5, lonePairs: 0, covalent:  76 },
+    { symbol: 'H',  name: 'Hydrogen',   valence: 1, color: '#4ecdc4', radius: 20,   lonePairs: 0, covalent:  31 },
+    { symbol: 'O',  name: 'Oxygen',     valence: 2, color: '#45b7d1', radius: 27.5, lonePairs: 2, covalent:  66 },
+    { symbol: 'N',  name: 'Nitrogen',   valence: 3, color: '#748ffc', radius: 27.5, lonePairs: 1, covalent:  71 },
+    { symbol: 'S',  name: 'Sulfur',     valence: 2, color: '#fcc419', radius: 30,   lonePairs: 2, covalent: 105 },
+    { symbol: 'P',  name: 'Phosphorus', valence: 3, color: '#ff922b', radius: 30,   lonePairs: 1, covalent: 107 },
+    { symbol: 'F',  name: 'Fluorine',   valence: 1, color: '#a9e34b', radius: 22,   lonePairs: 3, covalent:  57 },
+    { symbol: 'Cl', name: 'Chlorine',   valence: 1, color: '#51cf66', radius: 26,   lonePairs: 3, covalent: 102 },
+    { symbol: 'Br', name: 'Bromine',    valence: 1, color: '#e8590c', radius: 28,   lonePairs: 3, covalent: 120 },
+    { symbol: 'I',  name: 'Iodine',     valence: 1, color: '#ae3ec9', radius: 31,   lonePairs: 3, covalent: 139 }
+];
+
+class PeriodicTable {
+    static all() {
+        return ELEMENT_DATA;
+    }
+
+    static get(symbol) {
+        return ELEMENT_DATA.find(e => e.symbol === symbol) || null;
+    }
+
+    static has(symbol) {
+        return PeriodicTable.get(symbol) !== null;
+    }
+
+    static valence(symbol) {
+        const e = PeriodicTable.get(symbol);
+        return e ? e.valence : 0;
+    }
+
+    static lonePairs(symbol) {
+        const e = PeriodicTable.get(symbol);
+        return e ? e.lonePairs : 0;
+    }
+
+    static elementName(symbol) {
+        const e = PeriodicTable.get(symbol);
+        return e ? e.name : symbol;
+    }
+
+    // CSS class for atom nodes: the element name in lower case ('carbon', 'chlorine')
+    static cssClass(symbol) {
+        const e = PeriodicTable.get(symbol);
+        return e ? e.name.toLowerCase() : String(symbol).toLowerCase();
+    }
+
+    // Stylesheet rules for every element: atom colours and card sizes, and the
+    // palette symbol colour / hover glow. Installed once into <head>.
+    static installStyles(doc = document) {
+        if (doc.getElementById('element-styles')) return;
+        const rules = ELEMENT_DATA.map(e => {
+            const cls = PeriodicTable.cssClass(e.symbol);
+            const size = e.radius * 2;
+            const rgb = PeriodicTable._rgb(e.color);
+            return `
+.atom.${cls} { background: radial-gradient(circle, ${e.color} 0%, ${PeriodicTable._shade(e.color, 0.85)} 100%); }
+.molecule .atom.${cls} { width: ${size}px; height: ${size}px; font-size: ${Math.round(size * 0.4)}px; }
+.element[data-element="${e.symbol}"] .element-symbol { color: ${e.color}; }
+.element[data-element="${e.symbol}"]:hover { border-color: ${e.color}; box-shadow: 0 10px 30px rgba(${rgb.join(', ')}, 0.4); }`;
+        }).join('\n');
+
+        const style = doc.createElement('style');
+        style.id = 'element-styles';
+        style.textContent = rules;
+        doc.head.appendChild(style);
+    }
+
+    static _rgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    // darker variant of a hex colour for the gradient rim
+    static _shade(hex, factor) {
+        return '#' + PeriodicTable._rgb(hex).map(c => Math.round(c * factor).toString(16).padStart(2, '0')).join('');
+    }
+}
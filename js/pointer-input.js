@@ -0,0 +1,61 @@
+// ---------- Mouse / touch input ----------
+// Drives the same pinch pipeline as the hand tracker, so the app works without a
+// camera: pressing is a pinch (handlePinchStart), moving drags (updateDragPosition)
+// and lifting releases (handlePinchRelease). It has its own hand state, so the
+// pointer and tracked hands can each hold something at once. Real buttons and
+// inputs keep their native clicks.
+const POINTER_NATIVE_TARGETS = 'button, input, select, textarea, label, a, .bond-popup, #calibration, #lesson';
+
+class PointerInput {
+    constructor(app, hand, target = document) {
+        this.app = app;
+        this.hand = hand;
+        this.target = target;
+        this.pointerId = null;
+        this._onDown = this._onDown.bind(this);
+        this._onMove = this._onMove.bind(this);
+        this._onUp = this._onUp.bind(this);
+    }
+
+    attach() {
+        this.target.addEventListener('pointerdown', this._onDown);
+        this.target.addEventListener('pointermove', this._onMove);
+        this.target.addEventListener('pointerup', this._onUp);
+        this.target.addEventListener('pointercancel', this._onUp);
+    }
+
+    detach() {
+        this.target.removeEventListener('pointerdown', this._onDown);
+        this.target.removeEventListener('pointermove', this._onMove);
+        this.target.removeEventListener('pointerup', this._onUp);
+        this.target.removeEventListener('pointercancel', this._onUp);
+    }
+
+    _onDown(e) {
+        if (this.pointerId !== null || e.button > 0) return;
+        if (e.target && e.target.closest && e.target.closest(POINTER_NATIVE_TARGETS)) return;
+        e.preventDefault();
+        this.pointerId = e.pointerId;
+
+        const hand = this.hand;
+        hand.isPinching = true;
+        hand.pinchStartTime = this.app.now();
+        if (!hand.isDragging) hand.grip = 'pinch';
+        this.app.handlePinchStart(this.app.pageToHandPoint(e.clientX, e.clientY), hand);
+    }
+
+    _onMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.app.updateDragPosition(e.clientX, e.clientY, this.hand);
+    }
+
+    _onUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+
+        const hand = this.hand;
+        hand.isPinching = false;
+        hand.lastRelease = this.app.now();
+        this.app.handlePinchRelease(this.app.pageToHandPoint(e.clientX, e.clientY), hand);
+    }
+}
@@ -0,0 +1,150 @@
+// ---------- Reactions between molecules (data/reactions.json) ----------
+// Dropping one finished molecule onto another runs the reaction between them, if the
+// file lists one. Each reaction:
+//   id, name                 strings, e.g. "Combustion"
+//   reactants, products      [{ molecule, count }]: catalog ids and stoichiometric
+//                            coefficients (count defaults to 1)
+//   conditions               optional, shown over the arrow, e.g. "Ni catalyst"
+//   note                     optional sentence on what happens to the bonds
+// Reactions must balance atom for atom. Ones that fail validation are skipped and
+// reported in `errors`, like the catalog.
+const REACTION_URL = 'data/reactions.json';
+
+class ReactionBook {
+    constructor(reactions = [], errors = []) {
+        this.reactions = reactions;
+        this.errors = errors;
+    }
+
+    static async load(url = REACTION_URL, catalog = new MoleculeCatalog()) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load reactions from ${url} (HTTP ${response.status})`);
+        return ReactionBook.fromData(await response.json(), catalog);
+    }
+
+    static fromData(data, catalog = new MoleculeCatalog()) {
+        if (!data || !Array.isArray(data.reactions)) {
+            return new ReactionBook([], ['Reaction file must be an object with a "reactions" array']);
+        }
+
+        const reactions = [];
+        const errors = [];
+        data.reactions.forEach((raw, i) => {
+            const label = `reactions[${i}]` + (raw && raw.id ? ` (${raw.id})` : '');
+            const { reaction, problems } = ReactionBook.validateReaction(raw, catalog);
+            if (reaction && reactions.find(r => r.id === reaction.id)) problems.push(`duplicate id "${reaction.id}"`);
+            if (problems.length) {
+                problems.forEach(p => errors.push(`${label}: ${p}`));
+            } else {
+                reactions.push(reaction);
+            }
+        });
+        return new ReactionBook(reactions, errors);
+    }
+
+    // Returns { reaction, problems }; sides are [{ entry, count }] with catalog entries
+    static validateReaction(raw, catalog) {
+        const problems = [];
+        if (!raw || typeof raw !== 'object') return { reaction: null, problems: ['reaction must be an object'] };
+        ['id', 'name'].forEach(field => {
+            if (typeof raw[field] !== 'string' || !raw[field].trim()) problems.push(`"${field}" must be a non-empty string`);
+        });
+        ['conditions', 'note'].forEach(field => {
+            if (raw[field] !== undefined && typeof raw[field] !== 'string') problems.push(`"${field}" must be a string`);
+        });
+
+        const side = (name) => {
+            const list = raw[name];
+            if (!Array.isArray(list) || list.length === 0) {
+                problems.push(`"${name}" must be a non-empty array`);
+                return [];
+            }
+            return list.map((term, k) => {
+                const entry = term && catalog.get(term.molecule);
+                const count = term && term.count !== undefined ? term.count : 1;
+                if (!entry) problems.push(`${name}[${k}] names unknown catalog molecule "${term && term.molecule}"`);
+                if (!Number.isInteger(count) || count < 1) problems.push(`${name}[${k}] count must be a whole number of at least 1`);
+                return { entry, count };
+            });
+        };
+        const reactants = side('reactants');
+        const products = side('products');
+        if (problems.length) return { reaction: null, problems };
+
+        const left = ReactionBook.elementCounts(reactants), right = ReactionBook.elementCounts(products);
+        const elements = new Set([...Object.keys(left), ...Object.keys(right)]);
+        const unbalanced = [...elements].filter(e => left[e] !== right[e]);
+        if (unbalanced.length) problems.push(`does not balance (${unbalanced.map(e => `${e}: ${left[e] || 0} → ${right[e] || 0}`).join(', ')})`);
+
+        const reaction = { id: raw.id, name: raw.name, reactants, products, conditions: raw.conditions || null, note: raw.note || null };
+        return { reaction, problems };
+    }
+
+    // atoms of each element on one side of an equation
+    static elementCounts(terms) {
+        const counts = {};
+        terms.forEach(({ entry, count }) => {
+            Object.entries(entry.graph.countElements()).forEach(([element, n]) => {
+                counts[element] = (counts[element] || 0) + n * count;
+            });
+        });
+        return counts;
+    }
+
+    // the reaction between molecules with these two structure keys, or null
+    find(keyA, keyB) {
+        return this.reactions.find(r => {
+            const need = (key) => r.reactants.filter(t => t.entry.key === key).reduce((n, t) => n + t.count, 0);
+            return keyA === keyB ? need(keyA) >= 2 : need(keyA) >= 1 && need(keyB) >= 1;
+        }) || null;
+    }
+
+    // "CH₄ + 2 O₂ → CO₂ + 2 H₂O"
+    static equation(reaction) {
+        const side = (terms) => terms.map(t => (t.count > 1 ? `${t.count} ` : '') + t.entry.formula).join(' + ');
+        return `${side(reaction.reactants)} → ${side(reaction.products)}`;
+    }
+
+    // Pick the molecules a reaction uses up. `dropped` are the two molecules that met
+    // and always take part; `others` are the rest of the workspace, nearest first, and
+    // make up any shortfall. Items are { key, ... }. Returns { used, missing } where
+    // missing is [{ entry, count }] still needed (empty when the reaction can run).
+    static gather(reaction, dropped, others) {
+        const pool = [...dropped, ...others];
+        const used = [];
+        const missing = [];
+        reaction.reactants.forEach(({ entry, count }) => {
+            let found = 0;
+            for (const item of pool) {
+                if (found === count) break;
+                if (item.key === entry.key && !used.includes(item)) {
+                    used.push(item);
+                    found++;
+                }
+            }
+            if (found < count) missing.push({ entry, count: count - found });
+        });
+        return { used, missing };
+    }
+
+    // Which reactant atom becomes which product atom, for animating the rearrangement.
+    // from / to: [{ element, x, y }] with the same atoms overall. Returns an array with
+    // the index into `from` for every entry of `to`; atoms travel as short a way as
+    // they can, nearest pairs first.
+    static mapAtoms(from, to) {
+        const pairs = [];
+        to.forEach((p, j) => from.forEach((q, i) => {
+            if (p.element === q.element) pairs.push({ i, j, d: Math.hypot(p.x - q.x, p.y - q.y) });
+        }));
+        pairs.sort((a, b) => a.d - b.d);
+
+        const map = new Array(to.length).fill(-1);
+        const taken = new Set();
+        pairs.forEach(({ i, j }) => {
+            if (map[j] !== -1 || taken.has(i)) return;
+            map[j] = i;
+            taken.add(i);
+        });
+        return map;
+    }
+}
@@ -0,0 +1,210 @@
+// ---------- SMILES import / export ----------
+// Reads and writes SMILES strings for MoleculeGraphs. Supported: organic-subset and
+// bracket atoms, branches, ring closures (digits and %nn), bond symbols - = # and
+// aromatic rings (lowercase atoms, kekulized on import). Stereo marks (/ \ @) are
+// accepted and ignored; charges and several molecules ('.') are rejected. Only
+// elements the BondingEngine has a valence for can be used.
+const SMILES_ORGANIC_SUBSET = ['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'];
+
+class Smiles {
+    // Returns a MoleculeGraph with every hydrogen explicit (and no layout);
+    // throws an Error describing the first problem found.
+    static parse(text) {
+        const s = String(text || '').trim();
+        if (!s) throw new Error('SMILES string is empty');
+
+        const graph = new MoleculeGraph();
+        const aromaticAtoms = new Set();
+        const aromaticBonds = new Set();
+        const bracketH = new Map();   // atom id -> H count written in brackets
+        const branches = [];
+        const openRings = new Map();  // ring number -> { atom, bond symbol }
+        let prev = null;
+        let bondSymbol = null;
+        let i = 0;
+        const fail = (problem) => { throw new Error(`SMILES: ${problem} at position ${i + 1}`); };
+
+        const connect = (a, b, symbol) => {
+            if (a === b || graph.getBond(a, b)) fail('atom bonded to itself or twice');
+            const aromatic = symbol === ':' || (symbol === null && aromaticAtoms.has(a.id) && aromaticAtoms.has(b.id));
+            const order = { '=': 2, '#': 3 }[symbol] || 1;
+            const bond = graph.addBond(a, b, order);
+            if (aromatic) aromaticBonds.add(bond);
+        };
+
+        const addAtom = (symbol, aromatic) => {
+            const element = symbol[0].toUpperCase() + symbol.slice(1);
+            if (BondingEngine.valence(element) === 0) fail(`element ${element} is not available`);
+            const atom = graph.addAtom(element);
+            if (aromatic) aromaticAtoms.add(atom.id);
+            if (prev) connect(prev, atom, bondSymbol);
+            prev = atom;
+            bondSymbol = null;
+            return atom;
+        };
+
+        while (i < s.length) {
+            const ch = s[i];
+            const rest = s.slice(i);
+
+            if (ch === '(') {
+                if (!prev) fail('branch before any atom');
+                branches.push(prev);
+                i++;
+            } else if (ch === ')') {
+                if (!branches.length) fail('unmatched ")"');
+                prev = branches.pop();
+                i++;
+            } else if ('-=#:/\\'.includes(ch)) {
+                if (bondSymbol !== null) fail('two bond symbols in a row');
+                bondSymbol = (ch === '/' || ch === '\\') ? '-' : ch;
+                i++;
+            } else if (ch === '.') {
+                fail('several molecules separated by "." are not supported');
+            } else if (/[0-9%]/.test(ch)) {
+                const m = rest.match(/^(?:%(\d\d)|(\d))/);
+                if (!m) fail('"%" must be followed by two digits');
+                if (!prev) fail('ring closure before any atom');
+                const number = m[1] || m[2];
+                const open = openRings.get(number);
+                if (open) {
+                    if (open.symbol !== null && bondSymbol !== null && open.symbol !== bondSymbol) fail(`ring ${number} closes with a different bond`);
+                    connect(open.atom, prev, bondSymbol !== null ? bondSymbol : open.symbol);
+                    openRings.delete(number);
+                } else {
+                    openRings.set(number, { atom: prev, symbol: bondSymbol });
+                }
+                bondSymbol = null;
+                i += m[0].length;
+            } else if (ch === '[') {
+                const m = rest.match(/^\[(\d*)([A-Z][a-z]?|[bcnops]|se|as)(@*)(?:H(\d*))?([+-]+\d*)?(?::\d+)?\]/);
+                if (!m) fail('malformed bracket atom');
+                if (m[5]) fail('charged atoms are not supported');
+                const atom = addAtom(m[2], m[2] === m[2].toLowerCase());
+                bracketH.set(atom.id, m[4] === undefined ? 0 : (m[4] === '' ? 1 : Number(m[4])));
+                i += m[0].length;
+            } else {
+                const symbol = ['Cl', 'Br'].find(t => rest.startsWith(t)) ||
+                    (/^[BCNOPSFI]/.test(rest) ? ch : null) ||
+                    (/^[bcnops]/.test(rest) ? ch : null);
+                if (!symbol) fail(`unexpected "${ch}"`);
+                addAtom(symbol, symbol === symbol.toLowerCase());
+                i += symbol.length;
+            }
+        }
+
+        if (bondSymbol !== null) fail('bond symbol with no atom after it');
+        if (branches.length) fail('unclosed "("');
+        if (openRings.size) fail(`ring ${[...openRings.keys()][0]} is never closed`);
+
+        Smiles._kekulize(graph, aromaticAtoms, aromaticBonds, bracketH);
+
+        // hydrogens: as written for bracket atoms, otherwise whatever the valence leaves
+        for (const atom of graph.atoms.slice()) {
+            const open = BondingEngine.openValence(graph, atom);
+            const count = bracketH.has(atom.id) ? bracketH.get(atom.id) : open;
+            if (count > open) {
+                throw new Error(`SMILES: ${atom.element} atom ${atom.id} has more bonds than its valence allows`);
+            }
+            for (let k = 0; k < count; k++) graph.addBond(atom, graph.addAtom('H'), 1);
+        }
+        return graph;
+    }
+
+    // Write `graph` as SMILES. Hydrogens on heavy atoms become implicit; atoms whose
+    // hydrogen count differs from what their valence implies are written in brackets.
+    static write(graph) {
+        const isFoldedH = (atom) => atom.element === 'H' && graph.neighbors(atom).length === 1 && graph.neighbors(atom)[0].atom.element !== 'H';
+        const heavy = graph.atoms.filter(a => !isFoldedH(a));
+        if (!heavy.length) return '';
+
+        const heavyNeighbors = (atom) => graph.neighbors(atom).filter(n => !isFoldedH(n.atom));
+        const bondText = (order) => ({ 2: '=', 3: '#' })[order] || '';
+
+        const token = (atom) => {
+            const h = graph.neighbors(atom).filter(n => isFoldedH(n.atom)).length;
+            if (SMILES_ORGANIC_SUBSET.includes(atom.element) && BondingEngine.openValence(graph, atom) === 0) return atom.element;
+            return `[${atom.element}${h ? 'H' + (h > 1 ? h : '') : ''}]`;
+        };
+
+        const parts = [];
+        const visited = new Set();
+        // start each molecule at an end of its chain so the main chain reads straight through
+        const starts = heavy.slice().sort((a, b) => heavyNeighbors(a).length - heavyNeighbors(b).length);
+        for (const start of starts) {
+            if (visited.has(start.id)) continue;
+
+            // pass 1: depth-first spanning tree; bonds left over become ring closures
+            const order = [];
+            const children = new Map();
+            const treeBonds = new Set();
+            const walk = (atom) => {
+                visited.add(atom.id);
+                order.push(atom);
+                children.set(atom.id, []);
+                for (const n of heavyNeighbors(atom)) {
+                    if (visited.has(n.atom.id)) continue;
+                    treeBonds.add(n.bond);
+                    children.get(atom.id).push(n);
+                    walk(n.atom);
+                }
+            };
+            walk(start);
+            const rank = new Map(order.map((a, k) => [a.id, k]));
+
+            // pass 2: write atoms in the same order, numbering ring closures as they open
+            const ringNumber = new Map();
+            const free = [];
+            let next = 1;
+            const emit = (atom) => {
+                let out = token(atom);
+                for (const n of heavyNeighbors(atom)) {
+                    if (treeBonds.has(n.bond)) continue;
+                    let number = ringNumber.get(n.bond);
+                    if (number === undefined) {
+                        number = free.length ? free.sort((p, q) => p - q).shift() : next++;
+                        ringNumber.set(n.bond, number);
+                        out += bondText(n.bond.order);
+                    } else if (rank.get(n.atom.id) < rank.get(atom.id)) {
+                        free.push(number);
+                    }
+                    out += number > 9 ? `%${number}` : String(number);
+                }
+                const kids = children.get(atom.id);
+                kids.forEach((n, k) => {
+                    const branch = bondText(n.bond.order) + emit(n.atom);
+                    out += (k < kids.length - 1) ? `(${branch})` : branch;
+                });
+                return out;
+            };
+            parts.push(emit(start));
+        }
+        return parts.join('.');
+    }
+
+    // Turn aromatic bonds into alternating single/double bonds: every aromatic atom
+    // with a free valence gets exactly one double bond to an aromatic neighbour.
+    static _kekulize(graph, aromaticAtoms, aromaticBonds, bracketH) {
+        if (!aromaticAtoms.size) return;
+        const needs = [...aromaticAtoms].filter(id => {
+            const atom = graph.getAtom(id);
+            return BondingEngine.openValence(graph, atom) - (bracketH.get(id) || 0) >= 1;
+        });
+        const matched = new Set();
+        const doubled = [];
+        const match = (k) => {
+            while (k < needs.length && matched.has(needs[k])) k++;
+            if (k === needs.length) return true;
+            const id = needs[k];
+            for (const n of graph.neighbors(id)) {
+                if (!aromaticBonds.has(n.bond) || matched.has(n.atom.id) || !needs.includes(n.atom.id)) continue;
+                matched.add(id); matched.add(n.atom.id); doubled.push(n.bond);
+                if (match(k + 1)) return true;
+                matched.delete(id); matched.delete(n.atom.id); doubled.pop();
+            }
+            return false;
+        };
+        if (!match(0)) throw new Error('SMILES: aromatic ring cannot be drawn with alternating double bonds');
+        doubled.forEach(bond => { bond.order = 2; });
+    }
+}
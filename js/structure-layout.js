@@ -0,0 +1,485 @@
+// ---------- Automatic 2D structure layout ----------
+// Gives every atom of a MoleculeGraph x/y coordinates (px, centred on 0,0) from its
+// connectivity alone: rings become regular polygons, chains zigzag at 120°, atoms
+// with a triple bond (or two double bonds) stay linear, and hydrogens fan out into
+// the free space around their atom. Existing coordinates are overwritten.
+const LAYOUT_BOND_LENGTH = 80;
+const LAYOUT_H_BOND_LENGTH = 56;
+
+class StructureLayout {
+    // opts.reserveOpen keeps room around each atom for the bonds it can still form,
+    // so attaching atoms to an intermediate does not reshuffle the ones already there
+    static layout(graph, opts = {}) {
+        const pos = new Map();
+        const reserved = (atom) => opts.reserveOpen ? Math.max(0, BondingEngine.openValence(graph, atom)) : 0;
+
+        // lay out each connected part on its own, then line the parts up left to right
+        let nextLeft = 0;
+        for (const ids of StructureLayout._componentIds(graph)) {
+            const part = StructureLayout._layoutComponent(graph, ids, reserved);
+            const xs = [...part.values()].map(p => p.x);
+            const shift = nextLeft - Math.min(...xs);
+            part.forEach((p, id) => pos.set(id, { x: p.x + shift, y: p.y }));
+            nextLeft = Math.max(...xs) + shift + LAYOUT_BOND_LENGTH;
+        }
+
+        StructureLayout._relax(graph, pos);
+
+        // centre the bounding box on the origin
+        const all = [...pos.values()];
+        const cx = (Math.min(...all.map(p => p.x)) + Math.max(...all.map(p => p.x))) / 2;
+        const cy = (Math.min(...all.map(p => p.y)) + Math.max(...all.map(p => p.y))) / 2;
+        graph.atoms.forEach(atom => {
+            const p = pos.get(atom.id);
+            atom.x = Math.round((p.x - cx) * 10) / 10;
+            atom.y = Math.round((p.y - cy) * 10) / 10;
+        });
+        return graph;
+    }
+
+    // Give coordinates to atoms that have none (e.g. hydrogens a file left implicit)
+    // by fanning them out around an already placed neighbour; falls back to a full
+    // layout if some atom cannot be reached that way.
+    static placeMissing(graph) {
+        let progress = true;
+        while (progress && !graph.hasLayout()) {
+            progress = false;
+            for (const atom of graph.atoms) {
+                if (atom.x === null || atom.y === null) continue;
+                const around = graph.neighbors(atom);
+                const missing = around.filter(n => n.atom.x === null || n.atom.y === null).map(n => n.atom);
+                if (!missing.length) continue;
+                const occupied = around.filter(n => !missing.includes(n.atom)).map(n => Math.atan2(n.atom.y - atom.y, n.atom.x - atom.x));
+                StructureLayout._fillGaps(occupied, missing.length).forEach((dir, i) => {
+                    const other = missing[i];
+                    const len = (atom.element === 'H' || other.element === 'H') ? LAYOUT_H_BOND_LENGTH : LAYOUT_BOND_LENGTH;
+                    other.x = Math.round((atom.x + Math.cos(dir) * len) * 10) / 10;
+                    other.y = Math.round((atom.y + Math.sin(dir) * len) * 10) / 10;
+                });
+                progress = true;
+            }
+        }
+        if (!graph.hasLayout()) StructureLayout.layout(graph);
+        return graph;
+    }
+
+    // Turn a laid-out graph about the origin by `degrees`, clockwise on screen
+    static rotate(graph, degrees) {
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        graph.atoms.forEach(atom => {
+            if (atom.x === null || atom.y === null) return;
+            const x = atom.x * cos - atom.y * sin, y = atom.x * sin + atom.y * cos;
+            atom.x = Math.round(x * 10) / 10;
+            atom.y = Math.round(y * 10) / 10;
+        });
+        return graph;
+    }
+
+    // Mirror a laid-out graph: axis 'x' swaps left and right, 'y' turns it upside down
+    static flip(graph, axis = 'x') {
+        graph.atoms.forEach(atom => {
+            if (atom.x === null || atom.y === null) return;
+            if (axis === 'x') atom.x = -atom.x || 0;
+            else atom.y = -atom.y || 0;
+        });
+        return graph;
+    }
+
+    // farthest any atom sits from the centre, for sizing the card that shows it
+    static radius(graph) {
+        return graph.atoms.reduce((r, a) => Math.max(r, Math.hypot(a.x || 0, a.y || 0)), 0);
+    }
+
+    // Smallest set of smallest rings, as cyclic lists of atom ids: for every bond, the
+    // shortest way round that avoids it, keeping only rings that add a new bond.
+    static findRings(graph, ids = graph.atoms.map(a => a.id)) {
+        const inSet = new Set(ids);
+        const bonds = graph.bonds.filter(b => inSet.has(b.a) && inSet.has(b.b));
+        const wanted = bonds.length - ids.length + StructureLayout._componentIds(graph).filter(c => inSet.has(c[0])).length;
+        if (wanted <= 0) return [];
+
+        const candidates = [];
+        for (const bond of bonds) {
+            const path = StructureLayout._shortestPath(graph, inSet, bond.a, bond.b, bond);
+            if (path) candidates.push(path);
+        }
+        candidates.sort((p, q) => p.length - q.length);
+
+        const rings = [];
+        const covered = new Set();
+        const edgeKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+        for (const ring of candidates) {
+            const edges = ring.map((id, i) => edgeKey(id, ring[(i + 1) % ring.length]));
+            if (edges.every(e => covered.has(e))) continue;
+            edges.forEach(e => covered.add(e));
+            rings.push(ring);
+            if (rings.length === wanted) break;
+        }
+        return rings;
+    }
+
+    static _layoutComponent(graph, ids, reserved) {
+        const atoms = ids.map(id => graph.getAtom(id));
+        // hydrogens on the end of a bond are drawn around their atom, not as part of the skeleton
+        const isLeaf = (atom) => atoms.length > 2 && atom.element === 'H' && graph.neighbors(atom).length === 1;
+        const skeleton = atoms.filter(a => !isLeaf(a));
+        const smallest = StructureLayout.findRings(graph, skeleton.map(a => a.id));
+        // a bridged pair of rings is drawn as its outline first, with the bridge across it
+        const outlines = [];
+        smallest.forEach((r, i) => smallest.slice(i + 1).forEach(q => {
+            const outline = StructureLayout._outline(r, q);
+            if (outline) outlines.push(outline);
+        }));
+        const rings = outlines.concat(smallest);
+
+        // start from one end of the longest path so chains run across the card
+        const [start, end] = StructureLayout._longestPath(graph, skeleton);
+        const root = outlines.length ? graph.getAtom(outlines[0][0]) : start;
+
+        const pos = new Map([[root.id, { x: 0, y: 0 }]]);
+        const turn = new Map([[root.id, 1]]);
+        const queue = [root];
+        while (queue.length) {
+            const atom = queue.shift();
+            const here = pos.get(atom.id);
+            const place = (other, dir) => {
+                const len = (atom.element === 'H' || other.element === 'H') ? LAYOUT_H_BOND_LENGTH : LAYOUT_BOND_LENGTH;
+                pos.set(other.id, { x: here.x + Math.cos(dir) * len, y: here.y + Math.sin(dir) * len });
+            };
+
+            // rings through this atom come down as whole polygons
+            for (const ring of rings) {
+                if (!ring.includes(atom.id) || ring.every(id => pos.has(id))) continue;
+                StructureLayout._placeRing(graph, ring, atom, pos).forEach(id => {
+                    turn.set(id, 1);
+                    queue.push(graph.getAtom(id));
+                });
+            }
+
+            const around = graph.neighbors(atom);
+            const occupied = around.filter(n => pos.has(n.atom.id)).map(n => Math.atan2(pos.get(n.atom.id).y - here.y, pos.get(n.atom.id).x - here.x));
+            const children = around.filter(n => !pos.has(n.atom.id) && !isLeaf(n.atom)).map(n => n.atom)
+                .sort((a, b) => StructureLayout._branchSize(graph, b, pos, atom) - StructureLayout._branchSize(graph, a, pos, atom));
+            const leaves = around.filter(n => !pos.has(n.atom.id) && isLeaf(n.atom)).map(n => n.atom);
+            const items = [...children, ...leaves];
+            const spokes = occupied.length + items.length + reserved(atom);
+            const sign = turn.get(atom.id);
+
+            let dirs = [];
+            if (occupied.length === 0) {
+                // first atom: spread everything evenly, bent rather than straight for two
+                const bent = spokes === 2 && !StructureLayout._isLinear(graph, atom);
+                dirs = bent ? [-Math.PI / 6, Math.PI * 7 / 6] : Array.from({ length: spokes }, (_, k) => k * 2 * Math.PI / spokes);
+            } else if (occupied.length === 1) {
+                // carry on from the bond we arrived by: zigzag, or straight through a linear atom
+                const ahead = occupied[0] + Math.PI;
+                if (spokes === 2) dirs = [ahead + (StructureLayout._isLinear(graph, atom) ? 0 : sign * Math.PI / 3)];
+                else if (spokes === 3) dirs = [ahead + sign * Math.PI / 3, ahead - sign * Math.PI / 3];
+                else dirs = children.length ? [ahead + sign * Math.PI / 3] : [];
+            }
+            if (dirs.length < items.length) {
+                dirs = dirs.concat(StructureLayout._fillGaps(occupied.concat(dirs), spokes - occupied.length - dirs.length));
+            }
+
+            items.forEach((other, i) => {
+                place(other, dirs[i]);
+                if (!isLeaf(other)) {
+                    turn.set(other.id, -sign);
+                    queue.push(other);
+                }
+            });
+        }
+
+        // turn the drawing so the longest path runs left to right
+        const a = pos.get(start.id), b = pos.get(end.id);
+        if (start !== end) {
+            const angle = -Math.atan2(b.y - a.y, b.x - a.x);
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            pos.forEach((p, id) => pos.set(id, { x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos }));
+        }
+        return pos;
+    }
+
+    // The ring around the outside of two rings that share more than one bond
+    // (norbornane's six-membered ring round its CH₂ bridge), or null.
+    static _outline(r, q) {
+        const shared = r.filter(id => q.includes(id));
+        if (shared.length < 3) return null;
+        // the part of a ring off the shared path, from one end of that path to the other
+        const rest = (ring) => {
+            const m = ring.length;
+            const from = ring.findIndex((id, i) => shared.includes(id) && !shared.includes(ring[(i + 1) % m]));
+            const path = [ring[from]];
+            for (let k = (from + 1) % m; path.length <= m; k = (k + 1) % m) {
+                path.push(ring[k]);
+                if (shared.includes(ring[k])) break;
+            }
+            return path;
+        };
+        const there = rest(r), back = rest(q);
+        if (back[0] !== there[there.length - 1]) back.reverse();
+        if (back[0] !== there[there.length - 1] || back[back.length - 1] !== there[0]) return null;
+        return there.concat(back.slice(1, -1));
+    }
+
+    // Place the unplaced atoms of `ring` as a regular polygon through `atom`. Returns
+    // the ids it placed. A ring sharing a bond with one already drawn is built on
+    // the far side of that bond; otherwise it opens away from the atom's other bonds.
+    static _placeRing(graph, ring, atom, pos) {
+        const m = ring.length;
+        const placedCount = ring.filter(id => pos.has(id)).length;
+        const adjacentPlaced = pos.has(ring[(ring.indexOf(atom.id) + 1) % m]) || pos.has(ring[(ring.indexOf(atom.id) + m - 1) % m]);
+        if (placedCount > 2 || (placedCount === 2 && !adjacentPlaced)) return StructureLayout._placeBridges(ring, pos);
+
+        const step = 2 * Math.PI / m;
+        const radius = LAYOUT_BOND_LENGTH / (2 * Math.sin(Math.PI / m));
+        const here = pos.get(atom.id);
+        const i = ring.indexOf(atom.id);
+        const order = ring.slice(i).concat(ring.slice(0, i));
+
+        let centre, startAngle, dirSign = 1;
+        const nextPlaced = pos.has(order[1]), prevPlaced = pos.has(order[m - 1]);
+        if (nextPlaced || prevPlaced) {
+            // fused: mirror away from whatever is already on the shared bond's side
+            if (!nextPlaced) { order.reverse(); order.unshift(order.pop()); }
+            const other = pos.get(order[1]);
+            const mid = { x: (here.x + other.x) / 2, y: (here.y + other.y) / 2 };
+            const len = Math.hypot(other.x - here.x, other.y - here.y) || 1;
+            let nx = -(other.y - here.y) / len, ny = (other.x - here.x) / len;
+            const nearby = [atom.id, order[1]].flatMap(id => graph.neighbors(id)).filter(n => pos.has(n.atom.id) && !order.slice(0, 2).includes(n.atom.id));
+            const side = nearby.reduce((s, n) => s + (pos.get(n.atom.id).x - mid.x) * nx + (pos.get(n.atom.id).y - mid.y) * ny, 0);
+            if (side > 0) { nx = -nx; ny = -ny; }
+            const apothem = radius * Math.cos(Math.PI / m);
+            centre = { x: mid.x + nx * apothem, y: mid.y + ny * apothem };
+            startAngle = Math.atan2(here.y - centre.y, here.x - centre.x);
+            const secondAngle = Math.atan2(other.y - centre.y, other.x - centre.x);
+            dirSign = Math.sin(secondAngle - startAngle) >= 0 ? 1 : -1;
+        } else {
+            const occupied = graph.neighbors(atom).filter(n => pos.has(n.atom.id)).map(n => Math.atan2(pos.get(n.atom.id).y - here.y, pos.get(n.atom.id).x - here.x));
+            const away = occupied.length ? StructureLayout._fillGaps(occupied, 1)[0] : 0;
+            centre = { x: here.x + Math.cos(away) * radius, y: here.y + Math.sin(away) * radius };
+            startAngle = away + Math.PI;
+        }
+
+        const placed = [];
+        order.forEach((id, k) => {
+            if (pos.has(id)) return;
+            const angle = startAngle + dirSign * k * step;
+            pos.set(id, { x: centre.x + Math.cos(angle) * radius, y: centre.y + Math.sin(angle) * radius });
+            placed.push(id);
+        });
+        return placed;
+    }
+
+    // A bridged ring (norbornane) shares more than one bond with rings already drawn.
+    // Each run of its unplaced atoms goes on an arc between the placed atoms at either
+    // end, bowed away from the rest of the ring. Returns the ids it placed.
+    static _placeBridges(ring, pos) {
+        const m = ring.length;
+        const before = new Set(ring.filter(id => pos.has(id)));
+        const fixed = [...before].map(id => pos.get(id));
+        const centroid = { x: fixed.reduce((s, p) => s + p.x, 0) / fixed.length, y: fixed.reduce((s, p) => s + p.y, 0) / fixed.length };
+
+        const placed = [];
+        ring.forEach((id, i) => {
+            if (!before.has(id) || before.has(ring[(i + 1) % m])) return;
+            const run = [];
+            let j = (i + 1) % m;
+            while (!before.has(ring[j])) { run.push(ring[j]); j = (j + 1) % m; }
+
+            const a = pos.get(id), b = pos.get(ring[j]);
+            const n = run.length + 1;
+            const d = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            let ux = -(b.y - a.y) / d, uy = (b.x - a.x) / d;
+            if ((centroid.x - mid.x) * ux + (centroid.y - mid.y) * uy > 0) { ux = -ux; uy = -uy; }
+
+            // arc angle at which the n chords along it are one bond long (straight when too far apart)
+            const chord = (t) => d * Math.sin(t / (2 * n)) / Math.sin(t / 2);
+            let lo = 1e-6, hi = 2 * Math.PI - 1e-6;
+            if (chord(lo) >= LAYOUT_BOND_LENGTH) hi = lo;
+            for (let k = 0; k < 50 && hi > lo; k++) {
+                const t = (lo + hi) / 2;
+                if (chord(t) < LAYOUT_BOND_LENGTH) lo = t; else hi = t;
+            }
+            const theta = (lo + hi) / 2;
+            const radius = d / (2 * Math.sin(theta / 2));
+            const centre = { x: mid.x - ux * radius * Math.cos(theta / 2), y: mid.y - uy * radius * Math.cos(theta / 2) };
+            const start = Math.atan2(a.y - centre.y, a.x - centre.x);
+            // go round the side the arc bows out to
+            const bow = Math.cos(start + theta / 2 - Math.atan2(uy, ux)) >= 0 ? 1 : -1;
+            run.forEach((rid, k) => {
+                const angle = start + bow * (k + 1) * theta / n;
+                pos.set(rid, { x: centre.x + Math.cos(angle) * radius, y: centre.y + Math.sin(angle) * radius });
+                placed.push(rid);
+            });
+        });
+        return placed;
+    }
+
+    // `count` directions spread through the free angles between `occupied` ones,
+    // larger gaps taking more; listed gap by gap, going round
+    static _fillGaps(occupied, count) {
+        if (count <= 0) return [];
+        const norm = a => ((a % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const dirs = occupied.map(norm).sort((a, b) => a - b);
+        if (!dirs.length) return Array.from({ length: count }, (_, k) => k * 2 * Math.PI / count);
+
+        const gaps = dirs.map((d, i) => ({ from: d, size: (i + 1 < dirs.length ? dirs[i + 1] : dirs[0] + 2 * Math.PI) - d, count: 0 }));
+        for (let k = 0; k < count; k++) {
+            // roomiest share wins; on a tie the wider gap, so substituents bunch on the open side
+            const share = g => g.size / (g.count + 1);
+            const best = gaps.reduce((g, h) => (share(h) > share(g) + 0.01 || (Math.abs(share(h) - share(g)) <= 0.01 && h.size > g.size) ? h : g));
+            best.count++;
+        }
+        return gaps.flatMap(g => Array.from({ length: g.count }, (_, j) => g.from + g.size * (j + 1) / (g.count + 1)));
+    }
+
+    // a triple bond, or two double bonds, keeps an atom's bonds at 180°
+    static _isLinear(graph, atom) {
+        const orders = graph.neighbors(atom).map(n => n.bond.order);
+        return orders.includes(3) || orders.filter(o => o === 2).length >= 2;
+    }
+
+    // unplaced atoms reachable from `atom` without going back through `from`
+    static _branchSize(graph, atom, pos, from) {
+        const seen = new Set([from.id, atom.id]);
+        const stack = [atom.id];
+        while (stack.length) {
+            for (const n of graph.neighbors(stack.pop())) {
+                if (!seen.has(n.atom.id) && !pos.has(n.atom.id)) { seen.add(n.atom.id); stack.push(n.atom.id); }
+            }
+        }
+        return seen.size - 1;
+    }
+
+    // two atoms of `atoms` that are farthest apart by bonds
+    static _longestPath(graph, atoms) {
+        const allowed = new Set(atoms.map(a => a.id));
+        const farthest = (from) => {
+            const dist = new Map([[from.id, 0]]);
+            const queue = [from.id];
+            let last = from.id;
+            while (queue.length) {
+                const id = queue.shift();
+                last = id;
+                for (const n of graph.neighbors(id)) {
+                    if (allowed.has(n.atom.id) && !dist.has(n.atom.id)) { dist.set(n.atom.id, dist.get(id) + 1); queue.push(n.atom.id); }
+                }
+            }
+            return graph.getAtom(last);
+        };
+        const start = farthest(atoms[0]);
+        return [start, farthest(start)];
+    }
+
+    static _shortestPath(graph, inSet, from, to, skipBond) {
+        const prev = new Map([[from, null]]);
+        const queue = [from];
+        while (queue.length) {
+            const id = queue.shift();
+            if (id === to) break;
+            for (const n of graph.neighbors(id)) {
+                if (n.bond === skipBond || !inSet.has(n.atom.id) || prev.has(n.atom.id)) continue;
+                prev.set(n.atom.id, id);
+                queue.push(n.atom.id);
+            }
+        }
+        if (!prev.has(to)) return null;
+        const path = [];
+        for (let id = to; id !== null; id = prev.get(id)) path.unshift(id);
+        return path;
+    }
+
+    static _componentIds(graph) {
+        const seen = new Set();
+        const parts = [];
+        for (const atom of graph.atoms) {
+            if (seen.has(atom.id)) continue;
+            const ids = [atom.id];
+            seen.add(atom.id);
+            for (let k = 0; k < ids.length; k++) {
+                for (const n of graph.neighbors(ids[k])) {
+                    if (!seen.has(n.atom.id)) { seen.add(n.atom.id); ids.push(n.atom.id); }
+                }
+            }
+            parts.push(ids);
+        }
+        return parts;
+    }
+
+    // Crowded branches and bridges can leave unbonded atoms on top of each other. Push
+    // them apart and ease every bond back towards its length, in turn, until both hold
+    // (a bridge may keep its bonds a little stretched). Terminal hydrogens move with
+    // their atom and only swing round it when pushed.
+    static _relax(graph, pos) {
+        const ids = [...pos.keys()];
+        const atoms = ids.map(id => graph.getAtom(id));
+        // drawn atoms clear of each other, with a little room to spare
+        const radius = (atom) => (PeriodicTable.get(atom.element) || { radius: 27.5 }).radius;
+        const minGap = (a, b) => radius(a) + radius(b) + 8;
+        const bondLength = (a, b) => (a.element === 'H' || b.element === 'H') ? LAYOUT_H_BOND_LENGTH : LAYOUT_BOND_LENGTH;
+
+        // terminal hydrogen id -> the atom it hangs off
+        const parentOf = new Map();
+        atoms.forEach(atom => {
+            const around = graph.neighbors(atom);
+            if (atoms.length > 2 && atom.element === 'H' && around.length === 1) parentOf.set(atom.id, around[0].atom.id);
+        });
+        const leaves = new Map();
+        parentOf.forEach((parent, id) => leaves.set(parent, [...(leaves.get(parent) || []), id]));
+
+        const shift = (id, dx, dy) => {
+            [id, ...(parentOf.has(id) ? [] : leaves.get(id) || [])].forEach(moved => {
+                const p = pos.get(moved);
+                pos.set(moved, { x: p.x + dx, y: p.y + dy });
+            });
+        };
+        const pairs = [];
+        for (let i = 0; i < atoms.length; i++) {
+            for (let j = i + 1; j < atoms.length; j++) {
+                if (!graph.getBond(atoms[i], atoms[j])) pairs.push([atoms[i], atoms[j]]);
+            }
+        }
+
+        for (let pass = 0; pass < 200; pass++) {
+            let worst = 0;
+            pairs.forEach(([a, b]) => {
+                const p = pos.get(a.id), q = pos.get(b.id);
+                let dx = q.x - p.x, dy = q.y - p.y, d = Math.hypot(dx, dy);
+                const want = minGap(a, b);
+                if (d >= want) return;
+                if (d < 1e-6) { dx = 1; dy = 0; d = 1; }
+                worst = Math.max(worst, want - d);
+                // a hydrogen can only give way sideways, so the other atom does more of the moving
+                const share = (atom, other) => (want - d) * (parentOf.has(atom.id) === parentOf.has(other.id) ? 0.5 : parentOf.has(atom.id) ? 0.25 : 0.75);
+                const pushA = share(a, b), pushB = share(b, a);
+                shift(a.id, -dx / d * pushA, -dy / d * pushA);
+                shift(b.id, dx / d * pushB, dy / d * pushB);
+            });
+
+            graph.bonds.forEach(bond => {
+                const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+                if (parentOf.has(a.id) || parentOf.has(b.id)) return;
+                const p = pos.get(a.id), q = pos.get(b.id);
+                const d = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+                const off = d - bondLength(a, b);
+                worst = Math.max(worst, Math.abs(off));
+                const pull = off / 4 / d;
+                shift(a.id, (q.x - p.x) * pull, (q.y - p.y) * pull);
+                shift(b.id, -(q.x - p.x) * pull, -(q.y - p.y) * pull);
+            });
+            // hydrogens back onto their bond, in whatever direction they were pushed
+            parentOf.forEach((parent, id) => {
+                const h = pos.get(id), c = pos.get(parent);
+                const d = Math.hypot(h.x - c.x, h.y - c.y) || 1;
+                const len = bondLength(graph.getAtom(id), graph.getAtom(parent));
+                worst = Math.max(worst, Math.abs(d - len));
+                pos.set(id, { x: c.x + (h.x - c.x) / d * len, y: c.y + (h.y - c.y) / d * len });
+            });
+
+            if (worst < 0.5) break;
+        }
+    }
+}
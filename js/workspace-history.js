@@ -0,0 +1,59 @@
+// ---------- Undo / redo ----------
+// Snapshot history of the workspace. Before each change the app records the
+// workspace document (WorkspaceStore format) together with a short label for the
+// change; undo hands back the state before it, redo the state after it.
+const HISTORY_LIMIT = 50;
+
+class WorkspaceHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = []; // [{ label, doc }] state before each change, oldest first
+        this.redoStack = []; // [{ label, doc }] state after each undone change
+        this.lastRecord = null; // what the latest record() displaced, for discard()
+    }
+
+    // remember `doc` as the state before a change called `label`
+    record(label, doc) {
+        const step = { label, doc };
+        this.undoStack.push(step);
+        const dropped = this.undoStack.length > this.limit ? this.undoStack.shift() : null;
+        this.lastRecord = { step, dropped, redoStack: this.redoStack };
+        this.redoStack = [];
+        return step;
+    }
+
+    // record(...) returns the step; discard it again for a change that did not happen after
+    // all, which also brings back the redo steps (and the oldest step) recording it displaced
+    discard(step) {
+        if (!step || this.undoStack[this.undoStack.length - 1] !== step) return;
+        this.undoStack.pop();
+        if (this.lastRecord && this.lastRecord.step === step) {
+            if (this.lastRecord.dropped) this.undoStack.unshift(this.lastRecord.dropped);
+            this.redoStack = this.lastRecord.redoStack;
+        }
+        this.lastRecord = null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // current: the workspace as it is now. Returns { label, doc } to restore, or null.
+    undo(current) {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.redoStack.push({ label: step.label, doc: current });
+        return step;
+    }
+
+    redo(current) {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.undoStack.push({ label: step.label, doc: current });
+        return step;
+    }
+}
@@ -0,0 +1,97 @@
+// ---------- Workspace save files ----------
+// A workspace document is plain JSON:
+//   { format, version, savedAt,
+//     atoms:      [{ element, left, top, layer }]                loose atoms, px in #molecule-container
+//     molecules:  [{ kind, left, top, size, scale, layer, title, name, formula, base, bond, graph }]
+//     discovered: [{ name, formula, key }] }
+// where graph is MoleculeGraph.toJSON(). WorkspaceStore keeps the autosave copy in
+// localStorage and checks documents before they are restored.
+const WORKSPACE_FORMAT = 'ar-chemistry-workspace';
+const WORKSPACE_VERSION = 1;
+const WORKSPACE_AUTOSAVE_KEY = 'ar-chemistry-workspace';
+
+class WorkspaceStore {
+    constructor(storage = BrowserStorage.local(), key = WORKSPACE_AUTOSAVE_KEY) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    save(doc) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(doc));
+            return true;
+        } catch (error) {
+            // quota exceeded or storage disabled: keep working without autosave
+            console.warn('Workspace autosave failed:', error);
+            return false;
+        }
+    }
+
+    // the autosaved document, or null when there is none (or it is unreadable)
+    load() {
+        if (!this.storage) return null;
+        const text = this.storage.getItem(this.key);
+        if (!text) return null;
+        try {
+            return WorkspaceStore.parse(text);
+        } catch (error) {
+            console.warn('Ignoring autosaved workspace:', error.message);
+            return null;
+        }
+    }
+
+    clear() {
+        if (this.storage) this.storage.removeItem(this.key);
+    }
+
+    static create(parts) {
+        return {
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_VERSION,
+            savedAt: new Date().toISOString(),
+            atoms: parts.atoms || [],
+            molecules: parts.molecules || [],
+            discovered: parts.discovered || []
+        };
+    }
+
+    // JSON text -> checked workspace document; throws on anything that is not one
+    static parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Save file is not valid JSON');
+        }
+        if (!doc || doc.format !== WORKSPACE_FORMAT) throw new Error('Not a workspace save file');
+        if (doc.version > WORKSPACE_VERSION) throw new Error(`Save file version ${doc.version} is newer than this app supports`);
+        ['atoms', 'molecules', 'discovered'].forEach(field => {
+            if (!Array.isArray(doc[field])) throw new Error(`Save file is missing its "${field}" list`);
+        });
+        return doc;
+    }
+
+    // A saved molecule's graph (MoleculeGraph.toJSON()) -> MoleculeGraph, checked atom by
+    // atom and bond by bond first; throws on anything a card could not be built from
+    static graphFrom(data) {
+        if (!data || !Array.isArray(data.atoms) || !data.atoms.length || !Array.isArray(data.bonds)) throw new Error('Saved molecule has no atoms');
+        const ids = new Set();
+        data.atoms.forEach((a, i) => {
+            const coordinate = (v) => v === null || v === undefined || Number.isFinite(v);
+            if (!a || !Number.isInteger(a.id) || ids.has(a.id) || !PeriodicTable.has(a.element) || !coordinate(a.x) || !coordinate(a.y)) {
+                throw new Error(`Saved molecule atom ${i + 1} is malformed`);
+            }
+            ids.add(a.id);
+        });
+        data.bonds.forEach((b, i) => {
+            if (!b || !ids.has(b.a) || !ids.has(b.b) || ![undefined, 1, 2, 3].includes(b.order)) throw new Error(`Saved molecule bond ${i + 1} is malformed`);
+        });
+        // self-bonds and repeated bonds are refused here
+        const graph = MoleculeGraph.fromJSON(data);
+        graph.atoms.forEach(atom => {
+            if (BondingEngine.openValence(graph, atom) < 0) throw new Error(`Saved molecule atom ${atom.id}: ${atom.element} has more bonds than its valence allows`);
+        });
+        return graph;
+    }
+}
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { DiscoveryJournal, catalog } = loadCore();
+
+// a localStorage stand-in holding `entries` as the stored journal
+function storage(entries) {
+    const items = new Map([['journal', JSON.stringify({ version: 1, entries })]]);
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+test('records builds per path and reads them back', () => {
+    const store = storage([]);
+    const journal = new DiscoveryJournal(store, 'journal');
+    const ethanol = catalog.get('ethanol');
+    assert.equal(journal.record('Ethanol', 'C₂H₆O', ethanol.key, 'cluster', ['hydroxyl']).isNew, true);
+    assert.equal(journal.record('Ethanol', 'C₂H₆O', ethanol.key, 'reaction', ['hydroxyl']).isNew, false);
+
+    const [entry] = new DiscoveryJournal(store, 'journal').all();
+    assert.deepEqual(plain({ builds: entry.builds, firstPath: entry.firstPath, paths: entry.paths, groups: entry.groups }),
+        { builds: 2, firstPath: 'cluster', paths: { cluster: 1, reaction: 1 }, groups: ['hydroxyl'] });
+});
+
+test('drops stored paths, groups and counts this version does not know', () => {
+    const journal = new DiscoveryJournal(storage([
+        {
+            key: 'a', name: 'A', formula: 'X', firstDiscovered: '2026-01-01T00:00:00.000Z', builds: '3',
+            firstPath: '<img src=x onerror=alert(1)>', paths: { cluster: 2, '<b>x</b>': 4, c2: 'many' }, groups: ['hydroxyl', 'renamed-group']
+        },
+        { key: 'b', firstDiscovered: '2026-01-02T00:00:00.000Z', paths: 'none', groups: 'ketone' },
+        null,
+        { key: 7, firstDiscovered: '2026-01-03T00:00:00.000Z' }
+    ]), 'journal');
+
+    assert.deepEqual(plain(journal.all().map(e => [e.key, e.name, e.builds, e.firstPath, e.paths, e.groups])), [
+        ['a', 'A', 0, null, { cluster: 2 }, ['hydroxyl']],
+        ['b', '', 0, null, {}, null]
+    ]);
+    assert.deepEqual(plain(journal.stats(catalog).byPath), { cluster: 2, c2: 0, c3: 0, import: 0, reaction: 0 });
+});
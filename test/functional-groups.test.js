@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { FunctionalGroups, Smiles, catalog } = loadCore();
+
+const types = (smiles) => plain(FunctionalGroups.types(Smiles.parse(smiles)));
+
+test('tells an aldehyde from a ketone by what is on the carbonyl carbon', () => {
+    assert.deepEqual(plain(FunctionalGroups.types(catalog.get('acetaldehyde').graph)), ['aldehyde']);
+    assert.deepEqual(plain(FunctionalGroups.types(catalog.get('acetone').graph)), ['ketone']);
+    assert.deepEqual(types('C=O'), ['aldehyde']);
+});
+
+test('a carboxylic acid is not also a hydroxyl and a carbonyl', () => {
+    assert.deepEqual(types('CC(=O)O'), ['carboxylic-acid']);
+    assert.deepEqual(types('OC(=O)CCO'), ['carboxylic-acid', 'hydroxyl']);
+});
+
+test('finds hydroxyls, ethers and carbon–carbon multiple bonds', () => {
+    assert.deepEqual(types('CCO'), ['hydroxyl']);
+    assert.deepEqual(types('COC'), ['ether']);
+    assert.deepEqual(types('C=C'), ['alkene']);
+    assert.deepEqual(types('C#C'), ['alkyne']);
+    assert.deepEqual(types('C=CCO'), ['hydroxyl', 'alkene']);
+});
+
+test('water, CO₂, alkanes and esters have none of the groups', () => {
+    ['O', 'O=C=O', 'CC', 'C1CC1', 'CC(=O)OC'].forEach(smiles => assert.deepEqual(types(smiles), [], smiles));
+});
+
+test('reports the atoms and bonds to highlight', () => {
+    const graph = Smiles.parse('CC=O');
+    const [aldehyde] = FunctionalGroups.detect(graph);
+    const elements = aldehyde.atoms.map(id => graph.getAtom(id).element).sort();
+    assert.deepEqual(plain(elements), ['C', 'H', 'O']);
+    assert.deepEqual(plain(aldehyde.bonds.map(b => b.order).sort()), [1, 2]);
+    aldehyde.bonds.forEach(b => assert.ok(aldehyde.atoms.includes(b.a) && aldehyde.atoms.includes(b.b)));
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, handLandmarks } = require('./load-core');
+
+const { HandCalibration, CalibrationSession, CalibrationStore, GestureRecognizer } = loadCore();
+
+// the thumb tip `gap` hand lengths from the index tip, which is at x, y
+const hand = (gap, x, y) => handLandmarks({ gap, x, y });
+
+// frames every 33 ms from `start` until `done(session)` or `limit` frames
+function feed(session, frame, start, done, limit = 400) {
+    let t = start;
+    for (let i = 0; i < limit && !done(session); i++, t += 33) session.update(frame(i), t);
+    return t;
+}
+
+const profile = (name, extra = {}) => ({
+    name,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    pinch: { open: 1, closed: 0.1 },
+    reach: { minX: 0.2, maxX: 0.8, minY: 0.1, maxY: 0.7 },
+    ...extra
+});
+
+// localStorage stand-in
+function memoryStorage() {
+    const data = new Map();
+    return { getItem: k => (data.has(k) ? data.get(k) : null), setItem: (k, v) => data.set(k, String(v)), removeItem: k => data.delete(k) };
+}
+
+test.describe('HandCalibration', () => {
+    test('pinch thresholds sit between the pinched and open gaps, release wider than start', () => {
+        const { start, release } = HandCalibration.pinchThresholds({ open: 1.1, closed: 0.1 });
+        assert.ok(start > 0.1 && start < release && release < 1.1);
+    });
+
+    test('the reach box is stretched over the screen and back', () => {
+        const reach = { minX: 0.25, maxX: 0.75, minY: 0.25, maxY: 0.75 };
+        assert.deepEqual(plain(HandCalibration.toScreen({ x: 0.5, y: 0.25 }, reach)), { x: 0.5, y: 0 });
+        assert.deepEqual(plain(HandCalibration.toScreen({ x: 0.9, y: 0.1 }, reach)), { x: 1, y: 0 });
+        assert.deepEqual(plain(HandCalibration.fromScreen({ x: 0.25, y: 0.75 }, reach)), { x: 0.375, y: 0.625 });
+    });
+
+    test('without a reach box the video frame is the screen', () => {
+        assert.deepEqual(plain(HandCalibration.toScreen({ x: 0.3, y: 0.4 }, null)), { x: 0.3, y: 0.4 });
+    });
+});
+
+test.describe('CalibrationSession', () => {
+    test('open hand, pinch and reach make a profile', () => {
+        const session = new CalibrationSession('Sam');
+        let t = feed(session, () => hand(1.2), 0, s => s.step !== 'open');
+        assert.equal(session.step, 'pinch');
+        t = feed(session, () => hand(0.1), t, s => s.step !== 'pinch');
+        assert.equal(session.step, 'reach');
+        feed(session, i => hand(1, 0.3 + 0.4 * ((i % 20) / 19), 0.25 + 0.3 * ((Math.floor(i / 20) % 10) / 9)), t, s => s.done);
+
+        assert.ok(session.done);
+        const result = session.result;
+        assert.equal(result.name, 'Sam');
+        assert.ok(Math.abs(result.pinch.open - 1.2) < 1e-9);
+        assert.ok(Math.abs(result.pinch.closed - 0.1) < 1e-9);
+        assert.ok(result.reach.minX < 0.35 && result.reach.maxX > 0.65);
+        assert.ok(result.reach.minY < 0.3 && result.reach.maxY > 0.5);
+        assert.ok(CalibrationStore.isValid(result));
+    });
+
+    test('frames without a hand do not count', () => {
+        const session = new CalibrationSession('Sam');
+        feed(session, () => null, 0, () => false, 100);
+        assert.equal(session.step, 'open');
+        assert.equal(session.progress, 0);
+    });
+
+    test('a pinch that does not close far enough is not counted', () => {
+        const session = new CalibrationSession('Sam');
+        const t = feed(session, () => hand(1), 0, s => s.step !== 'open');
+        feed(session, () => hand(0.7), t, () => false, 100);
+        assert.equal(session.step, 'pinch');
+        assert.equal(session.progress, 0);
+        assert.match(session.hint, /closer together/);
+    });
+
+    test('the reach step waits for a wide enough sweep', () => {
+        const session = new CalibrationSession('Sam');
+        let t = feed(session, () => hand(1.2), 0, s => s.step !== 'open');
+        t = feed(session, () => hand(0.1), t, s => s.step !== 'pinch');
+        feed(session, i => hand(1, 0.5 + 0.01 * (i % 5), 0.5), t, s => s.done, 300);
+        assert.equal(session.done, false);
+        assert.ok(session.progress < 1);
+    });
+
+    test('pinchRatio is what the session measures', () => {
+        assert.ok(Math.abs(GestureRecognizer.pinchRatio(hand(0.7)) - 0.7) < 1e-9);
+    });
+});
+
+test.describe('CalibrationStore', () => {
+    test('profiles persist and the last saved one is active', () => {
+        const storage = memoryStorage();
+        const store = new CalibrationStore(storage);
+        assert.equal(store.active(), null);
+        store.save(profile('Sam'));
+        store.save(profile('Alex'));
+
+        const again = new CalibrationStore(storage);
+        assert.deepEqual(plain(again.all().map(p => p.name)), ['Sam', 'Alex']);
+        assert.equal(again.active().name, 'Alex');
+        again.use('Sam');
+        assert.equal(new CalibrationStore(storage).active().name, 'Sam');
+    });
+
+    test('saving under the same name replaces the profile', () => {
+        const store = new CalibrationStore(memoryStorage());
+        store.save(profile('Sam'));
+        store.save(profile('Sam', { pinch: { open: 0.8, closed: 0.2 } }));
+        assert.equal(store.all().length, 1);
+        assert.equal(store.active().pinch.open, 0.8);
+    });
+
+    test('removing the active profile leaves none active', () => {
+        const store = new CalibrationStore(memoryStorage());
+        store.save(profile('Sam'));
+        store.remove('Sam');
+        assert.equal(store.active(), null);
+        assert.throws(() => store.use('Sam'), /No calibration profile/);
+    });
+
+    test('incomplete profiles are refused and bad stored data ignored', () => {
+        const storage = memoryStorage();
+        const store = new CalibrationStore(storage);
+        assert.throws(() => store.save(profile('Sam', { reach: { minX: 0.5, maxX: 0.5, minY: 0, maxY: 1 } })), /Incomplete/);
+        storage.setItem('ar-chemistry-calibration', '{"version": 99}');
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(new CalibrationStore(storage).all().length, 0);
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    test('works without storage', () => {
+        const store = new CalibrationStore(null);
+        store.save(profile('Sam'));
+        assert.equal(store.active().name, 'Sam');
+    });
+});
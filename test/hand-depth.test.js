@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, handLandmarks } = require('./load-core');
+
+const { HandDepth } = loadCore();
+
+// a hand `size` tall (wrist to middle knuckle), its index tip `lead` hand lengths
+// nearer the camera than the wrist
+const hand = (size, lead) => handLandmarks({ size, lead });
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// one frame every 33 ms from `start`, of a hand `size(i)` tall; returns the events seen
+function feed(depth, size, frames, start = 0) {
+    const events = [];
+    for (let i = 0; i < frames; i++) {
+        const { event } = depth.update(hand(size(i)), start + i * 33);
+        if (event) events.push(event);
+    }
+    return events;
+}
+
+test.describe('HandDepth', () => {
+    test('a hand held still is at rest', () => {
+        const depth = new HandDepth();
+        assert.deepEqual(feed(depth, () => 0.15, 60), []);
+        assertNear(depth.push, 0);
+        assertNear(depth.size, 0.15);
+    });
+
+    test('a quick push presses and pulling back releases', () => {
+        const depth = new HandDepth();
+        feed(depth, () => 0.15, 30);
+        // a quarter bigger within a few frames
+        assert.deepEqual(feed(depth, i => 0.15 * (1 + 0.25 * Math.min(1, i / 4)), 15, 1000), ['press']);
+        assert.ok(depth.pressed && depth.push > 0.2);
+        // held there, the rest reading does not catch up and let go
+        assert.deepEqual(feed(depth, () => 0.15 * 1.25, 120, 1500), []);
+        assert.deepEqual(feed(depth, () => 0.15, 5, 6000), ['release']);
+    });
+
+    test('pulling back only part of the way keeps the press', () => {
+        const depth = new HandDepth();
+        feed(depth, () => 0.15, 30);
+        feed(depth, () => 0.15 * 1.25, 5, 1000);
+        assert.deepEqual(feed(depth, () => 0.15 * 1.12, 10, 1200), []);
+        assert.ok(depth.pressed);
+    });
+
+    test('leaning in slowly is not a push', () => {
+        const depth = new HandDepth();
+        // a third bigger over 20 s
+        assert.deepEqual(feed(depth, i => 0.15 * (1 + 0.33 * i / 600), 600), []);
+        assert.ok(depth.push < 0.05);
+    });
+
+    test('pointing the fingertip at the camera adds to the reading', () => {
+        assertNear(HandDepth.reading(hand(0.15)), 0.15);
+        assertNear(HandDepth.reading(hand(0.15, 0.4)), 0.15 * 1.2);
+        // a fingertip further away than the wrist counts for nothing
+        assertNear(HandDepth.reading(hand(0.15, -0.4)), 0.15);
+    });
+
+    test('reset forgets the rest reading', () => {
+        const depth = new HandDepth();
+        feed(depth, () => 0.15, 10);
+        depth.reset();
+        assert.deepEqual(feed(depth, () => 0.3, 3), []);
+        assert.equal(depth.push, 0);
+    });
+
+    test('layer counts how many items back a push reaches', () => {
+        assert.equal(HandDepth.layer(0), 0);
+        assert.equal(HandDepth.layer(-0.3), 0);
+        assert.equal(HandDepth.layer(0.13), 1);
+        assert.equal(HandDepth.layer(0.25), 2);
+        // a press starts from the front item
+        assert.equal(HandDepth.layer(0.2, 0.18), 0);
+        assert.equal(HandDepth.layer(0.31, 0.18), 1);
+    });
+
+    test('zoom ignores small size changes and follows larger ones', () => {
+        assert.equal(HandDepth.zoom(0.15, 0.155), 1);
+        assert.equal(HandDepth.zoom(0.15, 0.14), 1);
+        assertNear(HandDepth.zoom(0.1, 0.15), 1.42);
+        assertNear(HandDepth.zoom(0.2, 0.1), 0.58);
+    });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, handLandmarks } = require('./load-core');
+
+const { OneEuroFilter, LandmarkFilter, GestureRecognizer } = loadCore();
+
+// an open hand `size` long (wrist to middle knuckle), the thumb tip `gap` hand lengths
+// from the index tip
+const hand = (size = 0.2, gap, x) => handLandmarks({ size, gap, x });
+
+test.describe('OneEuroFilter', () => {
+    const options = { minCutoff: 1.2, beta: 8, dCutoff: 1 };
+
+    test('passes the first value through', () => {
+        assert.equal(new OneEuroFilter(options).filter(0.3, 0), 0.3);
+    });
+
+    test('damps jitter around a resting point', () => {
+        const filter = new OneEuroFilter(options);
+        let worst = 0;
+        for (let i = 0; i < 120; i++) {
+            const raw = 0.5 + (i % 2 ? 0.004 : -0.004);
+            const out = filter.filter(raw, i * 33);
+            if (i > 10) worst = Math.max(worst, Math.abs(out - 0.5));
+        }
+        assert.ok(worst < 0.002, `still jitters by ${worst}`);
+    });
+
+    test('follows a fast move closely', () => {
+        const filter = new OneEuroFilter(options);
+        let out = 0;
+        for (let i = 0; i <= 15; i++) out = filter.filter(i * 0.04, i * 33);
+        assert.ok(Math.abs(out - 0.6) < 0.06, `lags at ${out}`);
+    });
+
+    test('reset forgets the history', () => {
+        const filter = new OneEuroFilter(options);
+        filter.filter(0.1, 0);
+        filter.reset();
+        assert.equal(filter.filter(0.9, 33), 0.9);
+    });
+});
+
+test.describe('LandmarkFilter', () => {
+    test('"none" hands the landmarks back untouched', () => {
+        const landmarks = hand();
+        const filter = new LandmarkFilter('none');
+        assert.equal(filter.enabled, false);
+        assert.equal(filter.apply(landmarks, 0), landmarks);
+    });
+
+    test('smooths every landmark of a hand', () => {
+        const filter = new LandmarkFilter('smooth');
+        filter.apply(hand(0.2, 1, 0.5), 0);
+        const moved = filter.apply(hand(0.2, 1, 0.52), 33);
+        assert.equal(moved.length, 21);
+        moved.forEach(p => assert.ok(p.x > 0.5 && p.x < 0.52 + 0.2));
+    });
+
+    test('unknown presets are rejected', () => {
+        assert.throws(() => new LandmarkFilter('wobbly'), /Unknown landmark filter/);
+    });
+
+    test('the preset comes from ?filter=', () => {
+        assert.equal(LandmarkFilter.configuredPreset('?filter=light'), 'light');
+        assert.equal(LandmarkFilter.configuredPreset(''), 'smooth');
+    });
+});
+
+test.describe('pinch distance in hand lengths', () => {
+    test('is the same near and far from the camera', () => {
+        const near = GestureRecognizer.pinchRatio(hand(0.3, 0.2));
+        const far = GestureRecognizer.pinchRatio(hand(0.1, 0.2));
+        assert.ok(Math.abs(near - far) < 1e-9);
+        assert.ok(Math.abs(near - 0.2) < 1e-9);
+    });
+
+    test('the same fingertip gap pinches a near hand but not a far one', () => {
+        // both 0.04 apart: a fifth of the near hand's length, most of the far one's
+        assert.equal(GestureRecognizer.pose(hand(0.2, 0.2)), 'pinch');
+        assert.notEqual(GestureRecognizer.pose(hand(0.05, 0.8)), 'pinch');
+    });
+});
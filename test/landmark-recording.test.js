@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain, handLandmarks } = require('./load-core');
+
+const { LandmarkRecorder, LandmarkPlayer } = loadCore();
+
+// a hand at x whose landmarks all have 4 decimals or fewer, as recordings keep them
+const hand = (x) => handLandmarks({ x, gap: 0 });
+
+// a recording with a frame at each of `times`, its hand at x = the frame's index
+function recording(times) {
+    const recorder = new LandmarkRecorder();
+    times.forEach((t, i) => recorder.add([hand(i)], 1000 + t));
+    return LandmarkRecorder.parse(JSON.stringify(recorder));
+}
+
+// plays `doc` under mocked timers; returns the player and the frame indices seen
+function playBack(t, doc, options = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const seen = [];
+    const player = new LandmarkPlayer(doc, hands => seen.push(hands[0][0].x), options);
+    player.play();
+    return { player, seen };
+}
+
+test.describe('LandmarkRecorder', () => {
+    test('records frames relative to the first and reads them back', () => {
+        const recorder = new LandmarkRecorder();
+        const raw = hand(0.123456);
+        raw[0].z = -0.00012;
+        recorder.add([raw], 5000);
+        recorder.add([], 5033);
+        recorder.add(null, 5070);
+
+        const doc = LandmarkRecorder.parse(JSON.stringify(recorder));
+        assert.equal(doc.format, 'ar-chemistry-landmarks');
+        assert.equal(doc.version, 1);
+        assert.equal(doc.recordedAt, new Date(5000).toISOString());
+        const rounded = hand(0.1235);
+        rounded[0].z = -0.0001;
+        assert.deepEqual(plain(doc.frames), [
+            { t: 0, hands: [rounded] },
+            { t: 33, hands: [] },
+            { t: 70, hands: [] }
+        ]);
+    });
+
+    test('rejects anything that is not a recording', () => {
+        const frames = [{ t: 0, hands: [] }];
+        const doc = (fields) => JSON.stringify({ format: 'ar-chemistry-landmarks', version: 1, frames, ...fields });
+        [
+            ['{ frames: [] }', /not valid JSON/],
+            ['null', /Not a hand landmark recording/],
+            [doc({ format: 'something-else' }), /Not a hand landmark recording/],
+            [doc({ version: 2 }), /version 2 is newer/],
+            [doc({ frames: [] }), /no frames/],
+            [doc({ frames: 'none' }), /no frames/],
+            [doc({ frames: [{ t: '0', hands: [] }] }), /frame 1 is malformed/],
+            [doc({ frames: [{ t: 0, hands: [] }, { t: 33 }] }), /frame 2 is malformed/],
+            [doc({ frames: [{ t: 0, hands: [] }, { t: 40, hands: [] }, { t: 20, hands: [] }] }), /frame 3 goes back in time/],
+            [doc({ frames: [{ t: 0, hands: [[{ x: 0, y: 0 }]] }] }), /frame 1, hand 1 does not have 21 landmarks/],
+            [doc({ frames: [{ t: 0, hands: [hand(0.5), 'hand'] }] }), /frame 1, hand 2 does not have 21 landmarks/],
+            [doc({ frames: [{ t: 0, hands: [] }, { t: 33, hands: [hand(0.5).map((p, i) => (i === 8 ? { x: p.x, y: null } : p))] }] }), /frame 2, hand 1 does not have/],
+            [doc({ frames: [{ t: 0, hands: [hand(0.5).map((p, i) => (i === 0 ? null : p))] }] }), /frame 1, hand 1 does not have/]
+        ].forEach(([text, message]) => {
+            assert.throws(() => LandmarkRecorder.parse(text), message, text);
+        });
+    });
+});
+
+test.describe('LandmarkPlayer', () => {
+    test('plays frames with the recorded timing', (t) => {
+        const { player, seen } = playBack(t, recording([0, 100, 250]));
+        assert.deepEqual(seen, [0]);
+        t.mock.timers.tick(99);
+        assert.deepEqual(seen, [0]);
+        t.mock.timers.tick(1);
+        assert.deepEqual(seen, [0, 1]);
+        t.mock.timers.tick(150);
+        assert.deepEqual(seen, [0, 1, 2]);
+        assert.equal(player.time - player.clockBase, 250);
+        assert.equal(player.playing, false);
+    });
+
+    test('scales the waits by the replay speed', (t) => {
+        const { player, seen } = playBack(t, recording([0, 100, 300]), { speed: 2 });
+        t.mock.timers.tick(50);
+        assert.deepEqual(seen, [0, 1]);
+        t.mock.timers.tick(99);
+        assert.deepEqual(seen, [0, 1]);
+        t.mock.timers.tick(1);
+        assert.deepEqual(seen, [0, 1, 2]);
+        // the clock still runs in recorded time
+        assert.equal(player.time - player.clockBase, 300);
+
+        assert.throws(() => player.setSpeed(0), /Invalid replay speed/);
+        assert.throws(() => player.setSpeed('fast'), /Invalid replay speed/);
+    });
+
+    test('reports the end of a replay that does not loop', (t) => {
+        let ended = 0;
+        const { player, seen } = playBack(t, recording([0, 50]), { onEnd: () => ended++ });
+        t.mock.timers.tick(50);
+        assert.deepEqual(seen, [0, 1]);
+        assert.equal(ended, 1);
+        assert.equal(player.playing, false);
+        t.mock.timers.tick(5000);
+        assert.deepEqual(seen, [0, 1]);
+    });
+
+    test('loops after a pause, with the clock running on', (t) => {
+        let loops = 0;
+        const { player, seen } = playBack(t, recording([0, 100]), { loop: true, onLoop: () => loops++ });
+        t.mock.timers.tick(100);
+        assert.deepEqual(seen, [0, 1]);
+        t.mock.timers.tick(499);
+        assert.equal(loops, 0);
+        t.mock.timers.tick(1);
+        assert.equal(loops, 1);
+        assert.deepEqual(seen, [0, 1, 0]);
+        // the duration plus the 500 ms gap, on top of the first frame
+        assert.equal(player.time - player.clockBase, 600);
+        t.mock.timers.tick(100);
+        assert.deepEqual(seen, [0, 1, 0, 1]);
+        assert.equal(player.time - player.clockBase, 700);
+        assert.equal(player.playing, true);
+
+        player.stop();
+        t.mock.timers.tick(5000);
+        assert.deepEqual(seen, [0, 1, 0, 1]);
+        assert.equal(player.playing, false);
+    });
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadCore, plain } = require('./load-core');
+
+const { LessonBook, LessonRun, Smiles, catalog } = loadCore();
+
+const lessonData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data/lessons.json'), 'utf8'));
+
+const lesson = (challenges, extra = {}) => ({ id: 'test', title: 'Test lesson', challenges, ...extra });
+const challenge = (id, goal, extra = {}) => ({ id, title: `Challenge ${id}`, goal, ...extra });
+
+function book(challenges) {
+    const result = LessonBook.fromData({ lessons: [lesson(challenges)] }, catalog);
+    assert.deepEqual(plain(result.errors), []);
+    return result;
+}
+
+test.describe('LessonBook', () => {
+    test('the lessons shipped in data/lessons.json all load', () => {
+        const result = LessonBook.fromData(lessonData, catalog);
+        assert.deepEqual(plain(result.errors), []);
+        assert.equal(result.lessons.length, lessonData.lessons.length);
+    });
+
+    test('reports broken lessons and skips them', () => {
+        const result = LessonBook.fromData({
+            lessons: [
+                lesson([challenge('a', { molecule: 'unobtainium' })], { id: 'bad-molecule' }),
+                lesson([challenge('a', { bond: 'C~C' })], { id: 'bad-bond' }),
+                lesson([challenge('a', { formula: 'C2Xx' })], { id: 'bad-formula' }),
+                lesson([challenge('a', {})], { id: 'empty-goal' }),
+                lesson([challenge('a', { molecule: 'ethanol', count: 2 })], { id: 'bad-count' }),
+                lesson([], { id: 'no-challenges' }),
+                lesson([challenge('a', { smiles: 'CCO' })], { id: 'fine' }),
+                lesson([challenge('a', { smiles: 'CCO' })], { id: 'fine' })
+            ]
+        }, catalog);
+        assert.deepEqual(plain(result.lessons.map(l => l.id)), ['fine']);
+        ['bad-molecule', 'bad-bond', 'bad-formula', 'empty-goal', 'bad-count', 'no-challenges'].forEach(id => {
+            assert.ok(result.errors.some(e => e.includes(`(${id})`)), `no error for ${id}`);
+        });
+        assert.ok(result.errors.some(e => e.includes('duplicate id "fine"')));
+        assert.equal(LessonBook.fromData({}).errors.length, 1);
+    });
+
+    test('parses formulas and bonds', () => {
+        assert.deepEqual(plain(LessonBook.parseFormula('C₃H₈O')), { C: 3, H: 8, O: 1 });
+        assert.deepEqual(plain(LessonBook.parseFormula('CH3Cl')), { C: 1, H: 3, Cl: 1 });
+        assert.equal(LessonBook.parseFormula('c2h6'), null);
+        assert.deepEqual(plain(LessonBook.parseBond('O=C')), { elements: ['C', 'O'], order: 2 });
+        assert.deepEqual(plain(LessonBook.parseBond('CO')), { elements: ['C', 'O'], order: 1 });
+        assert.equal(LessonBook.parseBond('C#N').order, 3);
+        assert.equal(LessonBook.parseBond('C=Q'), null);
+    });
+
+    test('goals check structure, formula and bonds together', () => {
+        const goal = (raw) => LessonBook.parseGoal(raw, catalog).goal;
+        assert.ok(LessonBook.meets(goal({ molecule: 'ethanol' }), Smiles.parse('OCC')));
+        assert.ok(!LessonBook.meets(goal({ molecule: 'ethanol' }), Smiles.parse('COC')));
+        assert.ok(LessonBook.meets(goal({ formula: 'C2H6O' }), Smiles.parse('COC')));
+        assert.ok(!LessonBook.meets(goal({ formula: 'C2H6O' }), Smiles.parse('CC')));
+        assert.ok(LessonBook.meets(goal({ bond: 'C=C' }), Smiles.parse('CC=C')));
+        assert.ok(!LessonBook.meets(goal({ bond: 'C=C' }), Smiles.parse('C#C')));
+        assert.ok(LessonBook.meets(goal({ bond: 'O=C', formula: 'C3H6O' }), Smiles.parse('CC(C)=O')));
+        assert.ok(!LessonBook.meets(goal({ bond: 'C=C', formula: 'C3H6O' }), Smiles.parse('CC(C)=O')));
+    });
+
+    test('next walks the lessons in file order', () => {
+        const result = LessonBook.fromData(lessonData, catalog);
+        assert.equal(result.next(result.lessons[0]), result.lessons[1]);
+        assert.equal(result.next(result.lessons[result.lessons.length - 1]), null);
+    });
+});
+
+test.describe('LessonRun', () => {
+    test('moves on when a challenge is met', () => {
+        const run = new LessonRun(book([
+            challenge('water', { molecule: 'water' }),
+            challenge('double', { bond: 'C=C' })
+        ]).lessons[0], 0);
+        assert.equal(run.challenge.id, 'water');
+        assert.deepEqual(plain(run.record(Smiles.parse('C'), 1000)), { counted: false, completed: false });
+        assert.deepEqual(plain(run.record(Smiles.parse('O'), 5000)), { counted: true, completed: true });
+        assert.equal(run.challenge.id, 'double');
+        run.record(Smiles.parse('C=C'), 9000);
+        assert.ok(run.done);
+        assert.equal(run.challenge, null);
+    });
+
+    test('counting challenges need different structures', () => {
+        const run = new LessonRun(book([challenge('isomers', { formula: 'C3H8O', count: 3 })]).lessons[0], 0);
+        assert.ok(run.record(Smiles.parse('CCCO')).counted);
+        // the same structure written another way
+        assert.ok(!run.record(Smiles.parse('OCCC')).counted);
+        assert.deepEqual(plain(run.progress), { found: 1, needed: 3 });
+        run.record(Smiles.parse('CC(O)C'));
+        assert.deepEqual(plain(run.record(Smiles.parse('COCC'))), { counted: true, completed: true });
+        assert.ok(run.done);
+    });
+
+    test('hints come one at a time until they run out', () => {
+        const run = new LessonRun(book([challenge('a', { molecule: 'water' }, { hints: ['first', 'second'] })]).lessons[0]);
+        assert.deepEqual(plain(run.hints), []);
+        assert.equal(run.hint(), 'first');
+        assert.equal(run.hint(), 'second');
+        assert.equal(run.hint(), null);
+        assert.deepEqual(plain(run.hints), ['first', 'second']);
+    });
+
+    test('summary counts time, hints and skipped challenges', () => {
+        const run = new LessonRun(book([
+            challenge('a', { molecule: 'water' }, { hints: ['h'] }),
+            challenge('b', { molecule: 'methane' })
+        ]).lessons[0], 0);
+        run.hint();
+        run.record(Smiles.parse('O'), 30000);
+        run.skip(45000);
+        const summary = run.summary(45000);
+        assert.equal(summary.title, 'Test lesson');
+        assert.equal(summary.ms, 45000);
+        assert.equal(summary.hints, 1);
+        assert.equal(summary.completed, 1);
+        assert.deepEqual(plain(summary.challenges.map(r => [r.challenge.id, r.ms, r.hints, r.skipped])), [['a', 30000, 1, false], ['b', 15000, 0, true]]);
+    });
+});
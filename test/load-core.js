@@ -0,0 +1,72 @@
+// Loads the DOM-free scripts into one VM context, the way the <script> tags in
+// index.html share one global scope, and returns their classes plus the real catalog.
+// Run the suite with:  node --test test/
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const CORE_SCRIPTS = [
+    'js/periodic-table.js',
+    'js/molecule-graph.js',
+    'js/bonding-engine.js',
+    'js/structure-layout.js',
+    'js/molecule-identifier.js',
+    'js/functional-groups.js',
+    'js/molecule-catalog.js',
+    'js/molecule-builder.js',
+    'js/molecule-geometry.js',
+    'js/smiles.js',
+    'js/molfile.js',
+    'js/browser-storage.js',
+    'js/workspace-store.js',
+    'js/workspace-history.js',
+    'js/discovery-journal.js',
+    'js/landmark-filter.js',
+    'js/gesture-recognizer.js',
+    'js/hand-calibration.js',
+    'js/hand-depth.js',
+    'js/landmark-recording.js',
+    'js/mediapipe-loader.js',
+    'js/lesson-engine.js',
+    'js/reaction-engine.js'
+];
+
+function loadCore() {
+    // timers look up ours on each call, so a test's mock.timers reaches the scripts too
+    const context = vm.createContext({
+        console,
+        URLSearchParams,
+        URL,
+        setTimeout: (...args) => setTimeout(...args),
+        clearTimeout: (id) => clearTimeout(id)
+    });
+    CORE_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    const core = {};
+    ['PeriodicTable', 'MoleculeGraph', 'BondingEngine', 'StructureLayout', 'MoleculeIdentifier', 'MoleculeCatalog', 'MoleculeBuilder', 'MoleculeGeometry', 'Smiles', 'Molfile', 'WorkspaceStore', 'WorkspaceHistory', 'DiscoveryJournal', 'OneEuroFilter', 'LandmarkFilter', 'GestureRecognizer', 'HandCalibration', 'CalibrationSession', 'CalibrationStore', 'HandDepth', 'LandmarkRecorder', 'LandmarkPlayer', 'MediaPipeLoader', 'LessonBook', 'LessonRun', 'ReactionBook', 'FunctionalGroups']
+        .forEach(name => { core[name] = vm.runInContext(name, context); });
+    core.catalog = core.MoleculeCatalog.fromData(JSON.parse(fs.readFileSync(path.join(ROOT, 'data/molecules.json'), 'utf8')));
+    return core;
+}
+
+// 21 MediaPipe landmarks of an upright open hand for the gesture tests: the index tip
+// at x, y, the middle knuckle one hand length (`size`) below it and the wrist another
+// below that, every other landmark on the knuckle. The thumb tip is `gap` hand lengths
+// to the right of the index tip, and the index tip `lead` hand lengths nearer the camera.
+function handLandmarks({ x = 0.5, y = 0.5, size = 0.15, gap = 1, lead = 0 } = {}) {
+    const points = Array.from({ length: 21 }, () => ({ x, y: y + size, z: 0 }));
+    points[0] = { x, y: y + 2 * size, z: 0 };           // wrist
+    points[4] = { x: x + gap * size, y, z: 0 };         // thumb tip
+    points[8] = { x, y, z: lead ? -lead * size : 0 };   // index tip
+    return points;
+}
+
+// Arrays and objects made inside the VM context have that context's prototypes, which
+// assert.deepStrictEqual tells apart from ours; copy plain data over before comparing.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadCore, plain, handLandmarks };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { MediaPipeLoader } = loadCore();
+
+const CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/';
+
+// the page at https://chem.example/app/index.html, with an optional meta base
+function page(meta = null) {
+    return {
+        baseURI: 'https://chem.example/app/index.html',
+        querySelector: () => (meta === null ? null : { content: meta })
+    };
+}
+
+const bases = (search, meta) => plain(MediaPipeLoader.configuredBases(search, page(meta)));
+
+test('defaults to the CDN, or the meta tag when there is one', () => {
+    assert.deepEqual(bases(''), [CDN]);
+    assert.deepEqual(bases('', 'vendor cdn'), ['vendor/mediapipe/hands/', CDN]);
+    assert.deepEqual(bases('', 'https://files.school.example/mediapipe'), ['https://files.school.example/mediapipe/']);
+});
+
+test('a link may name the bases or a path on the same site', () => {
+    assert.deepEqual(bases('?mediapipe=vendor', 'cdn'), ['vendor/mediapipe/hands/']);
+    assert.deepEqual(bases('?mediapipe=CDN'), [CDN]);
+    assert.deepEqual(bases('?mediapipe=copies/hands/ /shared/hands'), ['copies/hands/', '/shared/hands/']);
+    assert.deepEqual(bases('?mediapipe=https://chem.example/hands/'), ['https://chem.example/hands/']);
+    // only the names in the table, not whatever an object happens to have on it
+    assert.deepEqual(bases('?mediapipe=constructor'), ['constructor/']);
+});
+
+test('a link cannot load script from another site', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    ['https://evil.example/', '//evil.example/x/', 'blob:https://evil.example/x/', 'javascript:alert(1)//'].forEach(base => {
+        assert.deepEqual(bases(`?mediapipe=${encodeURIComponent(base)}`, 'vendor'), ['vendor/mediapipe/hands/'], base);
+    });
+    assert.deepEqual(bases('?mediapipe=https://evil.example/+vendor'), ['vendor/mediapipe/hands/']);
+    assert.equal(console.warn.mock.callCount(), 5);
+});
@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { MoleculeGraph, MoleculeBuilder, BondingEngine, catalog } = loadCore();
+
+// a loose atom at page position x, y
+function atom(element, x = 0, y = 0) {
+    const graph = new MoleculeGraph();
+    graph.addAtom(element);
+    return { x, y, graph, element };
+}
+
+// loose atoms piled up in a tight spiral around x, y (all within cluster reach of a neighbour)
+function pile(elements, x = 500, y = 400) {
+    return elements.map((element, i) => atom(element, x + 10 * Math.sqrt(i) * Math.cos(i * 2.4), y + 10 * Math.sqrt(i) * Math.sin(i * 2.4)));
+}
+
+function elementsOf(graph) {
+    return graph.atoms.map(a => a.element);
+}
+
+// attach loose atoms one by one to an intermediate, each to the first open atom
+function attachAll(graph, elements, pick = () => 0) {
+    elements.forEach(element => {
+        const incoming = atom(element).graph;
+        const anchor = MoleculeBuilder.attachAnchor(graph, incoming, pick);
+        assert.ok(anchor, `no open atom left for ${element}`);
+        MoleculeBuilder.attach(graph, incoming, anchor);
+    });
+    return graph;
+}
+
+test('the catalog loads without problems', () => {
+    assert.deepEqual(plain(catalog.errors), []);
+    assert.ok(catalog.entries.length > 0);
+});
+
+test.describe('every catalog molecule', () => {
+    catalog.entries.forEach(entry => {
+        test(`${entry.name} is identified from its own structure`, () => {
+            assert.equal(catalog.identify(catalog.build(entry)), entry);
+        });
+
+        if (entry.dropOnly) {
+            test(`${entry.name} is drop-only: piled atoms stay loose, one dropped onto another forms it`, () => {
+                const atoms = pile(elementsOf(catalog.build(entry)));
+                assert.deepEqual(plain(MoleculeBuilder.planClusters(atoms, catalog)), []);
+                assert.equal(atoms.length, 2);
+                assert.equal(MoleculeBuilder.h2Partner(atoms[1], atoms), atoms[0]);
+                assert.equal(catalog.identify(MoleculeBuilder.pairH2(atoms[0].graph, atoms[1].graph)), entry);
+            });
+            return;
+        }
+
+        test(`${entry.name}: its atoms piled together snap into a ${entry.formula} molecule`, () => {
+            const atoms = pile(elementsOf(catalog.build(entry)));
+            const plans = MoleculeBuilder.planClusters(atoms, catalog);
+            assert.equal(plans.length, 1);
+            const plan = plans[0];
+            assert.ok(plan.graph, 'no valence-satisfying structure');
+            assert.equal(plan.atoms.length, atoms.length);
+            assert.ok(BondingEngine.isComplete(plan.graph));
+            assert.equal(plan.graph.displayFormula(), entry.graph.displayFormula());
+            // a pile has no shape, so an isomer may come out; it must still be the same formula
+            if (plan.known) assert.equal(plan.known.formula, entry.formula);
+            plan.graph.atoms.forEach(a => assert.ok(Number.isFinite(a.x) && Number.isFinite(a.y)));
+        });
+
+        if (entry.layout) {
+            test(`${entry.name}: loose atoms take the hand-drawn layout`, () => {
+                const atoms = pile(elementsOf(catalog.build(entry)));
+                const graph = catalog.assemble(entry, atoms.map(a => a.graph));
+                assert.equal(catalog.identify(graph), entry);
+                assert.deepEqual(graph.atoms.map(a => [a.x, a.y]), entry.graph.atoms.map(a => [a.x, a.y]));
+            });
+        }
+    });
+});
+
+test.describe('clusters', () => {
+    test('chains of near neighbours form one cluster', () => {
+        const atoms = [atom('C', 0, 0), atom('H', 50, 0), atom('H', 100, 0), atom('O', 300, 0)];
+        const clusters = MoleculeBuilder.clusters(atoms);
+        assert.equal(clusters.length, 2);
+        assert.deepEqual(plain(clusters.map(c => c.length).sort()), [1, 3]);
+    });
+
+    test('a lone atom or a pile of hydrogens is not a molecule in the making', () => {
+        assert.equal(MoleculeBuilder.planCluster([atom('C')], catalog), null);
+        assert.equal(MoleculeBuilder.planCluster(pile(['H', 'H', 'H']), catalog), null);
+        assert.equal(MoleculeBuilder.planClusters([atom('C')], catalog).length, 0);
+    });
+
+    test('two piles far apart become two molecules', () => {
+        const atoms = [...pile(['O', 'H', 'H'], 100, 100), ...pile(['C', 'H', 'H', 'H', 'H'], 600, 100)];
+        const names = MoleculeBuilder.planClusters(atoms, catalog).map(p => p.known && p.known.name).sort();
+        assert.deepEqual(plain(names), ['Methane', 'Water']);
+    });
+
+    test('the plan centre is the centroid of the cluster', () => {
+        const atoms = [atom('O', 100, 100), atom('H', 140, 100), atom('H', 120, 130)];
+        const plan = MoleculeBuilder.planCluster(atoms, catalog);
+        assert.deepEqual(plain(plan.centroid), { x: 120, y: 110 });
+    });
+});
+
+test.describe('oversized clusters', () => {
+    test('surplus hydrogens are left out, farthest first', () => {
+        const atoms = [atom('C', 500, 400), ...[0, 1, 2, 3].map(i => atom('H', 500 + 20 * Math.cos(i * Math.PI / 2), 400 + 20 * Math.sin(i * Math.PI / 2)))];
+        const far = atom('H', 555, 400);
+        const plan = MoleculeBuilder.planCluster([...atoms, far], catalog);
+        assert.equal(plan.known.name, 'Methane');
+        assert.equal(plan.atoms.length, 5);
+        assert.ok(!plan.atoms.includes(far));
+    });
+
+    test('a carbon with too few partners still saturates with multiple bonds', () => {
+        const plan = MoleculeBuilder.planCluster(pile(['C', 'O', 'O']), catalog);
+        assert.equal(plan.known.name, 'Carbon Dioxide');
+    });
+
+    test('a cluster no structure can satisfy has no graph', () => {
+        // a lone carbon needs four hydrogens; shedding some never leaves a valid count
+        const plan = MoleculeBuilder.planCluster(pile(['C', 'H', 'H', 'H']), catalog);
+        assert.equal(plan.graph, null);
+        assert.equal(plan.atoms, null);
+        assert.ok(plan.centroid);
+    });
+
+    test('every multivalent atom of a large pile is used', () => {
+        const elements = ['C', 'C', 'C', 'C', 'C', ...Array(14).fill('H')];
+        const plan = MoleculeBuilder.planCluster(pile(elements), catalog);
+        assert.ok(plan.graph);
+        assert.equal(plan.graph.atoms.filter(a => a.element === 'C').length, 5);
+        assert.ok(BondingEngine.isComplete(plan.graph));
+    });
+});
+
+test.describe('C₂ intermediates', () => {
+    test('a carbon dropped next to a carbon is offered a bond', () => {
+        const a = atom('C', 0, 0), b = atom('C', 60, 0);
+        assert.equal(MoleculeBuilder.c2Partner(b, [a, b]), a);
+    });
+
+    test('no bond offer out of reach or for other elements', () => {
+        const a = atom('C', 0, 0);
+        assert.equal(MoleculeBuilder.c2Partner(atom('C', 80, 0), [a]), null);
+        assert.equal(MoleculeBuilder.c2Partner(atom('O', 30, 0), [a]), null);
+        assert.equal(MoleculeBuilder.c2Partner(atom('C', 30, 0), [atom('O', 0, 0)]), null);
+    });
+
+    [
+        ['single', 1, 6, 'Ethane'],
+        ['double', 2, 4, 'Ethene'],
+        ['triple', 3, 2, 'Ethyne']
+    ].forEach(([bondType, order, hydrogens, name]) => {
+        test(`${bondType} bond filled with ${hydrogens} hydrogens is ${name}`, () => {
+            const graph = MoleculeBuilder.bondC2(atom('C').graph, atom('C').graph, bondType);
+            assert.equal(graph.bonds.length, 1);
+            assert.equal(graph.bonds[0].order, order);
+            assert.equal(BondingEngine.totalOpenValence(graph), hydrogens);
+
+            attachAll(graph, Array(hydrogens).fill('H'));
+            assert.ok(BondingEngine.isComplete(graph));
+            assert.equal(MoleculeBuilder.describe(graph, catalog).name, name);
+            assert.equal(MoleculeBuilder.attachAnchor(graph, atom('H').graph, () => 0), null);
+        });
+    });
+
+    test('an oxygen attached near one carbon gives ethanol, not dimethyl ether', () => {
+        const graph = MoleculeBuilder.bondC2(atom('C').graph, atom('C').graph, 'single');
+        const first = graph.atoms[0];
+        attachAll(graph, ['O'], a => (a === first ? 0 : 1));
+        // fill the oxygen first, then the carbons
+        const oxygen = graph.atoms.find(a => a.element === 'O');
+        attachAll(graph, Array(6).fill('H'), a => (a === oxygen ? 0 : 1));
+        assert.equal(MoleculeBuilder.describe(graph, catalog).name, 'Ethanol');
+    });
+
+    test('attachAnchor picks the nearest atom with an open bond', () => {
+        const graph = MoleculeBuilder.bondC2(atom('C').graph, atom('C').graph, 'single');
+        const second = graph.atoms[1];
+        assert.equal(MoleculeBuilder.attachAnchor(graph, atom('H').graph, a => (a === second ? 1 : 5)), second);
+    });
+
+    test('an unknown bond type is rejected', () => {
+        assert.throws(() => MoleculeBuilder.bondC2(atom('C').graph, atom('C').graph, 'quadruple'), /Unknown bond type/);
+    });
+
+    test('a bond popup offers only the orders both atoms have room for', () => {
+        assert.equal(BondingEngine.maxBondOrder(4, 4), 3);
+        assert.equal(BondingEngine.maxBondOrder(4, 2), 2);
+        assert.equal(BondingEngine.maxBondOrder(1, 4), 1);
+    });
+});
+
+test.describe('C₃ ring', () => {
+    const ringAtoms = () => [atom('C', 0, 0), atom('C', 80, 0), atom('C', 40, 60)];
+
+    test('a carbon dropped between two close carbons closes a ring', () => {
+        const atoms = ringAtoms();
+        const ring = MoleculeBuilder.findRing(atoms[2], atoms);
+        assert.ok(ring);
+        assert.equal(ring.pair[0], atoms[0]);
+        assert.equal(ring.pair[1], atoms[1]);
+        assert.deepEqual(plain(ring.centroid), { x: 40, y: 0 });
+    });
+
+    test('no ring when the pair is too far apart or the drop too far away', () => {
+        const apart = [atom('C', 0, 0), atom('C', 100, 0), atom('C', 50, 20)];
+        assert.equal(MoleculeBuilder.findRing(apart[2], apart), null);
+        const far = [atom('C', 0, 0), atom('C', 80, 0), atom('C', 40, 200)];
+        assert.equal(MoleculeBuilder.findRing(far[2], far), null);
+    });
+
+    test('only carbons close rings', () => {
+        const atoms = [atom('C', 0, 0), atom('C', 80, 0), atom('O', 40, 60)];
+        assert.equal(MoleculeBuilder.findRing(atoms[2], atoms), null);
+        const withOxygen = [atom('C', 0, 0), atom('O', 80, 0), atom('C', 40, 60)];
+        assert.equal(MoleculeBuilder.findRing(withOxygen[2], withOxygen), null);
+    });
+
+    test('the ring filled with six hydrogens is cyclopropane', () => {
+        const graph = MoleculeBuilder.closeRing(ringAtoms().map(a => a.graph));
+        assert.equal(graph.bonds.length, 3);
+        assert.equal(BondingEngine.totalOpenValence(graph), 6);
+        attachAll(graph, Array(6).fill('H'));
+        assert.ok(BondingEngine.isComplete(graph));
+        assert.equal(MoleculeBuilder.describe(graph, catalog).name, 'Cyclopropane');
+    });
+});
+
+test('describe names unknown structures "New molecule"', () => {
+    const graph = MoleculeBuilder.bondC2(atom('C').graph, atom('C').graph, 'single');
+    attachAll(graph, ['Cl', 'Cl', 'Cl', 'Cl', 'Cl', 'Cl']);
+    const described = MoleculeBuilder.describe(graph, catalog);
+    assert.equal(described.known, null);
+    assert.equal(described.name, 'New molecule');
+    assert.equal(described.formula, graph.displayFormula());
+});
+
+test('a hydrogen dropped right onto another pairs into H₂', () => {
+    const [a, b] = [atom('H', 500, 400), atom('H', 510, 405)];
+    assert.equal(MoleculeBuilder.h2Partner(b, [a, b]), a);
+    assert.equal(MoleculeBuilder.h2Partner(atom('H', 560, 400), [a]), null);
+    assert.equal(MoleculeBuilder.h2Partner(atom('O', 505, 400), [a]), null);
+
+    const graph = MoleculeBuilder.pairH2(a.graph, b.graph);
+    assert.ok(BondingEngine.isComplete(graph));
+    assert.equal(MoleculeBuilder.describe(graph, catalog).name, 'Hydrogen');
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./load-core');
+
+const { MoleculeGeometry, MoleculeGraph, Smiles, catalog } = loadCore();
+
+function build(smiles) {
+    const graph = Smiles.parse(smiles);
+    return { graph, geometry: MoleculeGeometry.build(graph) };
+}
+
+function at(built, atom) {
+    return built.geometry.atoms.get(atom.id);
+}
+
+function distance(p, q) {
+    return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+}
+
+// every angle neighbour-atom-neighbour at `atom`
+function anglesAt(built, atom) {
+    const around = built.graph.neighbors(atom).map(n => at(built, n.atom));
+    const angles = [];
+    around.forEach((p, i) => around.slice(i + 1).forEach(q => angles.push(MoleculeGeometry.angle(p, at(built, atom), q))));
+    return angles;
+}
+
+function assertAngles(angles, expected) {
+    angles.forEach(angle => assert.ok(Math.abs(angle - expected) < 0.1, `${angle.toFixed(2)}° is not ${expected}°`));
+}
+
+// dihedral a-b-c-d in degrees, 0-180
+function dihedral(a, b, c, d) {
+    const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y, z: p.z - q.z });
+    const cross = (u, v) => ({ x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x });
+    const n1 = cross(sub(b, a), sub(c, b)), n2 = cross(sub(c, b), sub(d, c));
+    const cos = (n1.x * n2.x + n1.y * n2.y + n1.z * n2.z) / (Math.hypot(n1.x, n1.y, n1.z) * Math.hypot(n2.x, n2.y, n2.z));
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// every atom within a hair of the plane through the first three
+function assertFlat(built) {
+    const points = built.graph.atoms.map(a => at(built, a));
+    const [p, q, r] = points;
+    const u = { x: q.x - p.x, y: q.y - p.y, z: q.z - p.z }, v = { x: r.x - p.x, y: r.y - p.y, z: r.z - p.z };
+    const n = { x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x };
+    const len = Math.hypot(n.x, n.y, n.z);
+    points.forEach(s => assert.ok(Math.abs((s.x - p.x) * n.x + (s.y - p.y) * n.y + (s.z - p.z) * n.z) / len < 1e-6, `${built.graph.formula()} is not flat`));
+}
+
+const heavy = (built, element) => built.graph.atoms.find(a => a.element === element);
+
+test.describe('VSEPR shapes', () => {
+    test('methane is tetrahedral', () => {
+        const methane = build('C');
+        assertAngles(anglesAt(methane, heavy(methane, 'C')), 109.47);
+    });
+
+    test('water is bent at 104.5°, with two lone pairs on the oxygen', () => {
+        const water = build('O');
+        const oxygen = heavy(water, 'O');
+        assertAngles(anglesAt(water, oxygen), 104.5);
+        assert.equal(water.geometry.lonePairs.filter(lp => lp.atom === oxygen.id).length, 2);
+    });
+
+    test('ammonia is a trigonal pyramid at 107°', () => {
+        const ammonia = build('N');
+        assertAngles(anglesAt(ammonia, heavy(ammonia, 'N')), 107);
+    });
+
+    test('carbon dioxide, hydrogen cyanide and ethyne are linear', () => {
+        ['O=C=O', 'C#N', 'C#C'].forEach(smiles => {
+            const built = build(smiles);
+            built.graph.atoms.filter(a => built.graph.neighbors(a).length === 2).forEach(a => assertAngles(anglesAt(built, a), 180));
+        });
+    });
+
+    test('ethene is flat, with 120° round each carbon', () => {
+        const ethene = build('C=C');
+        ethene.graph.atoms.filter(a => a.element === 'C').forEach(c => assertAngles(anglesAt(ethene, c), 120));
+        assertFlat(ethene);
+    });
+
+    test('ethane is staggered and butane runs anti', () => {
+        const ethane = build('CC');
+        const [c1, c2] = ethane.graph.atoms.filter(a => a.element === 'C');
+        const h1 = ethane.graph.neighbors(c1).find(n => n.atom.element === 'H').atom;
+        ethane.graph.neighbors(c2).filter(n => n.atom.element === 'H').forEach(n => {
+            const angle = dihedral(at(ethane, h1), at(ethane, c1), at(ethane, c2), at(ethane, n.atom));
+            assert.ok(Math.abs(angle - 60) < 0.1 || Math.abs(angle - 180) < 0.1, `H-C-C-H at ${angle.toFixed(1)}°`);
+        });
+
+        const butane = build('CCCC');
+        const carbons = butane.graph.atoms.filter(a => a.element === 'C').map(a => at(butane, a));
+        assert.ok(Math.abs(dihedral(...carbons) - 180) < 0.1);
+    });
+
+    test('shapes names the geometry round every central atom', () => {
+        const ethanol = build('CCO');
+        const shapes = MoleculeGeometry.shapes(ethanol.graph, ethanol.geometry).map(s => `${s.atom.element} ${s.shape} ${s.angle.toFixed(1)}`);
+        assert.deepEqual([...shapes], ['C tetrahedral 109.5', 'C tetrahedral 109.5', 'O bent 104.5']);
+        assert.equal(MoleculeGeometry.shapes(build('C=O').graph)[0].shape, 'trigonal planar');
+    });
+});
+
+test.describe('bond lengths', () => {
+    test('come from covalent radii, shorter for multiple bonds', () => {
+        const c = { element: 'C' }, h = { element: 'H' };
+        assert.ok(Math.abs(MoleculeGeometry.bondLength(c, h) - 1.07) < 1e-9);
+        const single = MoleculeGeometry.bondLength(c, c, 1), double = MoleculeGeometry.bondLength(c, c, 2), triple = MoleculeGeometry.bondLength(c, c, 3);
+        assert.ok(single > double && double > triple);
+    });
+
+    test('are kept in the built geometry', () => {
+        const built = build('CC#N');
+        built.graph.bonds.forEach(bond => {
+            const a = built.graph.getAtom(bond.a), b = built.graph.getAtom(bond.b);
+            assert.ok(Math.abs(distance(at(built, a), at(built, b)) - MoleculeGeometry.bondLength(a, b, bond.order)) < 1e-9);
+        });
+    });
+});
+
+test.describe('rings', () => {
+    test('cyclopropane is an equilateral triangle with hydrogens above and below', () => {
+        const built = build('C1CC1');
+        const carbons = built.graph.atoms.filter(a => a.element === 'C');
+        carbons.forEach((a, i) => {
+            const b = carbons[(i + 1) % 3];
+            assert.ok(Math.abs(distance(at(built, a), at(built, b)) - 1.52) < 1e-9);
+        });
+        carbons.forEach(c => {
+            const hs = built.graph.neighbors(c).filter(n => n.atom.element === 'H').map(n => at(built, n.atom));
+            assert.ok(Math.abs(MoleculeGeometry.angle(hs[0], at(built, c), hs[1]) - 109.47) < 0.1);
+        });
+    });
+
+    test('benzene and naphthalene are flat', () => {
+        ['c1ccccc1', 'c1ccc2ccccc2c1'].forEach(smiles => assertFlat(build(smiles)));
+    });
+});
+
+test.describe('every catalog molecule', () => {
+    catalog.entries.forEach(entry => {
+        test(`${entry.name} is built without atoms running into each other`, () => {
+            const graph = catalog.build(entry);
+            const geometry = MoleculeGeometry.build(graph);
+            assert.equal(geometry.atoms.size, graph.atoms.length);
+            graph.atoms.forEach((a, i) => {
+                const p = geometry.atoms.get(a.id);
+                assert.ok(Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z));
+                graph.atoms.slice(i + 1).forEach(b => {
+                    if (!graph.getBond(a, b)) assert.ok(distance(p, geometry.atoms.get(b.id)) > 1.4, `${a.element}${a.id} and ${b.element}${b.id} overlap`);
+                });
+            });
+        });
+    });
+});
+
+test('intermediates keep room for the bonds they can still form', () => {
+    const graph = new MoleculeGraph();
+    const c1 = graph.addAtom('C'), c2 = graph.addAtom('C');
+    graph.addBond(c1, c2);
+    graph.addBond(c1, graph.addAtom('H'));
+    const geometry = MoleculeGeometry.build(graph);
+    const built = { graph, geometry };
+    // the hydrogen sits where methane's would, not straight across from the other carbon
+    assertAngles(anglesAt(built, c1), 109.47);
+});
+
+test('unconnected parts are set side by side, centred on the origin', () => {
+    const graph = MoleculeGraph.combine([Smiles.parse('O'), Smiles.parse('O')]);
+    const built = { graph, geometry: MoleculeGeometry.build(graph) };
+    const [o1, o2] = built.graph.atoms.filter(a => a.element === 'O').map(a => at(built, a));
+    assert.ok(distance(o1, o2) > 3);
+    const points = [...built.geometry.atoms.values()];
+    ['x', 'y', 'z'].forEach(axis => assert.ok(Math.abs(points.reduce((s, p) => s + p[axis], 0)) < 1e-9));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { Molfile, MoleculeIdentifier, Smiles } = loadCore();
+
+const keyOf = (smiles) => MoleculeIdentifier.canonicalKey(Smiles.parse(smiles));
+
+// ethanol as RDKit writes it by default: blank title, implicit hydrogens
+const RDKIT_ETHANOL = [
+    '',
+    '     RDKit          2D',
+    '',
+    '  3  2  0  0  0  0  0  0  0  0999 V2000',
+    '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+    '    1.2990    0.7500    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+    '    2.5981   -0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+    '  1  2  1  0',
+    '  2  3  1  0',
+    'M  END',
+    ''
+].join('\n');
+
+test('reads a molfile with a blank title line', () => {
+    const [record] = Molfile.parse(RDKIT_ETHANOL);
+    assert.equal(record.name, '');
+    assert.equal(MoleculeIdentifier.canonicalKey(record.graph), keyOf('CCO'));
+    assert.ok(record.graph.hasLayout());
+});
+
+test('round-trips through write and parse, with or without a title', () => {
+    ['CCO', 'C1=CC=CC=C1', 'CC(=O)O', 'C#N'].forEach(smiles => {
+        ['', 'Named'].forEach(name => {
+            const [record] = Molfile.parse(Molfile.write(Smiles.parse(smiles), name));
+            assert.equal(record.name, name, smiles);
+            assert.equal(MoleculeIdentifier.canonicalKey(record.graph), keyOf(smiles), smiles);
+        });
+    });
+});
+
+test('reads every record of an SDF, blank titles and data fields included', () => {
+    const sdf = Molfile.writeSdf([
+        { name: '', graph: Smiles.parse('O'), data: { SOURCE: 'first' } },
+        { name: 'Methane', graph: Smiles.parse('C') },
+        { name: '', graph: Smiles.parse('CC=O'), data: { SOURCE: 'third', NOTE: 'two\nlines' } }
+    ]);
+    const records = Molfile.parse(sdf);
+    assert.deepEqual(plain(records.map(r => r.name)), ['', 'Methane', '']);
+    assert.deepEqual(plain(records.map(r => MoleculeIdentifier.canonicalKey(r.graph))), [keyOf('O'), keyOf('C'), keyOf('CC=O')]);
+    assert.deepEqual(plain(records.map(r => r.data)), [{ SOURCE: 'first' }, {}, { SOURCE: 'third', NOTE: 'two\nlines' }]);
+
+    // a hand-written SDF: the RDKit record twice
+    assert.equal(Molfile.parse(`${RDKIT_ETHANOL}$$$$\n${RDKIT_ETHANOL}$$$$\n`).length, 2);
+});
+
+test('names the record that is wrong in an SDF', () => {
+    const sdf = `${RDKIT_ETHANOL}$$$$\n${RDKIT_ETHANOL.replace('  2  3  1  0', '  2  3  4  0')}$$$$\n`;
+    assert.throws(() => Molfile.parse(sdf), /SDF record 2: Molfile bond 2 is aromatic/);
+    assert.throws(() => Molfile.parse(' \n'), /Molfile is empty/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadCore, plain } = require('./load-core');
+
+const { ReactionBook, Smiles, MoleculeIdentifier, catalog } = loadCore();
+
+const reactionData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data/reactions.json'), 'utf8'));
+const book = ReactionBook.fromData(reactionData, catalog);
+const key = (smiles) => MoleculeIdentifier.canonicalKey(Smiles.parse(smiles));
+
+test('the reactions shipped in data/reactions.json all load and balance', () => {
+    assert.deepEqual(plain(book.errors), []);
+    assert.equal(book.reactions.length, reactionData.reactions.length);
+});
+
+test('reports broken reactions and skips them', () => {
+    const reaction = (id, reactants, products) => ({ id, name: id, reactants, products });
+    const result = ReactionBook.fromData({
+        reactions: [
+            reaction('unbalanced', [{ molecule: 'methane' }, { molecule: 'oxygen' }], [{ molecule: 'carbon-dioxide' }, { molecule: 'water', count: 2 }]),
+            reaction('unknown', [{ molecule: 'unobtainium' }], [{ molecule: 'water' }]),
+            reaction('bad-count', [{ molecule: 'water', count: 0 }], [{ molecule: 'water' }]),
+            reaction('no-products', [{ molecule: 'water' }], []),
+            reaction('fine', [{ molecule: 'ethene' }, { molecule: 'hydrogen' }], [{ molecule: 'ethane' }]),
+            reaction('fine', [{ molecule: 'ethene' }, { molecule: 'hydrogen' }], [{ molecule: 'ethane' }])
+        ]
+    }, catalog);
+    assert.deepEqual(plain(result.reactions.map(r => r.id)), ['fine']);
+    ['unknown', 'bad-count', 'no-products'].forEach(id => {
+        assert.ok(result.errors.some(e => e.includes(`(${id})`)), `no error for ${id}`);
+    });
+    assert.ok(result.errors.some(e => e.includes('(unbalanced)') && e.includes('O: 2 → 4')));
+    assert.ok(result.errors.some(e => e.includes('duplicate id "fine"')));
+    assert.equal(ReactionBook.fromData({}).errors.length, 1);
+});
+
+test('finds the reaction between two molecules, either way round', () => {
+    assert.equal(book.find(key('C'), key('O=O')).id, 'methane-combustion');
+    assert.equal(book.find(key('O=O'), key('C')).id, 'methane-combustion');
+    assert.equal(book.find(key('C=C'), key('O')).id, 'ethene-hydration');
+    assert.equal(book.find(key('C#C'), key('[H][H]')).id, 'ethyne-hydrogenation');
+    assert.equal(book.find(key('C=C'), key('[H][H]')).id, 'ethene-hydrogenation');
+    assert.equal(book.find(key('CCO'), key('O=O')).id, 'ethanol-oxidation');
+    assert.equal(book.find(key('C'), key('O')), null);
+    // the same molecule twice only reacts where the equation has two of it
+    assert.equal(book.find(key('CCO'), key('CCO')).id, 'ethanol-oxidation');
+    assert.equal(book.find(key('C=C'), key('C=C')), null);
+});
+
+test('writes the balanced equation', () => {
+    assert.equal(ReactionBook.equation(book.reactions.find(r => r.id === 'methane-combustion')), 'CH₄ + 2 O₂ → CO₂ + 2 H₂O');
+    assert.equal(ReactionBook.equation(book.reactions.find(r => r.id === 'ethene-hydration')), 'C₂H₄ + H₂O → C₂H₆O');
+});
+
+test('gather takes the dropped pair first and the rest from the workspace', () => {
+    const combustion = book.reactions.find(r => r.id === 'methane-combustion');
+    const methane = { key: key('C') }, o2 = { key: key('O=O') }, near = { key: key('O=O') }, far = { key: key('O=O') }, water = { key: key('O') };
+
+    const short = ReactionBook.gather(combustion, [methane, o2], [water]);
+    assert.equal(short.missing.length, 1);
+    assert.equal(short.missing[0].entry.id, 'oxygen');
+    assert.equal(short.missing[0].count, 1);
+
+    const { used, missing } = ReactionBook.gather(combustion, [o2, methane], [water, near, far]);
+    assert.deepEqual(plain(missing), []);
+    assert.equal(used.length, 3);
+    assert.ok(used.includes(methane) && used.includes(o2) && used.includes(near));
+    assert.ok(!used.includes(far));
+});
+
+test('mapAtoms sends every atom the shortest way to an atom of its element', () => {
+    const from = [{ element: 'H', x: 0, y: 0 }, { element: 'O', x: 10, y: 0 }, { element: 'H', x: 100, y: 0 }];
+    const to = [{ element: 'H', x: 95, y: 0 }, { element: 'H', x: 5, y: 0 }, { element: 'O', x: 50, y: 0 }];
+    assert.deepEqual(plain(ReactionBook.mapAtoms(from, to)), [2, 0, 1]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./load-core');
+
+const { StructureLayout, PeriodicTable, Smiles } = loadCore();
+
+function laidOut(smiles) {
+    return StructureLayout.layout(Smiles.parse(smiles));
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// every bond within `stretch` of its drawn length (56 px to a hydrogen, 80 px otherwise)
+function assertBondLengths(graph, stretch) {
+    graph.bonds.forEach(bond => {
+        const a = graph.getAtom(bond.a), b = graph.getAtom(bond.b);
+        const want = a.element === 'H' || b.element === 'H' ? 56 : 80;
+        const d = distance(a, b);
+        assert.ok(Math.abs(d - want) <= want * stretch, `${a.element}${a.id}–${b.element}${b.id} is ${d.toFixed(1)} px`);
+    });
+}
+
+// no two unbonded atoms drawn on top of each other, or at most `squeeze` of the way into each other
+function assertNoOverlaps(graph, squeeze = 0) {
+    graph.atoms.forEach((a, i) => graph.atoms.slice(i + 1).forEach(b => {
+        if (graph.getBond(a, b)) return;
+        const room = (PeriodicTable.get(a.element).radius + PeriodicTable.get(b.element).radius) * (1 - squeeze);
+        assert.ok(distance(a, b) >= room, `${a.element}${a.id} and ${b.element}${b.id} are ${distance(a, b).toFixed(1)} px apart`);
+    }));
+}
+
+test.describe('branched molecules keep their bond lengths', () => {
+    [
+        ['CC(O)C(O)C', '2,3-butanediol'],
+        ['CC(C)C(C)C', '2,3-dimethylbutane'],
+        ['CC(C)C(C)C(C)C', '2,3,4-trimethylpentane'],
+        ['CC(C)(C)C(C)(C)C', '2,2,3,3-tetramethylbutane'],
+        ['OCC(O)C(O)C(O)C(O)CO', 'sorbitol']
+    ].forEach(([smiles, name]) => {
+        test(name, () => {
+            const graph = laidOut(smiles);
+            assertBondLengths(graph, 0.02);
+            assertNoOverlaps(graph);
+        });
+    });
+});
+
+test.describe('bridged rings are drawn without overlaps', () => {
+    [
+        ['C1CC2CCC1C2', 'norbornane'],
+        ['C1CC2CCC1CC2', 'bicyclo[2.2.2]octane'],
+        ['C1C2CC3CC1CC(C2)C3', 'adamantane'],
+        ['CC1(C)C2CCC1(C)C(=O)C2', 'camphor']
+    ].forEach(([smiles, name]) => {
+        test(name, () => {
+            const graph = laidOut(smiles);
+            // a bridge cannot be drawn flat: its bonds may stay a little stretched
+            // and the crowded hydrogens may touch, but nothing sits on anything else
+            assertBondLengths(graph, 0.25);
+            assertNoOverlaps(graph, 0.1);
+        });
+    });
+});
+
+test('plain chains and rings come out exact', () => {
+    ['CCCCCC', 'C1CCCCC1', 'C1CCC2CCCCC2C1', 'CC1(C)CC1'].forEach(smiles => {
+        const graph = laidOut(smiles);
+        assertBondLengths(graph, 0.01);
+        assertNoOverlaps(graph);
+    });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { WorkspaceHistory } = loadCore();
+
+// the history after recording a change to each of `docs` in turn, the last one current
+function historyOf(docs, limit) {
+    const history = new WorkspaceHistory(limit);
+    docs.slice(0, -1).forEach((doc, i) => history.record(`step ${i + 1}`, doc));
+    return history;
+}
+
+test('undo hands back the state before a change, redo the state after it', () => {
+    const history = historyOf(['a', 'b', 'c']);
+    assert.equal(history.undo('c').doc, 'b');
+    assert.equal(history.undo('b').doc, 'a');
+    assert.equal(history.undo('a'), null);
+    assert.equal(history.redo('a').doc, 'b');
+    assert.equal(history.redo('b').doc, 'c');
+    assert.equal(history.canRedo(), false);
+});
+
+test('a new change clears redo', () => {
+    const history = historyOf(['a', 'b']);
+    history.undo('b');
+    history.record('other', 'a');
+    assert.equal(history.canRedo(), false);
+});
+
+test('discarding a change that did not happen keeps redo and the oldest step', () => {
+    const history = historyOf(['a', 'b', 'c'], 2);
+    history.undo('c');
+    const step = history.record('move', 'b');
+    assert.equal(history.canRedo(), false);
+    history.discard(step);
+    assert.equal(history.redo('b').doc, 'c');
+    assert.equal(history.undo('c').doc, 'b');
+    assert.equal(history.undo('b').doc, 'a');
+
+    // at the limit, recording pushes out the oldest step; discarding brings it back
+    const full = historyOf(['a', 'b', 'c'], 2);
+    full.discard(full.record('move', 'c'));
+    assert.deepEqual(plain(full.undoStack.map(s => s.doc)), ['a', 'b']);
+});
+
+test('only the latest step can be discarded', () => {
+    const history = historyOf(['a', 'b']);
+    const first = history.undoStack[0];
+    history.record('later', 'b');
+    history.discard(first);
+    assert.equal(history.undoStack.length, 2);
+    history.discard(null);
+    assert.equal(history.undoStack.length, 2);
+});
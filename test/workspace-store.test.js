@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load-core');
+
+const { WorkspaceStore, MoleculeIdentifier, Smiles } = loadCore();
+
+test('parse takes a save file and rejects anything else', () => {
+    const doc = WorkspaceStore.create({ atoms: [{ element: 'C', left: 10, top: 20, layer: 1 }] });
+    assert.deepEqual(plain(WorkspaceStore.parse(JSON.stringify(doc)).atoms), [{ element: 'C', left: 10, top: 20, layer: 1 }]);
+
+    assert.throws(() => WorkspaceStore.parse('{'), /not valid JSON/);
+    assert.throws(() => WorkspaceStore.parse('null'), /Not a workspace save file/);
+    assert.throws(() => WorkspaceStore.parse(JSON.stringify({ ...doc, version: 2 })), /version 2 is newer/);
+    assert.throws(() => WorkspaceStore.parse(JSON.stringify({ ...doc, molecules: {} })), /missing its "molecules" list/);
+});
+
+test('graphFrom rebuilds a saved graph', () => {
+    const saved = Smiles.parse('CC=O').toJSON();
+    const graph = WorkspaceStore.graphFrom(JSON.parse(JSON.stringify(saved)));
+    assert.equal(MoleculeIdentifier.canonicalKey(graph), MoleculeIdentifier.canonicalKey(Smiles.parse('CC=O')));
+});
+
+test('graphFrom rejects graphs a card could not be built from', () => {
+    const ok = () => ({ atoms: [{ id: 1, element: 'O', x: 0, y: 0 }, { id: 2, element: 'H', x: 56, y: 0 }], bonds: [{ a: 1, b: 2, order: 1 }] });
+    const broken = (change) => {
+        const data = ok();
+        change(data);
+        return data;
+    };
+    [
+        [null, /no atoms/],
+        [{ atoms: [], bonds: [] }, /no atoms/],
+        [broken(d => { d.bonds = null; }), /no atoms/],
+        [broken(d => { d.atoms[1] = null; }), /atom 2 is malformed/],
+        [broken(d => { d.atoms[1].element = 'Xx'; }), /atom 2 is malformed/],
+        [broken(d => { d.atoms[1].id = 1; }), /atom 2 is malformed/],
+        [broken(d => { d.atoms[0].x = 'left'; }), /atom 1 is malformed/],
+        [broken(d => { d.bonds[0].b = 7; }), /bond 1 is malformed/],
+        [broken(d => { d.bonds[0].order = 4; }), /bond 1 is malformed/],
+        [broken(d => { d.bonds.push({ a: 1, b: 1 }); }), /itself/],
+        [broken(d => { d.bonds.push({ a: 2, b: 1 }); }), /already bonded/],
+        [broken(d => { d.bonds[0].order = 3; }), /more bonds than its valence allows/]
+    ].forEach(([data, message]) => {
+        assert.throws(() => WorkspaceStore.graphFrom(data), message, JSON.stringify(data));
+    });
+});